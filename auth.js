@@ -0,0 +1,270 @@
+/**
+ * Autenticación con JWT bearer (compatible con tokens de Supabase Auth)
+ * - HS256 con secreto compartido: AUTH_JWT_SECRET (o SUPABASE_JWT_SECRET)
+ * - RS256 / ES256 con llaves públicas de un JWKS: AUTH_JWKS_URL
+ *   (ej. https://<proyecto>.supabase.co/auth/v1/.well-known/jwks.json)
+ * Claims opcionales a validar: AUTH_ISSUER, AUTH_AUDIENCE (Supabase usa 'authenticated')
+ */
+
+const crypto = require('crypto');
+const { makeHttpRequest } = require('./http_client');
+const { createLogger } = require('./logger');
+const { errorResponse } = require('./errors');
+
+const log = createLogger('auth');
+
+const JWT_SECRET = process.env.AUTH_JWT_SECRET || process.env.SUPABASE_JWT_SECRET || '';
+const JWKS_URL = process.env.AUTH_JWKS_URL || '';
+const ISSUER = process.env.AUTH_ISSUER || '';
+const AUDIENCE = process.env.AUTH_AUDIENCE || '';
+
+// Solo para desarrollo local: AUTH_DISABLED=true omite la verificación
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+// Tolerancia de reloj para exp / nbf
+const CLOCK_SKEW_SECONDS = 30;
+
+const JWKS_TTL_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+
+// Rol de Supabase para llamadas de servicio: puede actuar sobre cualquier usuario
+const SERVICE_ROLE = 'service_role';
+
+// Código de la taxonomía de errors.js para cada motivo de rechazo
+const AUTH_ERROR_CODES = {
+  missing_token: 'UNAUTHENTICATED',
+  invalid_token: 'UNAUTHENTICATED',
+  token_expired: 'TOKEN_EXPIRED',
+  forbidden: 'FORBIDDEN'
+};
+
+// kty: tipo de llave del JWKS que acepta cada algoritmo asimétrico
+const ALGORITHMS = {
+  HS256: { kind: 'hmac', hash: 'sha256' },
+  RS256: { kind: 'rsa', hash: 'sha256', kty: 'RSA' },
+  ES256: { kind: 'ec', hash: 'sha256', kty: 'EC' }
+};
+
+/**
+ * Error de autenticación/autorización con el status HTTP a responder (401 o 403)
+ */
+function createAuthError(statusCode, code, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment, 'base64url');
+}
+
+/**
+ * Header o payload del JWT; debe ser un objeto JSON (no null, arreglo ni escalar)
+ */
+function decodeJson(segment) {
+  let decoded;
+  try {
+    decoded = JSON.parse(base64UrlDecode(segment).toString('utf8'));
+  } catch (error) {
+    throw createAuthError(401, 'invalid_token', 'Token mal formado');
+  }
+  if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+    throw createAuthError(401, 'invalid_token', 'Token mal formado');
+  }
+  return decoded;
+}
+
+// ========== JWKS ==========
+
+let jwksCache = { keys: [], fetchedAt: 0 };
+
+async function fetchJwks() {
+  const response = await makeHttpRequest(JWKS_URL, { timeoutMs: 5000, headers: { Accept: 'application/json' } });
+  if (response.statusCode !== 200 || !response.body || !Array.isArray(response.body.keys)) {
+    throw new Error(`No se pudo obtener el JWKS (status ${response.statusCode})`);
+  }
+  jwksCache = { keys: response.body.keys, fetchedAt: Date.now() };
+  log.info('JWKS cargado', { keys: jwksCache.keys.length });
+}
+
+/**
+ * Busca la llave del kid del header; si no está (rotación de llaves) recarga el JWKS,
+ * como máximo una vez cada JWKS_MIN_REFRESH_MS
+ * Sin kid solo se acepta un JWKS de una sola llave, y la llave debe corresponder al
+ * alg del header (kty y, si la llave lo declara, alg) para no verificar con otra familia
+ */
+async function getJwk(header) {
+  const age = Date.now() - jwksCache.fetchedAt;
+  const find = () => header.kid
+    ? jwksCache.keys.find(key => key.kid === header.kid)
+    : (jwksCache.keys.length === 1 ? jwksCache.keys[0] : undefined);
+
+  if (age > JWKS_TTL_MS || (!find() && age > JWKS_MIN_REFRESH_MS)) {
+    try {
+      await fetchJwks();
+    } catch (error) {
+      log.error('Error cargando JWKS', { error });
+      if (jwksCache.keys.length === 0) {
+        throw createAuthError(401, 'invalid_token', 'No se pudieron obtener las llaves de verificación');
+      }
+    }
+  }
+
+  if (!header.kid && jwksCache.keys.length > 1) {
+    throw createAuthError(401, 'invalid_token', 'El token debe indicar kid: hay varias llaves de verificación');
+  }
+
+  const jwk = find();
+  if (!jwk) {
+    throw createAuthError(401, 'invalid_token', 'Llave de firma desconocida');
+  }
+  if (jwk.kty !== ALGORITHMS[header.alg].kty || (jwk.alg && jwk.alg !== header.alg)) {
+    throw createAuthError(401, 'invalid_token', `La llave de firma no corresponde al algoritmo ${header.alg}`);
+  }
+  return jwk;
+}
+
+// ========== VERIFICACIÓN ==========
+
+async function verifySignature(header, signingInput, signature) {
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw createAuthError(401, 'invalid_token', `Algoritmo no soportado: ${header.alg}`);
+  }
+
+  if (algorithm.kind === 'hmac') {
+    if (!JWT_SECRET) {
+      throw createAuthError(401, 'invalid_token', 'Tokens HS256 no habilitados');
+    }
+    const expected = crypto.createHmac(algorithm.hash, JWT_SECRET).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  if (!JWKS_URL) {
+    throw createAuthError(401, 'invalid_token', `Tokens ${header.alg} no habilitados`);
+  }
+  const jwk = await getJwk(header);
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  // Las firmas ES256 de JWS vienen como r||s (IEEE P1363), no DER
+  const verifyKey = algorithm.kind === 'ec' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+  return crypto.verify(algorithm.hash, Buffer.from(signingInput), verifyKey, signature);
+}
+
+function verifyClaims(claims) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Un token sin exp nunca caducaría: se rechaza
+  if (typeof claims.exp !== 'number' || !Number.isFinite(claims.exp)) {
+    throw createAuthError(401, 'invalid_token', 'El token no indica su expiración (exp)');
+  }
+  if (now - CLOCK_SKEW_SECONDS >= claims.exp) {
+    throw createAuthError(401, 'token_expired', 'El token expiró');
+  }
+  if (typeof claims.nbf === 'number' && now + CLOCK_SKEW_SECONDS < claims.nbf) {
+    throw createAuthError(401, 'invalid_token', 'El token aún no es válido');
+  }
+  if (ISSUER && claims.iss !== ISSUER) {
+    throw createAuthError(401, 'invalid_token', 'Emisor del token no válido');
+  }
+  if (AUDIENCE) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(AUDIENCE)) {
+      throw createAuthError(401, 'invalid_token', 'Audiencia del token no válida');
+    }
+  }
+  if (!claims.sub && claims.role !== SERVICE_ROLE) {
+    throw createAuthError(401, 'invalid_token', 'El token no identifica a un usuario (sub)');
+  }
+}
+
+/**
+ * Verifica un JWT y retorna sus claims
+ */
+async function verifyToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw createAuthError(401, 'invalid_token', 'Token mal formado');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeJson(headerSegment);
+  const claims = decodeJson(payloadSegment);
+
+  const valid = await verifySignature(header, `${headerSegment}.${payloadSegment}`, base64UrlDecode(signatureSegment));
+  if (!valid) {
+    throw createAuthError(401, 'invalid_token', 'Firma del token inválida');
+  }
+
+  verifyClaims(claims);
+  return claims;
+}
+
+function getBearerToken(event) {
+  const headers = event.headers || {};
+  const authorization = headers.authorization || headers.Authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Autentica el evento: retorna { user_id, role, email, claims }
+ * Lanza un error con statusCode 401 si falta el token o no es válido
+ */
+async function authenticate(event) {
+  if (AUTH_DISABLED) {
+    return { user_id: null, role: SERVICE_ROLE, email: null, claims: {}, disabled: true };
+  }
+
+  const token = getBearerToken(event);
+  if (!token) {
+    throw createAuthError(401, 'missing_token', 'Se requiere un token Bearer en el header Authorization');
+  }
+
+  const claims = await verifyToken(token);
+  return {
+    user_id: claims.sub || null,
+    role: claims.role || null,
+    email: claims.email || null,
+    claims
+  };
+}
+
+/**
+ * Resuelve el user_id efectivo de una petición por usuario:
+ * - usuarios normales: siempre el sub del token; pedir otro user_id es 403
+ * - service_role: puede indicar cualquier user_id (por defecto el sub)
+ */
+function resolveUserId(auth, requestedUserId) {
+  if (auth.role === SERVICE_ROLE) {
+    return requestedUserId || auth.user_id;
+  }
+  if (requestedUserId && requestedUserId !== auth.user_id) {
+    throw createAuthError(403, 'forbidden', 'No tienes acceso a los datos de otro usuario');
+  }
+  return auth.user_id;
+}
+
+/**
+ * Respuesta HTTP para un error de autenticación
+ */
+function authErrorResponse(error) {
+  const headers = error.statusCode === 401
+    ? { 'WWW-Authenticate': `Bearer error="${error.code === 'missing_token' ? 'invalid_request' : 'invalid_token'}"` }
+    : {};
+
+  return errorResponse(AUTH_ERROR_CODES[error.code] || 'UNAUTHENTICATED', {
+    message: error.message,
+    details: { reason: error.code },
+    headers
+  });
+}
+
+module.exports = {
+  authenticate,
+  verifyToken,
+  resolveUserId,
+  authErrorResponse,
+  createAuthError,
+  SERVICE_ROLE
+};
@@ -0,0 +1,234 @@
+/**
+ * Caché de respuestas de herramientas MCP
+ * Dos niveles: LRU en memoria (contenedores Lambda calientes) y un almacén compartido
+ * opcional con la interfaz { get(key), set(key, entry, ttlMs), delete(key) }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cache');
+
+// ========== ALMACENES ==========
+
+/**
+ * LRU en memoria: Map conserva el orden de inserción, la entrada más antigua se descarta primero
+ */
+function createLruStore(options = {}) {
+  const { maxEntries = 500 } = options;
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (item.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // Mover al final (usado recientemente)
+      entries.delete(key);
+      entries.set(key, item);
+      return item.entry;
+    },
+
+    async set(key, entry, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Almacén en archivos JSON (un archivo por llave); sirve como almacén compartido
+ * local o sobre un volumen EFS montado en varias funciones
+ */
+function createFileStore(options = {}) {
+  const { dir = path.join(require('os').tmpdir(), 'fiscai-cache') } = options;
+
+  function fileFor(key) {
+    return path.join(dir, `${key.replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+  }
+
+  return {
+    async get(key) {
+      try {
+        const item = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        if (item.expiresAt <= Date.now()) {
+          await fs.promises.rm(fileFor(key), { force: true });
+          return null;
+        }
+        return item.entry;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async set(key, entry, ttlMs) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // Escribir a un temporal y renombrar para no dejar archivos a medias
+      const tmp = `${fileFor(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ entry, expiresAt: Date.now() + ttlMs }));
+      await fs.promises.rename(tmp, fileFor(key));
+    },
+
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Adaptador para un cliente compatible con Redis (ioredis, node-redis v4 legacy o un sustituto local)
+ * El cliente debe exponer get(key), set(key, value, 'PX', ttlMs) y del(key)
+ */
+function createRedisStore(client, options = {}) {
+  const { prefix = 'fiscai:cache:' } = options;
+
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, entry, ttlMs) {
+      await client.set(prefix + key, JSON.stringify(entry), 'PX', ttlMs);
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    }
+  };
+}
+
+// ========== LLAVES ==========
+
+/**
+ * Normaliza argumentos para que variaciones triviales compartan llave:
+ * llaves ordenadas, sin null/undefined, textos sin mayúsculas ni espacios repetidos
+ */
+function normalizeArgs(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeArgs);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined && value[key] !== null)
+      .reduce((acc, key) => {
+        acc[key] = normalizeArgs(value[key]);
+        return acc;
+      }, {});
+  }
+  if (typeof value === 'string') {
+    return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+  return value;
+}
+
+function cacheKey(toolName, toolArgs) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalizeArgs(toolArgs || {})))
+    .digest('hex');
+  return `${toolName}:${hash}`;
+}
+
+// ========== CACHÉ DE DOS NIVELES ==========
+
+/**
+ * Crea la caché: memory (LRU local) siempre; shared (opcional) se consulta en un fallo local
+ * Los errores del almacén compartido se registran y se tratan como fallo de caché
+ */
+function createCache(options = {}) {
+  const memory = options.memory || createLruStore({ maxEntries: options.maxEntries });
+  let shared = options.shared || null;
+
+  async function get(key) {
+    const local = await memory.get(key);
+    if (local) {
+      return { ...local, tier: 'memory' };
+    }
+
+    if (shared) {
+      try {
+        const remote = await shared.get(key);
+        if (remote && remote.expiresAt > Date.now()) {
+          await memory.set(key, remote, remote.expiresAt - Date.now());
+          return { ...remote, tier: 'shared' };
+        }
+      } catch (error) {
+        log.warn('Error leyendo almacén compartido', { error });
+      }
+    }
+
+    return null;
+  }
+
+  async function set(key, value, ttlMs) {
+    const now = Date.now();
+    const entry = { value, storedAt: now, expiresAt: now + ttlMs };
+    await memory.set(key, entry, ttlMs);
+
+    if (shared) {
+      try {
+        await shared.set(key, entry, ttlMs);
+      } catch (error) {
+        log.warn('Error escribiendo almacén compartido', { error });
+      }
+    }
+    return entry;
+  }
+
+  async function del(key) {
+    await memory.delete(key);
+    if (shared) {
+      await shared.delete(key);
+    }
+  }
+
+  function setSharedStore(store) {
+    shared = store;
+  }
+
+  return {
+    get,
+    set,
+    delete: del,
+    setSharedStore
+  };
+}
+
+/**
+ * Almacén compartido según el entorno: CACHE_BACKEND=file (CACHE_DIR opcional)
+ * Para Redis, llamar mcpBridge.setSharedCacheStore(createRedisStore(client)) al iniciar
+ */
+function sharedStoreFromEnv() {
+  if (process.env.CACHE_BACKEND === 'file') {
+    return createFileStore({ dir: process.env.CACHE_DIR });
+  }
+  return null;
+}
+
+module.exports = {
+  createCache,
+  createLruStore,
+  createFileStore,
+  createRedisStore,
+  sharedStoreFromEnv,
+  cacheKey,
+  normalizeArgs
+};
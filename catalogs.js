@@ -0,0 +1,159 @@
+/**
+ * Catálogos fiscales (SAT) usados para validar y normalizar parámetros
+ * Regímenes fiscales de personas físicas/morales y estados de la República
+ */
+
+/**
+ * Regímenes fiscales soportados
+ * key es el valor canónico que se envía al servidor MCP; clave es la del catálogo c_RegimenFiscal del SAT
+ */
+const REGIMENES = [
+  {
+    key: 'sueldos_salarios',
+    clave: '605',
+    nombre: 'Sueldos y Salarios e Ingresos Asimilados a Salarios',
+    aliases: ['sueldos y salarios', 'salarios', 'asalariado', 'asimilados a salarios']
+  },
+  {
+    key: 'arrendamiento',
+    clave: '606',
+    nombre: 'Arrendamiento',
+    aliases: ['rentas', 'arrendamiento de inmuebles']
+  },
+  {
+    key: 'actividad_empresarial',
+    clave: '612',
+    nombre: 'Personas Físicas con Actividades Empresariales y Profesionales',
+    aliases: ['actividad empresarial', 'actividades empresariales', 'actividades empresariales y profesionales', 'honorarios', 'servicios profesionales', 'pfae']
+  },
+  {
+    key: 'sin_obligaciones',
+    clave: '616',
+    nombre: 'Sin obligaciones fiscales',
+    aliases: ['sin obligaciones', 'ninguno']
+  },
+  {
+    key: 'incorporacion_fiscal',
+    clave: '621',
+    nombre: 'Incorporación Fiscal',
+    aliases: ['rif', 'regimen de incorporacion fiscal', 'incorporacion fiscal']
+  },
+  {
+    key: 'plataformas_tecnologicas',
+    clave: '625',
+    nombre: 'Actividades Empresariales con ingresos a través de Plataformas Tecnológicas',
+    aliases: ['plataformas', 'plataformas tecnologicas', 'plataformas digitales']
+  },
+  {
+    key: 'resico',
+    clave: '626',
+    nombre: 'Régimen Simplificado de Confianza',
+    aliases: ['resico', 'regimen simplificado de confianza', 'simplificado de confianza']
+  },
+  {
+    key: 'general_personas_morales',
+    clave: '601',
+    nombre: 'General de Ley Personas Morales',
+    aliases: ['general de ley', 'personas morales', 'general de ley personas morales']
+  }
+];
+
+/**
+ * Estados de la República con sus variantes de escritura más comunes
+ */
+const ESTADOS = [
+  { nombre: 'Aguascalientes', aliases: ['ags'] },
+  { nombre: 'Baja California', aliases: ['bc'] },
+  { nombre: 'Baja California Sur', aliases: ['bcs'] },
+  { nombre: 'Campeche', aliases: ['camp'] },
+  { nombre: 'Chiapas', aliases: ['chis'] },
+  { nombre: 'Chihuahua', aliases: ['chih'] },
+  { nombre: 'Ciudad de México', aliases: ['cdmx', 'df', 'distrito federal', 'ciudad de mexico'] },
+  { nombre: 'Coahuila', aliases: ['coahuila de zaragoza', 'coah'] },
+  { nombre: 'Colima', aliases: ['col'] },
+  { nombre: 'Durango', aliases: ['dgo'] },
+  { nombre: 'Estado de México', aliases: ['edomex', 'edo mex', 'edo de mexico', 'mexico', 'estado de mexico'] },
+  { nombre: 'Guanajuato', aliases: ['gto'] },
+  { nombre: 'Guerrero', aliases: ['gro'] },
+  { nombre: 'Hidalgo', aliases: ['hgo'] },
+  { nombre: 'Jalisco', aliases: ['jal'] },
+  { nombre: 'Michoacán', aliases: ['michoacan de ocampo', 'mich'] },
+  { nombre: 'Morelos', aliases: ['mor'] },
+  { nombre: 'Nayarit', aliases: ['nay'] },
+  { nombre: 'Nuevo León', aliases: ['nl'] },
+  { nombre: 'Oaxaca', aliases: ['oax'] },
+  { nombre: 'Puebla', aliases: ['pue'] },
+  { nombre: 'Querétaro', aliases: ['queretaro de arteaga', 'qro'] },
+  { nombre: 'Quintana Roo', aliases: ['qroo', 'q roo'] },
+  { nombre: 'San Luis Potosí', aliases: ['slp'] },
+  { nombre: 'Sinaloa', aliases: ['sin'] },
+  { nombre: 'Sonora', aliases: ['son'] },
+  { nombre: 'Tabasco', aliases: ['tab'] },
+  { nombre: 'Tamaulipas', aliases: ['tamps'] },
+  { nombre: 'Tlaxcala', aliases: ['tlax'] },
+  { nombre: 'Veracruz', aliases: ['veracruz de ignacio de la llave', 'ver'] },
+  { nombre: 'Yucatán', aliases: ['yuc'] },
+  { nombre: 'Zacatecas', aliases: ['zac'] }
+];
+
+/**
+ * Normaliza texto para comparar: minúsculas, sin acentos, sin puntos y con espacios simples
+ */
+function normalizeText(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[._-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function buildLookup(entries, getValue, getNames) {
+  const lookup = new Map();
+  entries.forEach(entry => {
+    getNames(entry).forEach(name => lookup.set(normalizeText(name), getValue(entry)));
+  });
+  return lookup;
+}
+
+const REGIMEN_LOOKUP = buildLookup(
+  REGIMENES,
+  r => r.key,
+  r => [r.key, r.clave, r.nombre, ...r.aliases]
+);
+
+const ESTADO_LOOKUP = buildLookup(
+  ESTADOS,
+  e => e.nombre,
+  e => [e.nombre, ...e.aliases]
+);
+
+/**
+ * Devuelve la key canónica del régimen o null si no se reconoce
+ */
+function normalizeRegimen(value) {
+  return REGIMEN_LOOKUP.get(normalizeText(value)) || null;
+}
+
+/**
+ * Devuelve el nombre canónico del estado o null si no se reconoce
+ */
+function normalizeEstado(value) {
+  return ESTADO_LOOKUP.get(normalizeText(value)) || null;
+}
+
+function getRegimen(key) {
+  return REGIMENES.find(r => r.key === key) || null;
+}
+
+module.exports = {
+  REGIMENES,
+  ESTADOS,
+  REGIMEN_KEYS: REGIMENES.map(r => r.key),
+  ESTADO_NOMBRES: ESTADOS.map(e => e.nombre),
+  normalizeRegimen,
+  normalizeEstado,
+  normalizeText,
+  getRegimen
+};
@@ -0,0 +1,581 @@
+/**
+ * Memoria de conversación del chat
+ * Guarda los turnos de cada sesión (user_id + session_id) y arma la ventana de historial
+ * que se envía a chat_with_fiscal_assistant: los turnos más recientes que caben en el
+ * presupuesto de tokens y un resumen de los anteriores
+ * - Supabase: tablas CHAT_SESSIONS_TABLE (chat_sessions) con user_id, session_id, title,
+ *   turn_count, created_at y updated_at (primary key user_id + session_id), y
+ *   CHAT_TURNS_TABLE (chat_turns) con user_id, session_id, role, content y created_at
+ * - Memoria: con CHAT_SESSIONS_BACKEND=memory o sin Supabase fuera de Lambda (desarrollo local y pruebas);
+ *   en Lambda sin Supabase /chat responde sin historial y /chat/sessions responde 503 STORAGE_UNAVAILABLE
+ */
+
+const crypto = require('crypto');
+const { validateParams, invalidParamsResponse } = require('./validation');
+const { errorResponse, errorResponseFromException } = require('./errors');
+const { runQuery, selectRepository } = require('./supabase');
+const { createLogger } = require('./logger');
+
+const log = createLogger('chat-sessions');
+
+const CHAT_SESSIONS_TABLE = process.env.CHAT_SESSIONS_TABLE || 'chat_sessions';
+const CHAT_TURNS_TABLE = process.env.CHAT_TURNS_TABLE || 'chat_turns';
+
+// Ventana de historial: tokens estimados y turnos máximos enviados a la herramienta
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET || '1500', 10);
+const HISTORY_MAX_TURNS = parseInt(process.env.CHAT_HISTORY_MAX_TURNS || '12', 10);
+
+// Turnos recientes que se leen del almacén por mensaje (los que no caben en la ventana se resumen)
+const HISTORY_FETCH_LIMIT = 40;
+
+const SUMMARY_MAX_CHARS = 800;
+const TITLE_MAX_CHARS = 60;
+
+const SESSION_COLUMNS = 'user_id, session_id, title, turn_count, created_at, updated_at';
+const TURN_COLUMNS = 'role, content, created_at';
+
+// ========== REPOSITORIOS ==========
+// Interfaz:
+// - getSession(userId, sessionId), listSessions(userId, { limit })
+// - saveSession(userId, sessionId, fields): crea o actualiza (title, turn_count, updated_at)
+// - deleteSession(userId, sessionId): true si existía
+// - appendTurns(userId, sessionId, turns), listTurns(userId, sessionId, { limit }) en orden cronológico
+
+/**
+ * Repositorio en memoria
+ */
+function createMemoryChatSessionRepository() {
+  const sessions = new Map();
+  const turns = new Map();
+  const keyOf = (userId, sessionId) => `${userId}:${sessionId}`;
+
+  return {
+    async getSession(userId, sessionId) {
+      const session = sessions.get(keyOf(userId, sessionId));
+      return session ? { ...session } : null;
+    },
+
+    async listSessions(userId, { limit } = {}) {
+      return [...sessions.values()]
+        .filter(session => session.user_id === userId)
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .slice(0, limit)
+        .map(session => ({ ...session }));
+    },
+
+    async saveSession(userId, sessionId, fields) {
+      const key = keyOf(userId, sessionId);
+      const now = new Date().toISOString();
+      const session = {
+        user_id: userId,
+        session_id: sessionId,
+        title: null,
+        turn_count: 0,
+        created_at: now,
+        ...sessions.get(key),
+        ...fields,
+        updated_at: fields.updated_at || now
+      };
+      sessions.set(key, session);
+      return { ...session };
+    },
+
+    async deleteSession(userId, sessionId) {
+      const key = keyOf(userId, sessionId);
+      turns.delete(key);
+      return sessions.delete(key);
+    },
+
+    async appendTurns(userId, sessionId, newTurns) {
+      const key = keyOf(userId, sessionId);
+      turns.set(key, [...(turns.get(key) || []), ...newTurns.map(turn => ({ ...turn }))]);
+    },
+
+    async listTurns(userId, sessionId, { limit } = {}) {
+      const list = turns.get(keyOf(userId, sessionId)) || [];
+      return (limit ? list.slice(-limit) : list).map(turn => ({ ...turn }));
+    }
+  };
+}
+
+/**
+ * Repositorio sobre tablas de Supabase
+ */
+function createSupabaseChatSessionRepository(client, options = {}) {
+  const sessionsTable = options.sessionsTable || CHAT_SESSIONS_TABLE;
+  const turnsTable = options.turnsTable || CHAT_TURNS_TABLE;
+
+  return {
+    async getSession(userId, sessionId) {
+      return runQuery('chat_sessions.get', () => client
+        .from(sessionsTable)
+        .select(SESSION_COLUMNS)
+        .eq('user_id', userId)
+        .eq('session_id', sessionId)
+        .maybeSingle());
+    },
+
+    async listSessions(userId, { limit } = {}) {
+      return runQuery('chat_sessions.list', () => client
+        .from(sessionsTable)
+        .select(SESSION_COLUMNS)
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .limit(limit));
+    },
+
+    async saveSession(userId, sessionId, fields) {
+      return runQuery('chat_sessions.save', () => client
+        .from(sessionsTable)
+        .upsert({
+          user_id: userId,
+          session_id: sessionId,
+          ...fields,
+          updated_at: fields.updated_at || new Date().toISOString()
+        }, { onConflict: 'user_id,session_id' })
+        .select(SESSION_COLUMNS)
+        .single());
+    },
+
+    async deleteSession(userId, sessionId) {
+      await runQuery('chat_turns.delete', () => client
+        .from(turnsTable)
+        .delete()
+        .eq('user_id', userId)
+        .eq('session_id', sessionId));
+
+      const deleted = await runQuery('chat_sessions.delete', () => client
+        .from(sessionsTable)
+        .delete()
+        .eq('user_id', userId)
+        .eq('session_id', sessionId)
+        .select('session_id'));
+      return (deleted || []).length > 0;
+    },
+
+    async appendTurns(userId, sessionId, turns) {
+      await runQuery('chat_turns.append', () => client
+        .from(turnsTable)
+        .insert(turns.map(turn => ({ user_id: userId, session_id: sessionId, ...turn }))));
+    },
+
+    async listTurns(userId, sessionId, { limit } = {}) {
+      // Los más recientes primero para aplicar limit; se devuelven en orden cronológico
+      const rows = await runQuery('chat_turns.list', () => {
+        const query = client
+          .from(turnsTable)
+          .select(TURN_COLUMNS)
+          .eq('user_id', userId)
+          .eq('session_id', sessionId)
+          .order('created_at', { ascending: false });
+        return limit ? query.limit(limit) : query;
+      });
+      return (rows || []).reverse();
+    }
+  };
+}
+
+let repository = null;
+
+/**
+ * Repositorio según el entorno (CHAT_SESSIONS_BACKEND=memory para forzar memoria; ver selectRepository)
+ */
+function getChatSessionRepository() {
+  if (!repository) {
+    repository = selectRepository({
+      name: 'chat_sessions',
+      variable: 'CHAT_SESSIONS_BACKEND',
+      log,
+      supabase: client => createSupabaseChatSessionRepository(client),
+      memory: () => createMemoryChatSessionRepository()
+    });
+  }
+  return repository;
+}
+
+/**
+ * Reemplaza el repositorio (pruebas o un almacén distinto)
+ */
+function setChatSessionRepository(repo) {
+  repository = repo;
+}
+
+// ========== VENTANA DE HISTORIAL ==========
+
+/**
+ * Estimación de tokens sin tokenizer (~4 caracteres por token)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function truncate(text, maxChars) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > maxChars ? `${clean.substring(0, maxChars - 1)}…` : clean;
+}
+
+/**
+ * Resumen extractivo de los turnos que quedan fuera de la ventana:
+ * las preguntas del usuario y el inicio de cada respuesta
+ */
+function summarizeTurns(turns, omitted = 0) {
+  if (turns.length === 0 && omitted === 0) {
+    return null;
+  }
+
+  const lines = turns.map(turn => turn.role === 'user'
+    ? `Usuario: ${truncate(turn.content, 160)}`
+    : `Asistente: ${truncate(turn.content, 120)}`);
+
+  // Si no cabe, se conservan las líneas más recientes
+  const build = () => [omitted > 0 ? `(${omitted + turns.length - lines.length} turnos anteriores omitidos)` : null, ...lines]
+    .filter(Boolean)
+    .join('\n');
+  while (build().length > SUMMARY_MAX_CHARS && lines.length > 1) {
+    lines.shift();
+  }
+  const summary = build();
+  return summary.length > SUMMARY_MAX_CHARS ? `${summary.substring(0, SUMMARY_MAX_CHARS - 1)}…` : summary;
+}
+
+/**
+ * Turnos recientes que caben en el presupuesto (de más nuevo a más viejo) y resumen del resto
+ * totalTurns: turnos guardados en la sesión (incluye los que no se leyeron del almacén)
+ * Retorna { history: [{ role, content }], summary, summarized_turns }
+ */
+function buildHistoryWindow(turns, options = {}) {
+  const tokenBudget = options.tokenBudget || HISTORY_TOKEN_BUDGET;
+  const maxTurns = options.maxTurns || HISTORY_MAX_TURNS;
+  const totalTurns = Math.max(options.totalTurns || 0, turns.length);
+
+  let used = 0;
+  let start = turns.length;
+  while (start > 0 && turns.length - start < maxTurns) {
+    const tokens = estimateTokens(turns[start - 1].content);
+    if (used + tokens > tokenBudget) break;
+    used += tokens;
+    start -= 1;
+  }
+
+  const older = turns.slice(0, start);
+  const omitted = totalTurns - turns.length;
+
+  return {
+    history: turns.slice(start).map(turn => ({ role: turn.role, content: turn.content })),
+    summary: summarizeTurns(older, omitted),
+    summarized_turns: older.length + omitted
+  };
+}
+
+/**
+ * Sesión e historial para un mensaje de chat; sin session_id se crea una sesión nueva
+ * Si el almacén falla el chat continúa sin historial
+ * Retorna { session_id, session, history, summary, summarized_turns }
+ */
+async function loadChatMemory(userId, sessionId) {
+  const id = sessionId || crypto.randomUUID();
+  const empty = { session_id: id, session: null, history: [], summary: null, summarized_turns: 0 };
+
+  if (!sessionId) {
+    return empty;
+  }
+
+  try {
+    const repo = getChatSessionRepository();
+    const session = await repo.getSession(userId, id);
+    if (!session) {
+      return empty;
+    }
+
+    const turns = await repo.listTurns(userId, id, { limit: HISTORY_FETCH_LIMIT });
+    return { session_id: id, session, ...buildHistoryWindow(turns, { totalTurns: session.turn_count }) };
+  } catch (error) {
+    log.warn('No se pudo leer el historial del chat, se continúa sin él', { error, session_id: id });
+    return empty;
+  }
+}
+
+/**
+ * Guarda el mensaje del usuario y la respuesta; crea la sesión con título si es nueva
+ * Un error del almacén solo se registra: no debe romper la respuesta del chat
+ */
+async function saveChatTurns(userId, memory, message, reply) {
+  const now = new Date().toISOString();
+  const turns = [
+    { role: 'user', content: message, created_at: now },
+    { role: 'assistant', content: reply, created_at: new Date(Date.parse(now) + 1).toISOString() }
+  ];
+
+  try {
+    const repo = getChatSessionRepository();
+    await repo.appendTurns(userId, memory.session_id, turns);
+    await repo.saveSession(userId, memory.session_id, {
+      title: (memory.session && memory.session.title) || truncate(message, TITLE_MAX_CHARS),
+      turn_count: ((memory.session && memory.session.turn_count) || 0) + turns.length,
+      updated_at: turns[1].created_at
+    });
+  } catch (error) {
+    log.warn('No se pudo guardar el turno del chat', { error, session_id: memory.session_id });
+  }
+}
+
+// ========== HANDLERS /chat/sessions ==========
+
+const SESSION_RESPONSE = {
+  type: 'object',
+  properties: {
+    session_id: { type: 'string' },
+    title: { type: ['string', 'null'] },
+    turn_count: { type: 'integer' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' }
+  }
+};
+
+const USER_ID_PROPERTY = { type: 'string', description: 'Identificador del usuario' };
+const SESSION_ID_PROPERTY = { type: 'string', maxLength: 128, description: 'Identificador de la sesión de chat' };
+
+const LIST_SESSIONS_SCHEMA = {
+  summary: 'Sesiones de chat del usuario (más recientes primero)',
+  request: {
+    type: 'object',
+    required: ['user_id'],
+    properties: {
+      user_id: USER_ID_PROPERTY,
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Número máximo de sesiones' }
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      sessions: { type: 'array', items: SESSION_RESPONSE },
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['success', 'sessions', 'timestamp']
+  }
+};
+
+const GET_SESSION_SCHEMA = {
+  summary: 'Sesión de chat con sus turnos',
+  request: {
+    type: 'object',
+    required: ['user_id', 'session_id'],
+    properties: {
+      user_id: USER_ID_PROPERTY,
+      session_id: SESSION_ID_PROPERTY
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      session: SESSION_RESPONSE,
+      turns: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            role: { type: 'string', enum: ['user', 'assistant'] },
+            content: { type: 'string' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['success', 'session', 'turns', 'timestamp']
+  }
+};
+
+const RENAME_SESSION_SCHEMA = {
+  summary: 'Renombra una sesión de chat',
+  request: {
+    type: 'object',
+    required: ['user_id', 'session_id', 'title'],
+    properties: {
+      user_id: USER_ID_PROPERTY,
+      session_id: SESSION_ID_PROPERTY,
+      title: { type: 'string', maxLength: 120, description: 'Nuevo título de la sesión' }
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      session: SESSION_RESPONSE,
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['success', 'session', 'timestamp']
+  }
+};
+
+const DELETE_SESSION_SCHEMA = {
+  summary: 'Elimina una sesión de chat y sus turnos',
+  request: GET_SESSION_SCHEMA.request,
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      session_id: { type: 'string' },
+      deleted: { type: 'boolean' },
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['success', 'session_id', 'deleted', 'timestamp']
+  }
+};
+
+function toSessionResponse(session) {
+  return {
+    session_id: session.session_id,
+    title: session.title || null,
+    turn_count: session.turn_count || 0,
+    created_at: session.created_at,
+    updated_at: session.updated_at
+  };
+}
+
+function sessionNotFound(sessionId) {
+  return errorResponse('NOT_FOUND', {
+    message: 'Sesión de chat no encontrada',
+    details: { resource: 'chat_session', session_id: sessionId }
+  });
+}
+
+/**
+ * GET /chat/sessions
+ */
+async function handleListSessions(params) {
+  const { value, errors } = validateParams(LIST_SESSIONS_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  try {
+    const sessions = await getChatSessionRepository().listSessions(value.user_id, { limit: value.limit });
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        sessions: sessions.map(toSessionResponse),
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * GET /chat/sessions/:session_id
+ */
+async function handleGetSession(params) {
+  const { value, errors } = validateParams(GET_SESSION_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  try {
+    const repo = getChatSessionRepository();
+    const session = await repo.getSession(value.user_id, value.session_id);
+    if (!session) {
+      return sessionNotFound(value.session_id);
+    }
+
+    const turns = await repo.listTurns(value.user_id, value.session_id);
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        session: toSessionResponse(session),
+        turns: turns.map(turn => ({ role: turn.role, content: turn.content, created_at: turn.created_at })),
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * PATCH /chat/sessions/:session_id
+ */
+async function handleRenameSession(params) {
+  const { value, errors } = validateParams(RENAME_SESSION_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  try {
+    const repo = getChatSessionRepository();
+    const session = await repo.getSession(value.user_id, value.session_id);
+    if (!session) {
+      return sessionNotFound(value.session_id);
+    }
+
+    // Renombrar no cambia updated_at: el orden de la lista sigue la actividad del chat
+    const updated = await repo.saveSession(value.user_id, value.session_id, {
+      title: value.title,
+      updated_at: session.updated_at
+    });
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        session: toSessionResponse(updated),
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * DELETE /chat/sessions/:session_id
+ */
+async function handleDeleteSession(params) {
+  const { value, errors } = validateParams(DELETE_SESSION_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  try {
+    const deleted = await getChatSessionRepository().deleteSession(value.user_id, value.session_id);
+    if (!deleted) {
+      return sessionNotFound(value.session_id);
+    }
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        session_id: value.session_id,
+        deleted: true,
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+module.exports = {
+  createMemoryChatSessionRepository,
+  createSupabaseChatSessionRepository,
+  getChatSessionRepository,
+  setChatSessionRepository,
+  buildHistoryWindow,
+  loadChatMemory,
+  saveChatTurns,
+  handleListSessions,
+  handleGetSession,
+  handleRenameSession,
+  handleDeleteSession,
+  schemas: {
+    listSessions: LIST_SESSIONS_SCHEMA,
+    getSession: GET_SESSION_SCHEMA,
+    renameSession: RENAME_SESSION_SCHEMA,
+    deleteSession: DELETE_SESSION_SCHEMA
+  }
+};
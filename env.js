@@ -0,0 +1,34 @@
+/**
+ * Lectura de variables de entorno con JSON (overrides de timeouts, TTLs, límites, pesos)
+ * Se leen al cargar los módulos: un valor inválido no debe impedir el arranque de la Lambda
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('config');
+
+/**
+ * Objeto JSON de la variable `name`; {} si no está definida o no es un objeto JSON válido
+ * (se registra una advertencia con el nombre de la variable)
+ */
+function readJsonEnv(name) {
+  const raw = process.env[name];
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+    log.warn('Variable de entorno ignorada: se esperaba un objeto JSON', { variable: name });
+  } catch (error) {
+    log.warn('Variable de entorno ignorada: JSON inválido', { variable: name, error });
+  }
+  return {};
+}
+
+module.exports = {
+  readJsonEnv
+};
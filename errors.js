@@ -0,0 +1,241 @@
+/**
+ * Modelo de errores uniforme
+ * Cada error tiene un código estable para clientes, su status HTTP y mensajes en español
+ * e inglés. Cuerpo de toda respuesta de error:
+ * { error: mensaje, code, details?, errors?, request_id, timestamp }
+ */
+
+const { getRequestContext } = require('./logger');
+
+const ERRORS = {
+  VALIDATION_FAILED: {
+    status: 400,
+    es: 'Parámetros inválidos',
+    en: 'Invalid parameters'
+  },
+  INVALID_JSON: {
+    status: 400,
+    es: 'El cuerpo de la solicitud no es JSON válido',
+    en: 'Request body is not valid JSON'
+  },
+  UNSUPPORTED_API_VERSION: {
+    status: 400,
+    es: 'Versión del API no soportada',
+    en: 'Unsupported API version'
+  },
+  UNAUTHENTICATED: {
+    status: 401,
+    es: 'Se requiere un token de acceso válido',
+    en: 'A valid access token is required'
+  },
+  TOKEN_EXPIRED: {
+    status: 401,
+    es: 'El token de acceso expiró',
+    en: 'The access token has expired'
+  },
+  FORBIDDEN: {
+    status: 403,
+    es: 'No tienes acceso a este recurso',
+    en: 'You do not have access to this resource'
+  },
+  NOT_FOUND: {
+    status: 404,
+    es: 'Recurso no encontrado',
+    en: 'Resource not found'
+  },
+  METHOD_NOT_ALLOWED: {
+    status: 405,
+    es: 'Método no permitido',
+    en: 'Method not allowed'
+  },
+  RATE_LIMITED: {
+    status: 429,
+    es: 'Demasiadas solicitudes',
+    en: 'Too many requests'
+  },
+  UPSTREAM_TOOL_ERROR: {
+    status: 502,
+    es: 'La herramienta del asistente fiscal reportó un error',
+    en: 'The fiscal assistant tool reported an error'
+  },
+  MCP_PROTOCOL_ERROR: {
+    status: 502,
+    es: 'Respuesta inválida del servidor del asistente fiscal',
+    en: 'Invalid response from the fiscal assistant server'
+  },
+  UPSTREAM_HTTP_ERROR: {
+    status: 502,
+    es: 'El servidor del asistente fiscal respondió con un error',
+    en: 'The fiscal assistant server returned an error'
+  },
+  UPSTREAM_UNAVAILABLE: {
+    status: 503,
+    es: 'El asistente fiscal no está disponible, intenta más tarde',
+    en: 'The fiscal assistant is unavailable, please try again later'
+  },
+  STORAGE_UNAVAILABLE: {
+    status: 503,
+    es: 'No se pudo acceder a los datos guardados, intenta más tarde',
+    en: 'Stored data is unavailable, please try again later'
+  },
+  UPSTREAM_TIMEOUT: {
+    status: 504,
+    es: 'El asistente fiscal tardó demasiado en responder',
+    en: 'The fiscal assistant took too long to respond'
+  },
+  INTERNAL_ERROR: {
+    status: 500,
+    es: 'Error interno del servidor',
+    en: 'Internal server error'
+  }
+};
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Crea un Error con código de la taxonomía
+ * options: { message, details, cause }
+ */
+function createAppError(code, options = {}) {
+  const definition = ERRORS[code] || ERRORS.INTERNAL_ERROR;
+  const error = new Error(options.message || definition.es, options.cause ? { cause: options.cause } : undefined);
+  error.appCode = code;
+  error.statusCode = definition.status;
+  error.details = options.details;
+  return error;
+}
+
+/**
+ * Error para un resultado de herramienta MCP con isError: true
+ */
+function createToolError(toolName, result) {
+  const text = (result.content || [])
+    .filter(item => item.type === 'text' && item.text)
+    .map(item => item.text)
+    .join('\n');
+
+  return createAppError('UPSTREAM_TOOL_ERROR', {
+    message: `La herramienta ${toolName} reportó un error: ${text || 'sin detalle'}`,
+    details: { tool: toolName, tool_message: text || null }
+  });
+}
+
+/**
+ * Traduce cualquier error (propio, de red, HTTP o JSON-RPC) a { code, details, retryAfterMs }
+ * Recorre error.cause porque callMcpTool envuelve el error original
+ */
+function classifyError(error) {
+  let current = error;
+
+  while (current) {
+    if (current.appCode) {
+      return { code: current.appCode, details: current.details };
+    }
+    if (current.code === 'ETIMEDOUT') {
+      return { code: 'UPSTREAM_TIMEOUT' };
+    }
+    if (current.code === 'CIRCUIT_OPEN') {
+      return { code: 'UPSTREAM_UNAVAILABLE', details: { reason: 'circuit_open' }, retryAfterMs: current.retryAfterMs };
+    }
+    if (NETWORK_CODES.includes(current.code)) {
+      return { code: 'UPSTREAM_UNAVAILABLE', details: { reason: current.code } };
+    }
+    if (current.rpcError) {
+      return {
+        code: 'MCP_PROTOCOL_ERROR',
+        details: {
+          rpc_error: {
+            code: current.rpcError.code,
+            message: current.rpcError.message,
+            data: current.rpcError.data
+          },
+          upstream_status: current.statusCode
+        }
+      };
+    }
+    if (current.statusCode) {
+      const unavailable = [429, 502, 503, 504].includes(current.statusCode);
+      return {
+        code: current.statusCode === 504 ? 'UPSTREAM_TIMEOUT' : (unavailable ? 'UPSTREAM_UNAVAILABLE' : 'UPSTREAM_HTTP_ERROR'),
+        details: { upstream_status: current.statusCode }
+      };
+    }
+    current = current.cause;
+  }
+
+  return { code: 'INTERNAL_ERROR' };
+}
+
+/**
+ * Respuesta { statusCode, headers, body } para un código de la taxonomía
+ * options: { message, details, errors, headers }
+ */
+function errorResponse(code, options = {}) {
+  const definition = ERRORS[code] || ERRORS.INTERNAL_ERROR;
+
+  return {
+    statusCode: definition.status,
+    headers: options.headers,
+    body: {
+      error: options.message || definition.es,
+      code,
+      details: options.details,
+      errors: options.errors,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Respuesta de error para una excepción; el mensaje es el de la taxonomía (sin
+ * detalles internos) salvo para errores propios creados con createAppError
+ */
+function errorResponseFromException(error) {
+  const { code, details, retryAfterMs } = classifyError(error);
+  const stack = process.env.NODE_ENV === 'development' ? error.stack : undefined;
+
+  return errorResponse(code, {
+    message: error.appCode ? error.message : undefined,
+    details: stack ? { ...details, stack } : details,
+    headers: retryAfterMs !== undefined ? { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) } : undefined
+  });
+}
+
+/**
+ * Idioma de los mensajes según Accept-Language (es por defecto)
+ */
+function getLanguage(event) {
+  const headers = (event && event.headers) || {};
+  const accept = (headers['accept-language'] || headers['Accept-Language'] || '').toLowerCase();
+  const preferred = accept.split(',').map(part => part.split(';')[0].trim()).find(tag => /^(es|en)\b/.test(tag));
+  return preferred && preferred.startsWith('en') ? 'en' : 'es';
+}
+
+/**
+ * Completa el cuerpo de una respuesta de error con el request id y el mensaje en el
+ * idioma de la petición (el contexto lo fija index.js al iniciar la petición)
+ */
+function localizeErrorBody(body) {
+  if (!body || typeof body !== 'object' || !ERRORS[body.code]) {
+    return body;
+  }
+
+  const context = getRequestContext() || {};
+  return {
+    ...body,
+    error: context.language === 'en' ? ERRORS[body.code].en : body.error,
+    request_id: context.requestId
+  };
+}
+
+module.exports = {
+  ERRORS,
+  ERROR_CODES: Object.keys(ERRORS),
+  createAppError,
+  createToolError,
+  classifyError,
+  errorResponse,
+  errorResponseFromException,
+  getLanguage,
+  localizeErrorBody
+};
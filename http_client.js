@@ -0,0 +1,230 @@
+/**
+ * Cliente HTTP/HTTPS mínimo basado en los módulos nativos de Node
+ */
+
+const https = require('https');
+const http = require('http');
+const { createSseParser } = require('./sse_parser');
+const { withSpan, getTraceHeaders } = require('./tracing');
+
+function isJsonRpcResponse(message) {
+  return message && message.jsonrpc === '2.0' && message.id !== undefined &&
+    (message.result !== undefined || message.error !== undefined);
+}
+
+/**
+ * Consume una respuesta text/event-stream
+ * Cada evento trae uno o varios mensajes JSON-RPC; se resuelve con la respuesta cuyo id
+ * coincide con options.jsonRpcId (o la primera respuesta si no se indicó id) y las
+ * notificaciones recibidas antes se devuelven aparte (notifications / progress)
+ * Si el stream termina antes de la respuesta del jsonRpcId se rechaza con ECONNRESET
+ * (transitorio: se reintenta y cuenta para el circuit breaker)
+ */
+function handleEventStream(res, options, resolve, reject) {
+  const events = [];
+  const notifications = [];
+  const progress = [];
+  let response;
+  let settled = false;
+
+  function fail(error) {
+    if (settled) return;
+    settled = true;
+    reject(error);
+  }
+
+  function finish(body) {
+    if (settled) return;
+    settled = true;
+    resolve({
+      statusCode: res.statusCode,
+      headers: res.headers,
+      body,
+      events,
+      notifications,
+      progress
+    });
+  }
+
+  function handleMessage(message) {
+    if (isJsonRpcResponse(message)) {
+      if (options.jsonRpcId === undefined || message.id === options.jsonRpcId) {
+        response = message;
+      }
+      return;
+    }
+
+    // Notificación (sin id) o petición del servidor (con id): se reportan sin resolver
+    if (message && message.method) {
+      notifications.push(message);
+      if (message.method === 'notifications/progress') {
+        progress.push(message.params);
+      }
+      if (options.onNotification) {
+        options.onNotification(message);
+      }
+    }
+  }
+
+  const parser = createSseParser((event) => {
+    events.push(event);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+
+    (Array.isArray(parsed) ? parsed : [parsed]).forEach(handleMessage);
+
+    // El servidor puede mantener el stream abierto: con la respuesta basta
+    if (response) {
+      finish(response);
+      res.destroy();
+    }
+  });
+
+  function complete() {
+    if (settled) return;
+    parser.end();
+    if (response) {
+      finish(response);
+      return;
+    }
+
+    if (options.jsonRpcId !== undefined) {
+      const error = new Error(`El stream SSE terminó sin la respuesta JSON-RPC ${options.jsonRpcId} (${events.length} eventos recibidos)`);
+      error.code = 'ECONNRESET';
+      fail(error);
+      return;
+    }
+
+    // Petición sin id: retornar el último data parseable o el texto crudo
+    const last = events[events.length - 1];
+    let body = last ? last.data : '';
+    try {
+      body = JSON.parse(body);
+    } catch (e) {
+      // se deja como texto
+    }
+    finish(body);
+  }
+
+  res.on('data', chunk => parser.push(chunk));
+  res.on('end', complete);
+  res.on('close', complete);
+  res.on('error', fail);
+}
+
+/**
+ * Realiza una petición HTTP/HTTPS dentro de un span CLIENT y propaga el traceparent
+ * options.timeoutMs aborta la petición completa (incluido un stream SSE) con error code ETIMEDOUT
+ * Opciones SSE: jsonRpcId (id de la petición a correlacionar) y onNotification(message)
+ */
+function makeHttpRequest(url, options = {}) {
+  const urlObj = new URL(url);
+  const method = options.method || 'GET';
+
+  return withSpan(`HTTP ${method}`, {
+    'http.request.method': method,
+    'server.address': urlObj.hostname,
+    'url.full': `${urlObj.origin}${urlObj.pathname}`
+  }, async (span) => {
+    const response = await sendRequest(url, {
+      ...options,
+      headers: { ...getTraceHeaders(), ...options.headers }
+    });
+    span.setAttribute('http.response.status_code', response.statusCode);
+    return response;
+  }, 'CLIENT');
+}
+
+function sendRequest(url, options) {
+  return new Promise((promiseResolve, promiseReject) => {
+    const urlObj = new URL(url);
+    const protocol = urlObj.protocol === 'https:' ? https : http;
+    let timer = null;
+
+    const resolve = (value) => {
+      clearTimeout(timer);
+      promiseResolve(value);
+    };
+    const reject = (error) => {
+      clearTimeout(timer);
+      promiseReject(error);
+    };
+    
+    const reqOptions = {
+      hostname: urlObj.hostname,
+      port: urlObj.port,
+      path: urlObj.pathname + urlObj.search,
+      method: options.method || 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        'User-Agent': 'FiscAI-Lambda-Bridge',
+        ...options.headers
+      }
+    };
+
+    const req = protocol.request(reqOptions, (res) => {
+      const contentType = res.headers['content-type'] || '';
+      res.setEncoding('utf8');
+
+      // Si el Content-Type es text/event-stream, parsear como SSE de forma incremental
+      if (contentType.includes('text/event-stream')) {
+        handleEventStream(res, options, resolve, reject);
+        return;
+      }
+
+      let data = '';
+      
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      
+      res.on('end', () => {
+        try {
+          // Parsear como JSON normal
+          const parsed = JSON.parse(data);
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: parsed
+          });
+        } catch (e) {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: data
+          });
+        }
+      });
+
+      res.on('error', reject);
+    });
+    
+    req.on('error', reject);
+
+    if (options.timeoutMs) {
+      timer = setTimeout(() => {
+        const error = new Error(`Timeout después de ${options.timeoutMs}ms: ${reqOptions.method} ${urlObj.origin}${urlObj.pathname}`);
+        error.code = 'ETIMEDOUT';
+        // Rechazar antes de destruir: el cierre del socket no debe resolver con una respuesta parcial
+        reject(error);
+        req.destroy(error);
+      }, options.timeoutMs);
+    }
+    
+    if (options.body) {
+      req.write(typeof options.body === 'string' ? options.body : JSON.stringify(options.body));
+    }
+    
+    req.end();
+  });
+}
+
+module.exports = {
+  makeHttpRequest
+};
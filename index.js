@@ -4,6 +4,32 @@
  */
 
 const mcpBridge = require('./mcp_bridge');
+const mcpClient = require('./mcp_client');
+const profiles = require('./profiles');
+const riskHistory = require('./risk_history');
+const chatSessions = require('./chat_sessions');
+const { createRouter } = require('./router');
+const { buildOpenApiDocument, summarizeSchema, QUERY_METHODS } = require('./openapi');
+const { formatSseEvent } = require('./sse_parser');
+const { authenticate, resolveUserId, authErrorResponse } = require('./auth');
+const { createLogger, runWithRequestContext, getRequestContext, setRequestContext } = require('./logger');
+const metrics = require('./metrics');
+const { withRequestSpan, withSpan, getTraceId } = require('./tracing');
+const { validateParams, invalidParamsResponse } = require('./validation');
+const {
+  createRateLimiter,
+  rateLimitHeaders,
+  rateLimitedResponse,
+  getClientIp,
+  storeFromEnv: rateLimiterStoreFromEnv
+} = require('./rate_limiter');
+const {
+  createAppError,
+  errorResponse: buildErrorResponse,
+  errorResponseFromException,
+  getLanguage,
+  localizeErrorBody
+} = require('./errors');
 
 // ========== UTILIDADES ==========
 
@@ -15,242 +41,561 @@ function extractParams(event) {
   }
   
   if (event.body) {
-    const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    params = { ...params, ...body };
+    params = { ...params, ...parseBody(event.body) };
   }
   
-  if (!event.queryStringParameters && !event.body && !event.httpMethod) {
+  if (!event.queryStringParameters && !event.body && !getMethod(event)) {
     params = { ...event };
   }
 
   return params;
 }
 
-function createResponse(statusCode, body) {
+function parseBody(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw createAppError('INVALID_JSON', { details: { reason: error.message }, cause: error });
+  }
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, Cache-Control, Accept-Version, X-Request-Id, traceparent, tracestate',
+  'Access-Control-Expose-Headers': 'X-Request-Id, X-Cache, Age, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After, X-API-Version, Deprecation, Sunset, Link'
+};
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive'
+};
+
+/**
+ * Respuesta JSON; los cuerpos de error se completan con request_id y el idioma de la petición
+ */
+function createResponse(statusCode, body, headers = {}) {
   return {
     statusCode,
     headers: {
       'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      ...CORS_HEADERS,
+      ...headers
     },
-    body: JSON.stringify(body)
+    body: JSON.stringify(statusCode >= 400 ? localizeErrorBody(body) : body)
   };
 }
 
-function getEndpoint(event) {
+/**
+ * Evento SSE; el evento error lleva el mismo cuerpo que una respuesta de error
+ */
+function sseEvent(name, data) {
+  return formatSseEvent(name, name === 'error' ? localizeErrorBody(data) : data);
+}
+
+/**
+ * Convierte el resultado de un handler en respuesta Lambda
+ * Los handlers pueden retornar rawBody (texto ya serializado, p. ej. SSE) en lugar de body
+ */
+function toLambdaResponse(result) {
+  if (result.rawBody !== undefined) {
+    return {
+      statusCode: result.statusCode,
+      headers: { ...CORS_HEADERS, ...result.headers },
+      body: result.rawBody
+    };
+  }
+
+  return createResponse(result.statusCode, result.body, result.headers);
+}
+
+/**
+ * El cliente pide streaming con ?stream=true o con Accept: text/event-stream
+ */
+function wantsEventStream(event, params) {
+  const accept = event.headers?.accept || event.headers?.Accept || '';
+  return params.stream === true || params.stream === 'true' || accept.includes('text/event-stream');
+}
+
+/**
+ * El cliente pide ignorar la caché con Cache-Control: no-cache (o Pragma: no-cache)
+ */
+function wantsCacheBypass(event) {
+  const headers = event.headers || {};
+  const cacheControl = headers['cache-control'] || headers['Cache-Control'] || headers.pragma || headers.Pragma || '';
+  return /no-cache|no-store/i.test(cacheControl);
+}
+
+function getMethod(event) {
+  return event.httpMethod || event.requestContext?.http?.method || null;
+}
+
+function getPath(event) {
   // Extraer path de diferentes formatos de API Gateway
   let path = event.path || event.rawPath || event.requestContext?.resourcePath || '';
-  
-  // Normalizar path (remover trailing slash)
-  path = path.replace(/\/$/, '');
-  
-  console.log(`[ROUTER] Path: ${path}`);
-  
-  // Mapeo de endpoints
-  if (path.includes('/recommendation')) return 'recommendation';
-  if (path.includes('/fiscal-advice') || path.includes('/fiscaladvice')) return 'fiscal-advice';
-  if (path.includes('/chat')) return 'chat';
-  if (path.includes('/risk-analysis') || path.includes('/risk')) return 'risk-analysis';
-  if (path.includes('/search')) return 'search';
-  if (path.includes('/places') || path.includes('/map') || path.includes('/places-search')) return 'places';
-  if (path.includes('/user-context') || path.includes('/context')) return 'user-context';
-  if (path.includes('/fiscal-consultation')) return 'fiscal-consultation';
-  if (path.includes('/risk-assessment')) return 'risk-assessment';
-  
-  // Health check
-  if (path.includes('/health')) return 'health';
-  
-  // Root o info
-  if (path === '/' || path === '' || path === '/info') return 'info';
-  
-  return 'unknown';
+
+  // En HTTP APIs con stage distinto de $default, rawPath incluye el stage como prefijo
+  const stage = event.requestContext?.stage;
+  if (stage && stage !== '$default' && path.startsWith(`/${stage}/`)) {
+    path = path.substring(stage.length + 1);
+  }
+
+  return path;
 }
 
-// ========== HANDLER PRINCIPAL ==========
+/**
+ * URL base pública del API (dominio + stage) cuando viene de API Gateway
+ */
+function getBaseUrl(event) {
+  const domain = event.requestContext?.domainName || event.headers?.Host || event.headers?.host;
+  if (!domain) return null;
 
-exports.handler = async (event, context) => {
-  console.log('Event:', JSON.stringify(event, null, 2));
-  
-  // Manejar OPTIONS (CORS preflight)
-  if (event.httpMethod === 'OPTIONS' || event.requestContext?.http?.method === 'OPTIONS') {
-    return createResponse(200, { message: 'OK' });
+  const stage = event.requestContext?.stage;
+  return stage && stage !== '$default' ? `https://${domain}/${stage}` : `https://${domain}`;
+}
+
+// ========== VERSIONES DEL API ==========
+
+const SERVICE_VERSION = '2.0.0';
+
+// Versión por path (/v1/chat, /v2/chat) o header Accept-Version; sin ninguno se usa v1, que
+// congela el comportamiento original para las builds publicadas de la app
+// API_V1_SUNSET='2027-06-30' anuncia la fecha de retiro de v1 en el header Sunset
+const API_VERSIONS = {
+  v1: { status: 'deprecated', aliases: true, sunset: process.env.API_V1_SUNSET || null },
+  // v2: sin aliases legacy y /recommendation dentro del sobre común
+  v2: { status: 'current', aliases: false }
+};
+
+const DEFAULT_API_VERSION = 'v1';
+const LATEST_API_VERSION = 'v2';
+
+/**
+ * Headers de versión: X-API-Version y, en versiones deprecadas, Deprecation / Sunset / Link
+ */
+function versionHeaders(version) {
+  const config = API_VERSIONS[version];
+  if (!config) {
+    return {};
   }
 
-  try {
-    const endpoint = getEndpoint(event);
-    console.log(`[ROUTER] Endpoint detectado: ${endpoint}`);
-    
-    const params = extractParams(event);
-
-    // Enrutamiento
-    switch (endpoint) {
-      
-      // ========== ENDPOINT COMBINADO (REACT NATIVE) ==========
-      
-      case 'recommendation': {
-        console.log('[COMBINED] Llamando handleRecommendation...');
-        const result = await mcpBridge.handleRecommendation(params);
-        return createResponse(result.statusCode, result.body);
-      }
-      
-      // ========== ENDPOINTS MCP ==========
-      
-      case 'fiscal-advice': {
-        console.log('[MCP] Llamando get_fiscal_advice...');
-        const result = await mcpBridge.handleMcpFiscalAdvice(params);
-        return createResponse(result.statusCode, result.body);
-      }
-      
-      case 'chat': {
-        console.log('[MCP] Llamando chat_with_fiscal_assistant...');
-        const result = await mcpBridge.handleMcpChat(params);
-        return createResponse(result.statusCode, result.body);
-      }
-      
-      case 'risk-analysis': {
-        console.log('[MCP] Llamando analyze_fiscal_risk...');
-        const result = await mcpBridge.handleMcpRiskAnalysis(params);
-        return createResponse(result.statusCode, result.body);
-      }
-      
-      case 'search': {
-        console.log('[MCP] Llamando search_fiscal_documents...');
-        const result = await mcpBridge.handleMcpSearch(params);
-        return createResponse(result.statusCode, result.body);
-      }
+  const headers = { 'X-API-Version': version };
+  if (config.status === 'deprecated') {
+    headers.Deprecation = 'true';
+    headers.Link = `</${LATEST_API_VERSION}>; rel="successor-version"`;
+    if (config.sunset && !Number.isNaN(Date.parse(config.sunset))) {
+      headers.Sunset = new Date(config.sunset).toUTCString();
+    }
+  }
+  return headers;
+}
 
-      case 'places': {
-        console.log('[MCP] Llamando search_places (places)...');
-        const result = await mcpBridge.handleMcpSearchPlaces(params);
-        return createResponse(result.statusCode, result.body);
-      }
-      
-      case 'user-context': {
-        console.log('[MCP] Llamando get_user_fiscal_context...');
-        const result = await mcpBridge.handleMcpUserContext(params);
-        return createResponse(result.statusCode, result.body);
-      }
-      
-      case 'fiscal-consultation': {
-        console.log('[MCP] Llamando fiscal_consultation prompt...');
-        const result = await mcpBridge.handleMcpFiscalConsultation(params);
-        return createResponse(result.statusCode, result.body);
+function describeVersions() {
+  return Object.entries(API_VERSIONS).map(([version, config]) => ({
+    version,
+    status: config.status,
+    default: version === DEFAULT_API_VERSION,
+    base_path: `/${version}`,
+    sunset: config.sunset && !Number.isNaN(Date.parse(config.sunset)) ? new Date(config.sunset).toISOString() : null
+  }));
+}
+
+// ========== TABLA DE RUTAS ==========
+
+const HEALTH_RESPONSE = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['healthy', 'degraded'] },
+    service: { type: 'string' },
+    version: { type: 'string' },
+    mcp_server: { type: 'string' },
+    mcp_session: { type: 'object' },
+    mcp_circuit: {
+      type: 'object',
+      properties: {
+        state: { type: 'string', enum: ['closed', 'open', 'half_open'] },
+        consecutive_failures: { type: 'integer' },
+        opened_at: { type: ['string', 'null'], format: 'date-time' },
+        last_error: { type: ['string', 'null'] }
       }
-      
-      case 'risk-assessment': {
-        console.log('[MCP] Llamando risk_assessment prompt...');
-        const result = await mcpBridge.handleMcpRiskAssessment(params);
-        return createResponse(result.statusCode, result.body);
+    },
+    provider: {
+      type: 'object',
+      description: 'Proveedor de get_fiscal_advice, chat y búsqueda (FISCAI_PROVIDER): mcp, gemini o fake',
+      properties: {
+        name: { type: 'string', enum: ['mcp', 'gemini', 'fake'] },
+        tools: { type: 'array', items: { type: 'string' }, description: 'Herramientas atendidas en proceso' },
+        circuit: { type: 'object', description: 'Estado del breaker del proveedor (mismo formato que mcp_circuit)' }
       }
-      
-      // ========== HEALTH CHECK ==========
-      
-      case 'health': {
-        return createResponse(200, {
-          status: 'healthy',
-          service: 'FiscAI Lambda MCP Bridge',
-          version: '2.0.0',
-          mcp_server: process.env.MCP_SERVER_URL || 'https://fiscmcp.fastmcp.app',
-          timestamp: new Date().toISOString()
-        });
+    },
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+};
+
+// Límites de /batch: BATCH_MAX_OPERATIONS operaciones por petición, BATCH_CONCURRENCY en paralelo
+const BATCH_MAX_OPERATIONS = parseInt(process.env.BATCH_MAX_OPERATIONS || '10', 10);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '4', 10);
+
+// Rutas que no se ejecutan dentro de /batch
+const BATCH_EXCLUDED_ROUTES = ['batch', 'info', 'openapi'];
+
+const BATCH_SCHEMA = {
+  summary: 'Varias operaciones en una sola petición',
+  request: {
+    type: 'object',
+    required: ['operations'],
+    properties: {
+      operations: {
+        type: 'array',
+        minItems: 1,
+        maxItems: BATCH_MAX_OPERATIONS,
+        items: {
+          type: 'object',
+          required: ['id', 'endpoint'],
+          properties: {
+            id: { type: 'string', maxLength: 64, description: 'Identificador de la operación (se repite en el resultado)' },
+            endpoint: { type: 'string', maxLength: 200, description: 'Path de la ruta, ej. /recommendation o /users/abc/context' },
+            method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], description: 'POST por defecto, o el primer método de la ruta si no acepta POST' },
+            params: { type: 'object', description: 'Parámetros de la operación (query en GET y DELETE, body en los demás)' }
+          }
+        }
       }
-      
-      // ========== INFO / ROOT ==========
-      
-      case 'info': {
-        return createResponse(200, {
-          service: 'FiscAI Lambda - MCP Bridge',
-          version: '2.0.0',
-          description: 'Bridge HTTP para conectar apps con servidor MCP de FiscAI',
-          mcp_server: process.env.MCP_SERVER_URL || 'https://fiscmcp.fastmcp.app',
-          endpoints: {
-            health: '/health',
-            recommendation: '/recommendation (Combined endpoint for React Native)',
-            fiscalAdvice: '/fiscal-advice',
-            chat: '/chat',
-            riskAnalysis: '/risk-analysis',
-            search: '/search',
-            userContext: '/user-context',
-            fiscalConsultation: '/fiscal-consultation',
-            riskAssessment: '/risk-assessment'
-          },
-          usage: {
-            recommendation: {
-              method: 'POST',
-              path: '/recommendation',
-              description: 'Endpoint combinado que retorna fiscal advice + risk analysis + sources',
-              body: {
-                profile: {
-                  actividad: 'string (required)',
-                  ingresos_anuales: 'number (optional)',
-                  empleados: 'number (optional)',
-                  metodos_pago: 'array (optional)',
-                  estado: 'string (optional)',
-                  has_rfc: 'boolean (optional)',
-                  has_efirma: 'boolean (optional)',
-                  emite_cfdi: 'boolean (optional)',
-                  declara_mensual: 'boolean (optional)',
-                  regimen_actual: 'string (optional)',
-                  contexto_adicional: 'string (optional)'
-                }
-              }
-            },
-            fiscalAdvice: {
-              method: 'POST',
-              path: '/fiscal-advice',
-              body: {
-                actividad: 'string (required)',
-                ingresos_anuales: 'number (optional)',
-                estado: 'string (optional)',
-                regimen_actual: 'string (optional)',
-                tiene_rfc: 'boolean (optional)',
-                contexto_adicional: 'string (optional)'
-              }
-            },
-            chat: {
-              method: 'POST',
-              path: '/chat',
-              body: {
-                message: 'string (required)',
-                user_id: 'string (optional)',
-                session_id: 'string (optional)'
-              }
-            },
-            riskAnalysis: {
-              method: 'POST',
-              path: '/risk-analysis',
-              body: {
-                has_rfc: 'boolean (required)',
-                has_efirma: 'boolean (optional)',
-                emite_cfdi: 'boolean (optional)',
-                declara_mensual: 'boolean (optional)',
-                ingresos_anuales: 'number (optional)',
-                actividad: 'string (optional)',
-                regimen_fiscal: 'string (optional)'
-              }
-            },
-            search: {
-              method: 'POST',
-              path: '/search',
-              body: {
-                query: 'string (required)',
-                limit: 'number (optional, default: 5)'
-              }
-            },
-            userContext: {
-              method: 'POST',
-              path: '/user-context',
-              body: {
-                user_id: 'string (required)'
-              }
-            }
-          },
-          examples: {
-            recommendation: `
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      results: {
+        type: 'array',
+        description: 'Un resultado por operación, en el mismo orden',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            endpoint: { type: 'string' },
+            status: { type: 'integer', description: 'Status HTTP que habría tenido la operación sola' },
+            headers: { type: 'object', description: 'Headers de la operación (X-Cache, X-RateLimit-*, Retry-After...)' },
+            body: { type: 'object' },
+            duration_ms: { type: 'integer' }
+          }
+        }
+      },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' }
+        }
+      },
+      mcp_session: { type: 'object' },
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['success', 'results', 'summary', 'timestamp']
+  }
+};
+
+// Cada ruta existe en todas las versiones salvo que indique versions; handlers / schemas
+// registran el handler y el esquema de una versión específica (ver router.js)
+// Flags de ruta para autenticación y rate limiting (ver prepareRequest):
+// - public: no requiere token (health, documentación)
+// - userScoped: el user_id se toma del token; un usuario no puede pedir datos de otro
+// - rateLimit: política de rate_limiter.js (default si no se indica); 'llm' para rutas que generan con el LLM
+//   Cada ruta lleva su propio bucket con los límites de su política
+const ROUTES = [
+  // ========== ENDPOINT COMBINADO (REACT NATIVE) ==========
+  {
+    name: 'recommendation',
+    userScoped: true,
+    rateLimit: 'llm',
+    path: '/recommendation',
+    methods: ['POST'],
+    description: 'Endpoint combinado que retorna fiscal advice + risk analysis + sources',
+    schema: mcpBridge.schemas.recommendation,
+    handler: params => mcpBridge.handleRecommendation(params),
+    schemas: { v2: mcpBridge.schemas.recommendationEnvelope },
+    handlers: { v2: params => mcpBridge.handleRecommendation(params, { envelope: true }) }
+  },
+
+  {
+    name: 'regime-calculator',
+    path: '/regime-calculator',
+    methods: ['POST'],
+    description: 'Regímenes fiscales elegibles y estimación mensual de ISR/IVA (cálculo local)',
+    schema: mcpBridge.schemas.regimeCalculator,
+    handler: params => mcpBridge.handleRegimeCalculator(params)
+  },
+
+  // ========== PERFIL FISCAL ==========
+  {
+    name: 'get-profile',
+    userScoped: true,
+    path: '/profile',
+    methods: ['GET'],
+    description: 'Perfil fiscal guardado del usuario',
+    schema: profiles.schemas.getProfile,
+    handler: params => profiles.handleGetProfile(params)
+  },
+  {
+    name: 'put-profile',
+    userScoped: true,
+    path: '/profile',
+    methods: ['PUT'],
+    description: 'Guarda el perfil fiscal del usuario (reemplaza el anterior)',
+    schema: profiles.schemas.putProfile,
+    handler: params => profiles.handlePutProfile(params)
+  },
+  {
+    name: 'patch-profile',
+    userScoped: true,
+    path: '/profile',
+    methods: ['PATCH'],
+    description: 'Actualiza campos del perfil fiscal guardado',
+    schema: profiles.schemas.patchProfile,
+    handler: params => profiles.handlePatchProfile(params)
+  },
+
+  {
+    name: 'risk-history',
+    userScoped: true,
+    path: '/risk-history',
+    methods: ['GET'],
+    description: 'Evolución del score de riesgo del usuario (serie, cambios y tendencia)',
+    schema: riskHistory.schemas.riskHistory,
+    handler: params => riskHistory.handleRiskHistory(params)
+  },
+
+  // ========== ENDPOINTS MCP ==========
+  {
+    name: 'fiscal-advice',
+    rateLimit: 'llm',
+    path: '/fiscal-advice',
+    aliases: ['/fiscaladvice'],
+    methods: ['POST'],
+    description: 'Recomendación fiscal vía get_fiscal_advice',
+    schema: mcpBridge.schemas.fiscalAdvice,
+    handler: (params, event) => mcpBridge.handleMcpFiscalAdvice(params, { bypassCache: wantsCacheBypass(event) })
+  },
+  {
+    name: 'chat',
+    userScoped: true,
+    rateLimit: 'llm',
+    path: '/chat',
+    methods: ['POST'],
+    description: 'Chat con el asistente fiscal vía chat_with_fiscal_assistant (stream=true para text/event-stream)',
+    schema: mcpBridge.schemas.chat,
+    handler: (params, event) => wantsEventStream(event, params)
+      ? handleChatEventStream(params)
+      : mcpBridge.handleMcpChat(params)
+  },
+  {
+    name: 'chat-sessions',
+    userScoped: true,
+    path: '/chat/sessions',
+    methods: ['GET'],
+    description: 'Sesiones de chat guardadas del usuario',
+    schema: chatSessions.schemas.listSessions,
+    handler: params => chatSessions.handleListSessions(params)
+  },
+  {
+    name: 'get-chat-session',
+    userScoped: true,
+    path: '/chat/sessions/:session_id',
+    methods: ['GET'],
+    description: 'Turnos de una sesión de chat',
+    schema: chatSessions.schemas.getSession,
+    handler: params => chatSessions.handleGetSession(params)
+  },
+  {
+    name: 'rename-chat-session',
+    userScoped: true,
+    path: '/chat/sessions/:session_id',
+    methods: ['PATCH'],
+    description: 'Renombra una sesión de chat',
+    schema: chatSessions.schemas.renameSession,
+    handler: params => chatSessions.handleRenameSession(params)
+  },
+  {
+    name: 'delete-chat-session',
+    userScoped: true,
+    path: '/chat/sessions/:session_id',
+    methods: ['DELETE'],
+    description: 'Elimina una sesión de chat y sus turnos',
+    schema: chatSessions.schemas.deleteSession,
+    handler: params => chatSessions.handleDeleteSession(params)
+  },
+  {
+    name: 'risk-analysis',
+    userScoped: true,
+    path: '/risk-analysis',
+    aliases: ['/risk'],
+    methods: ['POST'],
+    description: 'Análisis de riesgo fiscal vía analyze_fiscal_risk',
+    schema: mcpBridge.schemas.riskAnalysis,
+    handler: params => mcpBridge.handleMcpRiskAnalysis(params)
+  },
+  {
+    name: 'search',
+    path: '/search',
+    methods: ['GET', 'POST'],
+    description: 'Búsqueda semántica de documentos fiscales vía search_fiscal_documents',
+    schema: mcpBridge.schemas.search,
+    handler: (params, event) => mcpBridge.handleMcpSearch(params, { bypassCache: wantsCacheBypass(event) })
+  },
+  {
+    name: 'places',
+    path: '/places',
+    aliases: ['/map', '/places-search'],
+    methods: ['GET', 'POST'],
+    description: 'Búsqueda de lugares (oficinas SAT, bancos) vía search_places',
+    schema: mcpBridge.schemas.places,
+    handler: params => mcpBridge.handleMcpSearchPlaces(params)
+  },
+  {
+    name: 'user-context',
+    userScoped: true,
+    path: '/user-context',
+    aliases: ['/context'],
+    methods: ['POST'],
+    description: 'Contexto fiscal del usuario vía get_user_fiscal_context',
+    schema: mcpBridge.schemas.userContext,
+    handler: params => mcpBridge.handleMcpUserContext(params)
+  },
+  {
+    name: 'user-context-by-id',
+    userScoped: true,
+    path: '/users/:user_id/context',
+    methods: ['GET'],
+    description: 'Contexto fiscal del usuario indicado en el path',
+    schema: mcpBridge.schemas.userContext,
+    handler: params => mcpBridge.handleMcpUserContext(params)
+  },
+  {
+    name: 'fiscal-consultation',
+    path: '/fiscal-consultation',
+    methods: ['POST'],
+    description: 'Prompt fiscal_consultation del servidor MCP',
+    schema: mcpBridge.schemas.fiscalConsultation,
+    handler: params => mcpBridge.handleMcpFiscalConsultation(params)
+  },
+  {
+    name: 'risk-assessment',
+    path: '/risk-assessment',
+    methods: ['POST'],
+    description: 'Prompt risk_assessment del servidor MCP',
+    schema: mcpBridge.schemas.riskAssessment,
+    handler: params => mcpBridge.handleMcpRiskAssessment(params)
+  },
+
+  // ========== BATCH ==========
+  {
+    name: 'batch',
+    path: '/batch',
+    methods: ['POST'],
+    description: 'Ejecuta varias operaciones en una petición (concurrencia acotada, una sola sesión MCP)',
+    schema: BATCH_SCHEMA,
+    handler: (params, event, context) => handleBatch(params, event, context)
+  },
+
+  // ========== HEALTH CHECK / INFO ==========
+  {
+    name: 'health',
+    public: true,
+    path: '/health',
+    methods: ['GET'],
+    description: 'Estado del servicio',
+    schema: { summary: 'Health check', response: HEALTH_RESPONSE },
+    handler: () => handleHealth()
+  },
+  {
+    name: 'info',
+    public: true,
+    path: '/',
+    aliases: ['/info'],
+    methods: ['GET'],
+    description: 'Documentación del servicio',
+    schema: { summary: 'Información y uso del servicio', response: { type: 'object' } },
+    handler: (params, event) => handleInfo(event)
+  },
+  {
+    name: 'openapi',
+    public: true,
+    path: '/openapi.json',
+    methods: ['GET'],
+    description: 'Documento OpenAPI 3.1 generado a partir de los esquemas de los handlers',
+    schema: { summary: 'Documento OpenAPI 3.1', response: { type: 'object' } },
+    handler: (params, event) => handleOpenApi(event)
+  }
+];
+
+const router = createRouter(ROUTES, { versions: API_VERSIONS, defaultVersion: DEFAULT_API_VERSION });
+
+const log = createLogger('handler');
+
+// ========== HEALTH / INFO ==========
+
+/**
+ * Versión del API resuelta para la petición en curso
+ */
+function getApiVersion() {
+  const context = getRequestContext();
+  return (context && context.apiVersion) || DEFAULT_API_VERSION;
+}
+
+function handleHealth() {
+  const circuit = mcpBridge.getCircuitState();
+  const provider = mcpBridge.getProviderState();
+  const providerHealthy = !provider.circuit || provider.circuit.state === 'closed';
+
+  return {
+    statusCode: 200,
+    body: {
+      status: circuit.state === 'closed' && providerHealthy ? 'healthy' : 'degraded',
+      service: 'FiscAI Lambda MCP Bridge',
+      version: SERVICE_VERSION,
+      api_version: getApiVersion(),
+      mcp_server: mcpClient.MCP_SERVER_URL,
+      mcp_session: mcpClient.getSessionInfo(),
+      mcp_circuit: circuit,
+      provider,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+function handleInfo(event) {
+  return {
+    statusCode: 200,
+    body: {
+      service: 'FiscAI Lambda - MCP Bridge',
+      version: SERVICE_VERSION,
+      api_version: getApiVersion(),
+      api_versions: describeVersions(),
+      versioning: 'Prefijo /v1 o /v2 en el path, o header Accept-Version: 2; sin versión se usa v1',
+      description: 'Bridge HTTP para conectar apps con servidor MCP de FiscAI',
+      mcp_server: process.env.MCP_SERVER_URL || 'https://fiscmcp.fastmcp.app',
+      provider: mcpBridge.getProviderState().name,
+      endpoints: router.describe(getApiVersion()),
+      openapi: `${getBaseUrl(event) || ''}/${getApiVersion()}/openapi.json`,
+      authentication: 'Authorization: Bearer <JWT de Supabase Auth>; en /chat, /chat/sessions, /profile, /recommendation, /risk-analysis, /risk-history y /user-context el user_id se toma del token',
+      usage: Object.fromEntries(router.routesFor(getApiVersion())
+        .filter(route => route.schema && route.schema.request)
+        .map(route => [route.name, {
+          methods: route.methods,
+          path: route.path,
+          description: route.schema.summary,
+          [route.methods.some(method => !QUERY_METHODS.includes(method)) ? 'body' : 'query']: summarizeSchema(route.schema.request)
+        }])),
+      examples: {
+        recommendation: `
 curl -X POST https://your-api-url.com/recommendation \\
   -H "Content-Type: application/json" \\
+  -H "Authorization: Bearer $ACCESS_TOKEN" \\
   -d '{
     "profile": {
       "actividad": "Diseñador gráfico freelance",
@@ -265,9 +610,10 @@ curl -X POST https://your-api-url.com/recommendation \\
     }
   }'
             `.trim(),
-            fiscalAdvice: `
+        fiscalAdvice: `
 curl -X POST https://your-api-url.com/fiscal-advice \\
   -H "Content-Type: application/json" \\
+  -H "Authorization: Bearer $ACCESS_TOKEN" \\
   -d '{
     "actividad": "E-commerce",
     "ingresos_anuales": 500000,
@@ -275,51 +621,522 @@ curl -X POST https://your-api-url.com/fiscal-advice \\
     "tiene_rfc": false
   }'
             `.trim(),
-            chat: `
+        chat: `
 curl -X POST https://your-api-url.com/chat \\
   -H "Content-Type: application/json" \\
+  -H "Authorization: Bearer $ACCESS_TOKEN" \\
   -d '{
-    "message": "¿Cómo saco mi RFC?",
-    "user_id": "user123"
+    "message": "¿Cómo saco mi RFC?"
+  }'
+            `.trim(),
+        profile: `
+curl -X PATCH https://your-api-url.com/profile \\
+  -H "Content-Type: application/json" \\
+  -H "Authorization: Bearer $ACCESS_TOKEN" \\
+  -d '{
+    "has_efirma": true,
+    "regimen_actual": "RESICO"
+  }'
+            `.trim(),
+        batch: `
+curl -X POST https://your-api-url.com/batch \\
+  -H "Content-Type: application/json" \\
+  -H "Authorization: Bearer $ACCESS_TOKEN" \\
+  -d '{
+    "operations": [
+      { "id": "risk", "endpoint": "/risk-analysis", "params": { "has_rfc": true } },
+      { "id": "places", "endpoint": "/places", "method": "GET", "params": { "query": "oficina SAT" } }
+    ]
   }'
             `.trim()
-          },
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // ========== 404 ==========
-      
-      default: {
-        return createResponse(404, {
-          error: 'Endpoint no encontrado',
-          endpoint_requested: endpoint,
-          path: event.path || event.rawPath || 'N/A',
-          method: event.httpMethod || event.requestContext?.http?.method || 'N/A',
-          available_endpoints: [
-            '/health',
-            '/recommendation (Combined)',
-            '/fiscal-advice',
-            '/chat',
-            '/risk-analysis',
-            '/search',
-            '/user-context',
-            '/fiscal-consultation',
-            '/risk-assessment'
-          ],
-          tip: 'Accede a / o /info para ver la documentación completa',
-          timestamp: new Date().toISOString()
-        });
+      },
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// ========== CHAT STREAMING ==========
+
+/**
+ * /chat en modo streaming detrás de API Gateway (sin response streaming):
+ * los eventos se acumulan y se devuelven juntos como text/event-stream
+ */
+async function handleChatEventStream(params) {
+  let output = '';
+  const result = await mcpBridge.handleMcpChatStream(params, (name, data) => {
+    output += sseEvent(name, data);
+  });
+
+  if (!result.streamed) {
+    return result;
+  }
+
+  return {
+    statusCode: 200,
+    headers: SSE_HEADERS,
+    rawBody: output
+  };
+}
+
+// ========== BATCH ==========
+
+/**
+ * Ejecuta fn sobre cada elemento con a lo más `limit` en paralelo; conserva el orden
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Evento equivalente a haber llamado la ruta de la operación directamente
+ * (mismos headers de autenticación, IP y stage que la petición /batch)
+ */
+function createOperationEvent(event, operation, method) {
+  // Dentro de /batch no hay streaming: cada operación responde JSON
+  const { stream, ...params } = operation.params || {};
+  const headers = Object.fromEntries(Object.entries(event.headers || {})
+    .filter(([name]) => name.toLowerCase() !== 'accept'));
+
+  return {
+    ...event,
+    httpMethod: method,
+    path: operation.endpoint,
+    rawPath: undefined,
+    headers: { ...headers, accept: 'application/json' },
+    queryStringParameters: QUERY_METHODS.includes(method) ? params : null,
+    body: QUERY_METHODS.includes(method) ? null : JSON.stringify(params)
+  };
+}
+
+// Headers de la operación que se devuelven en su resultado (CORS y Content-Type son del batch)
+function operationHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers || {})
+    .filter(([name]) => !name.startsWith('Access-Control-') && name !== 'Content-Type'));
+}
+
+/**
+ * Ejecuta una operación del batch con el mismo flujo que una petición suelta
+ * (router, autenticación, rate limit de la ruta y handler) en un contexto de logs propio
+ */
+function runBatchOperation(event, context, operation) {
+  return runWithRequestContext({ ...getRequestContext() }, () => withSpan('batch.operation', {
+    'batch.operation.id': operation.id,
+    'url.path': operation.endpoint
+  }, async () => {
+    const startedAt = Date.now();
+    const probe = router.match(null, operation.endpoint, getApiVersion());
+    let response;
+
+    try {
+      if (probe.route && BATCH_EXCLUDED_ROUTES.includes(probe.route.name)) {
+        response = toLambdaResponse(buildErrorResponse('VALIDATION_FAILED', {
+          errors: [{ field: 'endpoint', code: 'invalid_enum', message: 'Ruta no disponible dentro de /batch', value: operation.endpoint }]
+        }));
+      } else {
+        const method = operation.method ||
+          (probe.route && !probe.route.methods.includes('POST') ? probe.route.methods[0] : 'POST');
+        const operationEvent = createOperationEvent(event, operation, method);
+        const prepared = await prepareRequest(operationEvent);
+
+        if (prepared.response) {
+          response = prepared.response;
+        } else {
+          const result = await prepared.route.handler(prepared.params, operationEvent, context);
+          response = toLambdaResponse({ ...result, headers: { ...prepared.headers, ...result.headers } });
+        }
       }
+    } catch (error) {
+      response = errorResponse(error);
     }
 
-  } catch (error) {
-    console.error('[ERROR]', error);
-    
-    return createResponse(500, {
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    const route = getRequestContext().route || 'unmatched';
+    metrics.increment('BatchOperations', { Route: route, StatusClass: `${Math.floor(response.statusCode / 100)}xx` });
+
+    return {
+      id: operation.id,
+      endpoint: operation.endpoint,
+      status: response.statusCode,
+      headers: operationHeaders(response.headers),
+      body: JSON.parse(response.body),
+      duration_ms: Date.now() - startedAt
+    };
+  }));
+}
+
+/**
+ * /batch: ejecuta las operaciones con concurrencia acotada; el fallo de una operación
+ * queda en su resultado y no afecta a las demás
+ */
+async function handleBatch(params, event, context) {
+  const { value, errors } = validateParams(BATCH_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  const operations = value.operations.map(operation => ({
+    ...operation,
+    endpoint: operation.endpoint.startsWith('/') ? operation.endpoint : `/${operation.endpoint}`
+  }));
+
+  const seen = new Set();
+  const duplicates = [];
+  operations.forEach((operation, index) => {
+    if (seen.has(operation.id)) {
+      duplicates.push({ field: `operations[${index}].id`, code: 'duplicate', message: 'id repetido', value: operation.id });
+    }
+    seen.add(operation.id);
+  });
+  if (duplicates.length > 0) {
+    return invalidParamsResponse(duplicates);
+  }
+
+  // Una sola sesión MCP para todas las operaciones (si falla, cada operación reporta su error)
+  const usesMcp = operations.some(operation => {
+    const match = router.match(null, operation.endpoint, getApiVersion());
+    return match.route && match.route.schema && match.route.schema.upstream;
+  });
+  if (usesMcp) {
+    await mcpClient.ensureSession().catch(error => log.warn('No se pudo abrir la sesión MCP del batch', { error }));
+  }
+
+  const results = await mapWithConcurrency(operations, BATCH_CONCURRENCY,
+    operation => runBatchOperation(event, context, operation));
+  const succeeded = results.filter(result => result.status < 400).length;
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      results,
+      summary: { total: results.length, succeeded, failed: results.length - succeeded },
+      mcp_session: usesMcp ? mcpClient.getSessionInfo() : undefined,
       timestamp: new Date().toISOString()
-    });
+    }
+  };
+}
+
+function handleOpenApi(event) {
+  const version = getApiVersion();
+  const baseUrl = getBaseUrl(event);
+
+  return {
+    statusCode: 200,
+    body: buildOpenApiDocument(router.routesFor(version), {
+      title: 'FiscAI Lambda - MCP Bridge',
+      version: `${SERVICE_VERSION} (API ${version})`,
+      description: 'Bridge HTTP para conectar apps con servidor MCP de FiscAI',
+      serverUrl: baseUrl ? `${baseUrl}/${version}` : `/${version}`
+    })
+  };
+}
+
+// ========== AUTENTICACIÓN Y RATE LIMITING ==========
+
+const rateLimiter = createRateLimiter({ store: rateLimiterStoreFromEnv() });
+
+/**
+ * Verifica el token Bearer de la petición según los flags de la ruta
+ * Retorna { params, auth } con el user_id del token en rutas userScoped; lanza 401/403
+ */
+async function authorizeRequest(route, event, params) {
+  if (route.public) {
+    return { params, auth: null };
+  }
+
+  const auth = await authenticate(event);
+  if (!route.userScoped || auth.disabled) {
+    return { params, auth };
+  }
+
+  return { params: { ...params, user_id: resolveUserId(auth, params.user_id) }, auth };
+}
+
+/**
+ * Enruta, autentica y aplica el rate limit de la petición
+ * Retorna { response } si la petición termina aquí (404, 405, 401, 403, 429) o
+ * { route, params, headers } con los headers X-RateLimit-* para la respuesta final
+ */
+async function prepareRequest(event) {
+  const method = getMethod(event);
+  const path = getPath(event);
+  const requestHeaders = event.headers || {};
+  const match = router.match(method, path, requestHeaders['accept-version'] || requestHeaders['Accept-Version']);
+  setRequestContext({
+    method: method || 'INVOKE',
+    path,
+    route: match.route ? match.route.name : undefined,
+    apiVersion: match.version
+  });
+  log.debug('Ruta resuelta', { status: match.status, api_version: match.version });
+
+  if (match.status === 'unsupported_version') {
+    return {
+      response: toLambdaResponse(buildErrorResponse('UNSUPPORTED_API_VERSION', {
+        details: { requested: match.requested, supported_versions: match.supported }
+      }))
+    };
+  }
+
+  if (match.status === 'method_not_allowed') {
+    return {
+      response: toLambdaResponse(buildErrorResponse('METHOD_NOT_ALLOWED', {
+        details: { path, method, allowed_methods: match.allowed },
+        headers: { Allow: [...match.allowed, 'OPTIONS'].join(', ') }
+      }))
+    };
+  }
+
+  if (match.status === 'not_found') {
+    return {
+      response: toLambdaResponse(buildErrorResponse('NOT_FOUND', {
+        message: 'Endpoint no encontrado',
+        details: {
+          path: path || 'N/A',
+          method: method || 'N/A',
+          available_endpoints: router.describe(match.version).map(route => `${route.methods.join('|')} ${route.path}`),
+          tip: 'Accede a / o /info para ver la documentación completa'
+        }
+      }))
+    };
+  }
+
+  const { route } = match;
+  let authorized = null;
+  let authError = null;
+  try {
+    authorized = await authorizeRequest(route, event, { ...extractParams(event), ...match.pathParams });
+  } catch (error) {
+    if (error.statusCode !== 401 && error.statusCode !== 403) {
+      throw error;
+    }
+    authError = error;
+  }
+
+  // Con usuario autenticado el límite es por usuario; si no, por IP (incluye tokens rechazados)
+  const userId = authorized && authorized.auth && authorized.auth.user_id;
+  setRequestContext({ userId });
+  const identity = userId ? `user:${userId}` : `ip:${getClientIp(event)}`;
+  const limit = await rateLimiter.consume(route.rateLimit || 'default', identity, { route: route.name });
+  const headers = rateLimitHeaders(limit);
+
+  if (!limit.allowed) {
+    log.warn('Límite de solicitudes excedido', { policy: limit.policy, route: limit.route, identity, retry_after_seconds: limit.retryAfterSeconds });
+    return { response: toLambdaResponse(rateLimitedResponse(limit)) };
+  }
+
+  if (authError) {
+    log.warn('Solicitud rechazada por autenticación', { status: authError.statusCode, code: authError.code, reason: authError.message });
+    const response = authErrorResponse(authError);
+    return { response: toLambdaResponse({ ...response, headers: { ...headers, ...response.headers } }) };
   }
+
+  return { route, params: authorized.params, headers };
+}
+
+function errorResponse(error) {
+  if (!error.appCode) {
+    log.error('Error no controlado', { error });
+  }
+  return toLambdaResponse(errorResponseFromException(error));
+}
+
+// ========== HANDLER PRINCIPAL ==========
+
+// X-Request-Id entrante solo si es un identificador simple (se reenvía al servidor MCP)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+/**
+ * Request id de la invocación: el de Lambda, el X-Request-Id del cliente o uno generado
+ */
+function getRequestId(event, context) {
+  const headers = event.headers || {};
+  const incoming = headers['x-request-id'] || headers['X-Request-Id'];
+  return (context && context.awsRequestId) ||
+    (incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : undefined);
+}
+
+/**
+ * Al terminar la petición: línea de acceso (ruta, status, latencia, status del servidor MCP),
+ * métricas de la ruta y flush de las métricas EMF de la invocación
+ */
+function finishRequest(statusCode, startedAt) {
+  const context = getRequestContext() || {};
+  const latency = Date.now() - startedAt;
+  const fields = {
+    method: context.method,
+    path: context.path,
+    status: statusCode,
+    latency_ms: latency,
+    upstream_status: context.upstream_status,
+    user_id: context.userId
+  };
+
+  if (statusCode >= 500) {
+    log.error('Solicitud completada', fields);
+  } else {
+    log.info('Solicitud completada', fields);
+  }
+
+  const route = context.route || 'unmatched';
+  metrics.recordLatency('RouteLatency', latency, { Route: route });
+  metrics.increment('Requests', { Route: route, StatusClass: `${Math.floor(statusCode / 100)}xx` });
+  if (statusCode === 400) {
+    metrics.increment('Errors', { Category: 'validation' });
+  }
+  metrics.flush();
+}
+
+/**
+ * Ejecuta la petición con su contexto de logs (request id) y su span raíz
+ */
+function runInstrumented(event, context, fn) {
+  const headers = event.headers || {};
+  const traceparent = headers.traceparent || headers.Traceparent;
+
+  return runWithRequestContext({ requestId: getRequestId(event, context), language: getLanguage(event) }, () => withRequestSpan(traceparent, 'fiscai.request', {
+    'http.request.method': getMethod(event) || 'INVOKE',
+    'url.path': getPath(event)
+  }, async (span) => {
+    setRequestContext({ traceId: getTraceId() });
+    const statusCode = await fn();
+    span.setAttribute('http.response.status_code', statusCode);
+    return statusCode;
+  }));
+}
+
+exports.handler = async (event, context) => {
+  const startedAt = Date.now();
+  let response;
+
+  await runInstrumented(event, context, async () => {
+    response = await handleRequest(event, context);
+    response.headers = { ...response.headers, ...versionHeaders(getRequestContext().apiVersion), 'X-Request-Id': getRequestContext().requestId };
+    finishRequest(response.statusCode, startedAt);
+    return response.statusCode;
+  });
+
+  return response;
 };
+
+async function handleRequest(event, context) {
+  // Manejar OPTIONS (CORS preflight)
+  if (getMethod(event) === 'OPTIONS') {
+    return createResponse(200, { message: 'OK' });
+  }
+
+  try {
+    const prepared = await prepareRequest(event);
+    if (prepared.response) {
+      return prepared.response;
+    }
+
+    const result = await prepared.route.handler(prepared.params, event, context);
+    return toLambdaResponse({ ...result, headers: { ...prepared.headers, ...result.headers } });
+
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// ========== HANDLER CON RESPONSE STREAMING ==========
+// Solo existe dentro del runtime de Lambda (awslambda.streamifyResponse). Configurar una
+// Function URL con invoke mode RESPONSE_STREAM y handler index.streamHandler: /chat con
+// stream=true envía cada evento en cuanto llega; el resto de rutas responde igual que handler
+
+if (globalThis.awslambda && globalThis.awslambda.streamifyResponse) {
+  const { HttpResponseStream, streamifyResponse } = globalThis.awslambda;
+
+  function openStream(responseStream, statusCode, headers) {
+    return HttpResponseStream.from(responseStream, {
+      statusCode,
+      headers: { ...headers, ...versionHeaders(getRequestContext().apiVersion), 'X-Request-Id': getRequestContext().requestId }
+    });
+  }
+
+  function writeResponse(responseStream, response) {
+    const stream = openStream(responseStream, response.statusCode, response.headers);
+    stream.write(response.body);
+    stream.end();
+    return response.statusCode;
+  }
+
+  /**
+   * Atiende la petición escribiendo en responseStream; retorna el status enviado
+   */
+  async function streamRequest(event, responseStream, context) {
+    if (getMethod(event) === 'OPTIONS') {
+      return writeResponse(responseStream, createResponse(200, { message: 'OK' }));
+    }
+
+    let prepared;
+    try {
+      prepared = await prepareRequest(event);
+    } catch (error) {
+      return writeResponse(responseStream, errorResponse(error));
+    }
+
+    if (prepared.response) {
+      return writeResponse(responseStream, prepared.response);
+    }
+
+    const { route, params, headers } = prepared;
+
+    if (route.name === 'chat' && wantsEventStream(event, params)) {
+      let stream = null;
+      try {
+        const result = await mcpBridge.handleMcpChatStream(params, (name, data) => {
+          if (!stream) {
+            stream = openStream(responseStream, 200, { ...CORS_HEADERS, ...headers, ...SSE_HEADERS });
+          }
+          stream.write(sseEvent(name, data));
+        });
+
+        if (stream) {
+          stream.end();
+          return 200;
+        }
+        return writeResponse(responseStream, createResponse(result.statusCode, result.body, headers));
+      } catch (error) {
+        // Con el stream abierto el status ya se envió: el error va como evento y se cierra
+        if (stream) {
+          log.error('Error en el stream de chat', { error });
+          stream.write(sseEvent('error', errorResponseFromException(error).body));
+          stream.end();
+          return 200;
+        }
+        return writeResponse(responseStream, errorResponse(error));
+      }
+    }
+
+    let response;
+    try {
+      const result = await route.handler(params, event, context);
+      response = toLambdaResponse({ ...result, headers: { ...headers, ...result.headers } });
+    } catch (error) {
+      response = errorResponse(error);
+    }
+    return writeResponse(responseStream, response);
+  }
+
+  exports.streamHandler = streamifyResponse(async (event, responseStream, context) => {
+    const startedAt = Date.now();
+
+    await runInstrumented(event, context, async () => {
+      const statusCode = await streamRequest(event, responseStream, context);
+      finishRequest(statusCode, startedAt);
+      return statusCode;
+    });
+  });
+}
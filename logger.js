@@ -0,0 +1,169 @@
+/**
+ * Logging estructurado: una línea JSON por evento con nivel, componente y el contexto
+ * de la petición en curso (request_id, route, user) propagado con AsyncLocalStorage
+ * Los datos sensibles (RFC, CURP, correos, teléfonos, mensajes del chat) se redactan
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// LOG_LEVEL=debug|info|warn|error|silent (info por defecto)
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// Campos cuyo valor nunca se escribe; LOG_REDACT_KEYS='campo1,campo2' agrega más
+const REDACTED_KEYS = new Set([
+  'message',
+  'messages',
+  'contexto_adicional',
+  'ingresos_anuales',
+  'gastos_deducibles_anuales',
+  'rfc',
+  'curp',
+  'email',
+  'telefono',
+  'phone',
+  'authorization',
+  'token',
+  'access_token',
+  'password',
+  ...(process.env.LOG_REDACT_KEYS || '').split(',').map(key => key.trim().toLowerCase()).filter(Boolean)
+]);
+
+// El CURP va antes que el RFC: sus primeros 10 caracteres tienen la misma forma
+const PII_PATTERNS = [
+  { pattern: /\b[A-Z][AEIOUX][A-Z]{2}\d{6}[HM][A-Z]{5}[A-Z0-9]\d\b/gi, replacement: '[CURP]' },
+  { pattern: /\b[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}\b/gi, replacement: '[RFC]' },
+  { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[EMAIL]' },
+  { pattern: /(\+?52[\s-]?)?\b\d{2,3}[\s-]?\d{3,4}[\s-]?\d{4}\b/g, replacement: '[TELEFONO]' }
+];
+
+const MAX_STRING_LENGTH = 1000;
+const MAX_DEPTH = 6;
+
+const requestContext = new AsyncLocalStorage();
+
+function redactString(value) {
+  const redacted = PII_PATTERNS.reduce((text, { pattern, replacement }) => text.replace(pattern, replacement), value);
+  return redacted.length > MAX_STRING_LENGTH
+    ? `${redacted.substring(0, MAX_STRING_LENGTH)}...[${redacted.length - MAX_STRING_LENGTH} caracteres]`
+    : redacted;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(error.message || ''),
+    code: error.code,
+    status_code: error.statusCode,
+    rpc_code: error.rpcCode,
+    stack: LEVELS[LOG_LEVEL] <= LEVELS.debug ? error.stack : undefined,
+    cause: error.cause instanceof Error ? serializeError(error.cause) : undefined
+  };
+}
+
+/**
+ * Copia profunda de value con los campos sensibles y patrones PII redactados
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    REDACTED_KEYS.has(key.toLowerCase()) && item !== undefined && item !== null ? '[REDACTED]' : redact(item, depth + 1)
+  ]));
+}
+
+function write(level, component, message, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const context = requestContext.getStore() || {};
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level,
+    component,
+    message: redactString(message),
+    request_id: context.requestId,
+    trace_id: context.traceId,
+    route: context.route,
+    ...redact(fields || {})
+  });
+
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Logger de un componente: log.info('mensaje', { campo: valor })
+ */
+function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields),
+    isDebugEnabled: () => LEVELS[LOG_LEVEL] <= LEVELS.debug
+  };
+}
+
+// ========== CONTEXTO DE PETICIÓN ==========
+
+/**
+ * Ejecuta fn con un contexto de petición { requestId, route, ... } visible para todos los logs
+ */
+function runWithRequestContext(context, fn) {
+  return requestContext.run({ ...context, requestId: context.requestId || crypto.randomUUID() }, fn);
+}
+
+function getRequestContext() {
+  return requestContext.getStore() || null;
+}
+
+/**
+ * Agrega campos al contexto de la petición en curso (ej. la ruta una vez resuelta)
+ */
+function setRequestContext(fields) {
+  const context = requestContext.getStore();
+  if (context) {
+    Object.assign(context, fields);
+  }
+}
+
+/**
+ * Headers para propagar el request id al servidor MCP
+ */
+function getRequestHeaders() {
+  const context = requestContext.getStore();
+  return context && context.requestId ? { 'X-Request-Id': context.requestId } : {};
+}
+
+module.exports = {
+  createLogger,
+  redact,
+  runWithRequestContext,
+  getRequestContext,
+  setRequestContext,
+  getRequestHeaders
+};
@@ -3,165 +3,278 @@
  * Este módulo extiende la funcionalidad Lambda para incluir llamadas al servidor MCP
  */
 
-const https = require('https');
-const http = require('http');
+const { makeHttpRequest } = require('./http_client');
+const mcpClient = require('./mcp_client');
+const { validateParams, invalidParamsResponse } = require('./validation');
+const { ESTADO_NOMBRES } = require('./catalogs');
+const { withRetry, isTransientError, createCircuitBreaker } = require('./resilience');
+const { getOfflineAdvice } = require('./offline_advice');
+const { evaluateRisk } = require('./risk_engine');
+const { calculateRegimes, AVAILABLE_YEARS } = require('./regime_calculator');
+const { createCache, sharedStoreFromEnv, cacheKey } = require('./cache');
+const { readJsonEnv } = require('./env');
+const { createLogger, getRequestHeaders } = require('./logger');
+const metrics = require('./metrics');
+const { withSpan } = require('./tracing');
+const { createAppError, createToolError, classifyError, errorResponseFromException } = require('./errors');
+const { normalizeToolResult, normalizePromptResult, getPayloadData, toPlace } = require('./mcp_result');
+const { PROFILE_PROPERTIES, getProfileRepository, loadProfileWithOverrides } = require('./profiles');
+const { recordRiskEvaluation, getLatestRiskEvaluation } = require('./risk_history');
+const { loadChatMemory, saveChatTurns } = require('./chat_sessions');
+const { getToolProvider, describeProvider } = require('./providers');
+
+const log = createLogger('mcp-bridge');
 
 // URL del servidor MCP desplegado
-const MCP_SERVER_URL = process.env.MCP_SERVER_URL || 'https://fiscmcp.fastmcp.app';
+const { MCP_SERVER_URL } = mcpClient;
+
+// ========== POLÍTICAS DE LLAMADA (timeouts / reintentos) ==========
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.MCP_TIMEOUT_MS || '15000', 10);
+
+// Solo las herramientas idempotentes (consultas) se reintentan
+// cacheTtlMs: tiempo de vida en caché de la respuesta (sin cacheTtlMs no se cachea)
+const TOOL_POLICIES = {
+  search_fiscal_documents: { timeoutMs: 10000, retries: 2, cacheTtlMs: 60 * 60 * 1000 },
+  search_places: { timeoutMs: 8000, retries: 2 },
+  analyze_fiscal_risk: { timeoutMs: 10000, retries: 2 },
+  get_user_fiscal_context: { timeoutMs: 8000, retries: 2 },
+  get_fiscal_advice: { timeoutMs: 25000, retries: 0, cacheTtlMs: 6 * 60 * 60 * 1000 },
+  chat_with_fiscal_assistant: { timeoutMs: 25000, retries: 0 }
+};
+
+// Overrides por entorno: MCP_TOOL_TIMEOUTS='{"get_fiscal_advice":30000}'
+const TIMEOUT_OVERRIDES = readJsonEnv('MCP_TOOL_TIMEOUTS');
+
+// Overrides de TTL: MCP_CACHE_TTLS='{"search_fiscal_documents":600000}' (0 desactiva la caché)
+const CACHE_TTL_OVERRIDES = readJsonEnv('MCP_CACHE_TTLS');
+
+function getCallPolicy(name) {
+  const policy = TOOL_POLICIES[name] || { timeoutMs: DEFAULT_TIMEOUT_MS, retries: 0 };
+  return {
+    ...policy,
+    timeoutMs: TIMEOUT_OVERRIDES[name] || policy.timeoutMs,
+    cacheTtlMs: CACHE_TTL_OVERRIDES[name] !== undefined ? CACHE_TTL_OVERRIDES[name] : (policy.cacheTtlMs || 0)
+  };
+}
+
+const toolCache = createCache({
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10),
+  shared: sharedStoreFromEnv()
+});
+
+// Un solo breaker para el servidor MCP: solo cuentan caídas (timeouts, red, 5xx), no errores de la herramienta
+const mcpCircuit = createCircuitBreaker({
+  name: 'Servidor MCP',
+  failureThreshold: parseInt(process.env.MCP_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.MCP_CIRCUIT_RESET_MS || '30000', 10),
+  isFailure: error => isTransientError(error) || (error.statusCode >= 500)
+});
+
+// Breaker aparte para el proveedor en proceso (FISCAI_PROVIDER): sus caídas no abren el del servidor MCP
+const providerCircuit = createCircuitBreaker({
+  name: 'Proveedor de herramientas',
+  failureThreshold: parseInt(process.env.MCP_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.MCP_CIRCUIT_RESET_MS || '30000', 10),
+  isFailure: error => isTransientError(error) || (error.statusCode >= 500)
+});
+
+function getCircuitState() {
+  return mcpCircuit.getState();
+}
 
 /**
- * Realiza una petición HTTP/HTTPS
+ * Proveedor activo y estado de su breaker (el del servidor MCP está en getCircuitState)
  */
-function makeHttpRequest(url, options = {}) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    const protocol = urlObj.protocol === 'https:' ? https : http;
-    
-    const reqOptions = {
-      hostname: urlObj.hostname,
-      port: urlObj.port,
-      path: urlObj.pathname + urlObj.search,
-      method: options.method || 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json, text/event-stream',
-        'User-Agent': 'FiscAI-Lambda-Bridge',
-        ...options.headers
-      }
-    };
+function getProviderState() {
+  const provider = describeProvider();
+  return provider.name === 'mcp' ? provider : { ...provider, circuit: providerCircuit.getState() };
+}
 
-    const req = protocol.request(reqOptions, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
+/**
+ * Origen de las respuestas de una herramienta para el sobre: mcp_server o el proveedor en proceso
+ */
+function toolSource(toolName) {
+  const provider = getToolProvider(toolName);
+  return provider ? provider.name : 'mcp_server';
+}
+
+/**
+ * Configura el almacén compartido de la caché (ej. createRedisStore(client))
+ */
+function setSharedCacheStore(store) {
+  toolCache.setSharedStore(store);
+}
+
+/**
+ * Ejecuta una llamada MCP con circuit breaker, timeout y reintentos según la política
+ */
+function runWithPolicy(name, policy, fn, circuit = mcpCircuit) {
+  return circuit.execute(() => withRetry(fn, {
+    retries: policy.retries,
+    onRetry: (error, attempt, delay) => {
+      log.warn('Reintentando llamada MCP', { name, attempt, retries: policy.retries, delay_ms: delay, error });
+    }
+  }));
+}
+
+/**
+ * Llama una herramienta del servidor MCP dentro de la sesión del cliente MCP,
+ * o del proveedor en proceso si FISCAI_PROVIDER la atiende (ver providers.js)
+ * options.onProgress recibe las notificaciones de progreso de la herramienta
+ */
+async function callMcpTool(toolName, toolArgs, options = {}) {
+  const policy = getCallPolicy(toolName);
+  const provider = getToolProvider(toolName);
+  const startedAt = Date.now();
+
+  return withSpan(`mcp.tool ${toolName}`, { 'mcp.tool': toolName, 'fiscai.provider': provider ? provider.name : 'mcp' }, async (span) => {
+    try {
+      log.info('Llamando herramienta', { tool: toolName, provider: provider ? provider.name : 'mcp', timeout_ms: policy.timeoutMs, retries: policy.retries });
+      log.debug('Argumentos de herramienta', { tool: toolName, arguments: toolArgs });
+
+      const result = provider
+        ? await runWithPolicy(toolName, policy, () => provider.callTool(toolName, toolArgs, { ...options, timeoutMs: policy.timeoutMs }), providerCircuit)
+        : await runWithPolicy(toolName, policy, async () => {
         try {
-          // Si el Content-Type es text/event-stream, parsear como SSE
-          const contentType = res.headers['content-type'] || '';
-          if (contentType.includes('text/event-stream')) {
-            // Parsear formato SSE: "event: message\ndata: {json}\n\n"
-            const lines = data.trim().split('\n');
-            let jsonData = '';
-            
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                jsonData = line.substring(6); // Remove "data: " prefix
-                break;
-              }
-            }
-            
-            if (jsonData) {
-              const parsed = JSON.parse(jsonData);
-              resolve({
-                statusCode: res.statusCode,
-                headers: res.headers,
-                body: parsed
-              });
-              return;
-            }
+          return await mcpClient.callTool(toolName, toolArgs, { ...options, timeoutMs: policy.timeoutMs });
+        } catch (error) {
+          // Si el servidor no acepta el transporte MCP, intentar endpoint REST
+          if (error.rpcCode === -32600 || error.statusCode === 405) {
+            log.info('Transporte MCP no soportado, usando método alternativo', { tool: toolName });
+            metrics.increment('McpFallback', { Tool: toolName, Kind: 'rest' });
+            return await callMcpAlternative(toolName, toolArgs, policy.timeoutMs);
           }
-          
-          // Parsear como JSON normal
-          const parsed = JSON.parse(data);
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            body: parsed
-          });
-        } catch (e) {
-          resolve({
-            statusCode: res.statusCode,
-            headers: res.headers,
-            body: data
-          });
+          throw error;
         }
       });
-    });
-    
-    req.on('error', reject);
-    
-    if (options.body) {
-      req.write(typeof options.body === 'string' ? options.body : JSON.stringify(options.body));
+
+      const isError = Boolean(result && result.isError);
+      log.debug('Resultado de herramienta', { tool: toolName, is_error: isError, result });
+      span.setAttribute('mcp.tool.is_error', isError);
+
+      // isError: true es una respuesta válida del protocolo pero un fallo de la herramienta
+      if (isError) {
+        throw createToolError(toolName, result);
+      }
+
+      recordToolMetrics(toolName, startedAt, null);
+      return result;
+
+    } catch (error) {
+      log.error('Error llamando herramienta', { tool: toolName, error });
+      recordToolMetrics(toolName, startedAt, metrics.classifyError(error));
+      if (error.appCode) {
+        throw error;
+      }
+      throw new Error(`Error conectando con ${provider ? `el proveedor ${provider.name}` : 'MCP'}: ${error.message}`, { cause: error });
     }
-    
-    req.end();
-  });
+  }, 'CLIENT');
 }
 
 /**
- * Llama una herramienta del servidor MCP
+ * Latencia y errores (por categoría) de una llamada a herramienta o prompt
  */
-async function callMcpTool(toolName, toolArgs) {
-  try {
-    console.log(`[MCP] Llamando herramienta: ${toolName}`);
-    console.log(`[MCP] Arguments:`, JSON.stringify(toolArgs));
-    
-    // FastMCP usa el protocolo MCP nativo vía POST /mcp/v1/tools/call
-    // o simplemente POST con el formato JSON-RPC
-    const mcpRequest = {
-      jsonrpc: '2.0',
-      id: `call-${Date.now()}`,
-      method: 'tools/call',
-      params: {
-        name: toolName,
-        arguments: toolArgs
-      }
-    };
-    
-    // Intentar con endpoint /mcp que requiere Accept: application/json, text/event-stream
-    const response = await makeHttpRequest(`${MCP_SERVER_URL}/mcp`, {
-      method: 'POST',
-      body: mcpRequest,
-      headers: {
-        'Accept': 'application/json, text/event-stream',
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    console.log(`[MCP] Response status:`, response.statusCode);
-    console.log(`[MCP] Response body:`, JSON.stringify(response.body));
-    
-    if (response.statusCode === 200) {
-      // Si la respuesta tiene result, extraerlo
-      if (response.body.result) {
-        return response.body.result;
-      }
-      // Si es directamente el resultado
-      return response.body;
-    }
-    
-    // Si el error es por SSE, intentar sin SSE
-    if (response.body.error && response.body.error.code === -32600) {
-      console.log(`[MCP] Intentando con método alternativo...`);
-      return await callMcpAlternative(toolName, toolArgs);
+function recordToolMetrics(toolName, startedAt, errorCategory) {
+  metrics.recordLatency('ToolLatency', Date.now() - startedAt, { Tool: toolName });
+  if (errorCategory) {
+    metrics.increment('ToolErrors', { Tool: toolName, Category: errorCategory });
+    metrics.increment('Errors', { Category: errorCategory });
+  }
+}
+
+/**
+ * callMcpTool con caché por herramienta + argumentos normalizados
+ * options.bypass salta la lectura (la respuesta nueva sí se guarda)
+ * Retorna { result, cache: { status: HIT|MISS|BYPASS|DISABLED, ttlMs, ageMs } }
+ */
+async function callMcpToolCached(toolName, toolArgs, options = {}) {
+  const { bypass = false, ...callOptions } = options;
+  const { cacheTtlMs } = getCallPolicy(toolName);
+
+  if (!cacheTtlMs) {
+    return { result: await callMcpTool(toolName, toolArgs, callOptions), cache: { status: 'DISABLED', ttlMs: 0, ageMs: 0 } };
+  }
+
+  const key = cacheKey(toolName, toolArgs);
+
+  if (!bypass) {
+    const cached = await toolCache.get(key);
+    if (cached) {
+      log.info('Respuesta desde caché', { tool: toolName, tier: cached.tier });
+      metrics.increment('CacheHit', { Tool: toolName });
+      return {
+        result: cached.value,
+        cache: { status: 'HIT', ttlMs: cached.expiresAt - Date.now(), ageMs: Date.now() - cached.storedAt }
+      };
     }
-    
-    throw new Error(`Error MCP: ${JSON.stringify(response.body)}`);
-    
+  }
+
+  metrics.increment(bypass ? 'CacheBypass' : 'CacheMiss', { Tool: toolName });
+  // Los errores de la herramienta (isError) se lanzan en callMcpTool y no llegan a la caché
+  const result = await callMcpTool(toolName, toolArgs, callOptions);
+  const stored = isCacheableResult(toolName, result);
+  if (stored) {
+    await toolCache.set(key, result, cacheTtlMs);
+  }
+
+  return {
+    result,
+    cache: { status: bypass ? 'BYPASS' : 'MISS', ttlMs: stored ? cacheTtlMs : 0, ageMs: 0 }
+  };
+}
+
+/**
+ * Solo se cachea un resultado que normaliza sin advertencias y trae texto o fuentes:
+ * uno vacío o mal formado se serviría durante todo el TTL
+ */
+function isCacheableResult(toolName, result) {
+  let normalized;
+  try {
+    normalized = normalizeToolResult(toolName, result);
   } catch (error) {
-    console.error(`[MCP] Error llamando herramienta ${toolName}:`, error);
-    throw new Error(`Error conectando con MCP: ${error.message}`);
+    log.warn('Resultado no cacheable', { tool: toolName, error });
+    return false;
+  }
+
+  const cacheable = normalized.warnings.length === 0 && (normalized.text !== null || normalized.sources.length > 0);
+  if (!cacheable) {
+    log.warn('Resultado vacío o incompleto, no se guarda en caché', { tool: toolName, warnings: normalized.warnings });
+    metrics.increment('CacheSkip', { Tool: toolName });
   }
+  return cacheable;
+}
+
+/**
+ * Headers HTTP de caché para una respuesta obtenida con callMcpToolCached
+ */
+function cacheHeaders(cache) {
+  if (cache.status === 'DISABLED') {
+    return {};
+  }
+  const maxAge = Math.max(0, Math.floor(cache.ttlMs / 1000));
+  return {
+    'X-Cache': cache.status,
+    'Cache-Control': `private, max-age=${maxAge}`,
+    'Age': String(Math.floor(cache.ageMs / 1000))
+  };
 }
 
 /**
  * Método alternativo: llamar directamente sin protocolo JSON-RPC
  */
-async function callMcpAlternative(toolName, toolArgs) {
-  console.log(`[MCP] Usando método alternativo para ${toolName}`);
-  
+async function callMcpAlternative(toolName, toolArgs, timeoutMs) {
   // Intentar endpoint directo REST-like
   const restUrl = `${MCP_SERVER_URL}/tools/${toolName}/call`;
   
   const response = await makeHttpRequest(restUrl, {
     method: 'POST',
     body: toolArgs,
+    timeoutMs,
     headers: {
       'Accept': 'application/json',
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...getRequestHeaders()
     }
   });
   
@@ -169,97 +282,199 @@ async function callMcpAlternative(toolName, toolArgs) {
     return response.body;
   }
   
-  throw new Error(`Error en método alternativo: ${JSON.stringify(response.body)}`);
+  const error = new Error(`Error en método alternativo: ${JSON.stringify(response.body)}`);
+  error.statusCode = response.statusCode;
+  throw error;
 }
 
 /**
- * Método alternativo para prompts usando REST
+ * Obtiene un prompt del servidor MCP (con fallback REST)
  */
 async function callMcpPrompt(promptName, promptArgs) {
-  const mcpRequest = {
-    jsonrpc: '2.0',
-    id: Date.now(),
-    method: 'prompts/get',
-    params: {
-      name: promptName,
-      arguments: promptArgs
-    }
-  };
-  
-  console.log(`[MCP] Llamando prompt: ${promptName}`);
-  
-  try {
-    // Usar endpoint /mcp que requiere Accept: application/json, text/event-stream
-    const response = await makeHttpRequest(`${MCP_SERVER_URL}/mcp`, {
-      method: 'POST',
-      body: mcpRequest,
-      headers: {
-        'Accept': 'application/json, text/event-stream',
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    if (response.statusCode === 200 && response.body.result) {
-      return response.body.result;
+  const policy = getCallPolicy(promptName);
+  const startedAt = Date.now();
+  log.info('Llamando prompt', { prompt: promptName, timeout_ms: policy.timeoutMs });
+
+  return withSpan(`mcp.prompt ${promptName}`, { 'mcp.prompt': promptName }, async () => {
+    try {
+      const result = await runWithPolicy(promptName, policy, async () => {
+        try {
+          return await mcpClient.getPrompt(promptName, promptArgs, { timeoutMs: policy.timeoutMs });
+        } catch (error) {
+          // Igual que en callMcpTool: solo si el servidor no acepta el transporte MCP
+          if (error.rpcCode === -32600 || error.statusCode === 405) {
+            log.info('Transporte MCP no soportado para prompts, usando método alternativo', { prompt: promptName });
+            metrics.increment('McpFallback', { Tool: promptName, Kind: 'rest' });
+            return await callMcpAlternativePrompt(promptName, promptArgs, policy.timeoutMs);
+          }
+          throw error;
+        }
+      });
+      recordToolMetrics(promptName, startedAt, null);
+      return result;
+    } catch (error) {
+      recordToolMetrics(promptName, startedAt, metrics.classifyError(error));
+      throw error;
     }
-    
-    // Si SSE no funciona, intentar método alternativo
-    console.log(`[MCP] SSE no disponible, usando método alternativo para prompt`);
-    return await callMcpAlternativePrompt(promptName, promptArgs);
-    
-  } catch (error) {
-    console.error(`[MCP] Error con SSE, intentando alternativa:`, error);
-    return await callMcpAlternativePrompt(promptName, promptArgs);
-  }
+  }, 'CLIENT');
 }
 
 /**
  * Método alternativo para prompts usando REST
  */
-async function callMcpAlternativePrompt(promptName, promptArgs) {
+async function callMcpAlternativePrompt(promptName, promptArgs, timeoutMs) {
   const restUrl = `${MCP_SERVER_URL}/prompts/${promptName}`;
   
   const response = await makeHttpRequest(restUrl, {
     method: 'POST',
-    body: promptArgs
+    body: promptArgs,
+    timeoutMs,
+    headers: getRequestHeaders()
   });
   
   if (response.statusCode === 200) {
     return response.body;
   }
   
-  throw new Error(`Error en método alternativo (prompt): ${JSON.stringify(response.body)}`);
+  const error = new Error(`Error en método alternativo (prompt): ${JSON.stringify(response.body)}`);
+  error.statusCode = response.statusCode;
+  throw error;
+}
+
+// ========== ESQUEMAS (request/response) ==========
+// Cada handler declara su esquema una sola vez (JSON Schema); index.js los usa
+// para generar /info y el documento OpenAPI de /openapi.json
+
+const NO_CACHE_PROPERTY = { type: 'boolean', default: false, description: 'Ignorar la respuesta en caché y consultar al servidor MCP' };
+
+const RAW_PROPERTY = { type: 'boolean', default: false, description: 'Incluir en raw el resultado MCP original (depuración)' };
+
+const PROFILE_USER_PROPERTY = { type: 'string', description: 'Usuario con perfil guardado en /profile; los campos enviados en la petición tienen prioridad' };
+
+const PROFILE_SOURCE_PROPERTY = {
+  type: 'string',
+  enum: ['request', 'stored', 'merged'],
+  description: 'Origen del perfil: la petición, el perfil guardado o el guardado con campos de la petición'
+};
+
+// Versión del sobre de respuesta de las rutas MCP; cambia solo con cambios incompatibles en data
+const ENVELOPE_VERSION = 1;
+
+const SOURCE_RESPONSE = {
+  type: 'object',
+  properties: {
+    title: { type: ['string', 'null'] },
+    scope: { type: ['string', 'null'] },
+    url: { type: ['string', 'null'] },
+    similarity: { type: ['number', 'null'] }
+  }
+};
+
+/**
+ * Esquema del sobre común con los campos de data de cada ruta
+ */
+function mcpEnvelopeSchema(dataProperties) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      envelope_version: { type: 'integer', enum: [ENVELOPE_VERSION] },
+      tool: { type: 'string', description: 'Herramienta o prompt MCP que generó la respuesta' },
+      data: { type: 'object', properties: dataProperties },
+      warnings: {
+        type: 'array',
+        description: 'Partes omitidas o campos del resultado MCP que no cumplen el esquema esperado',
+        items: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', enum: ['unsupported_content', 'schema_mismatch', 'missing_text', 'unknown_tool'] },
+            message: { type: 'string' },
+            field: { type: 'string' }
+          }
+        }
+      },
+      source: {
+        type: 'string',
+        enum: ['mcp_server', 'gemini', 'fake', 'offline_kb'],
+        description: 'mcp_server o el proveedor en proceso (FISCAI_PROVIDER); offline_kb: respuesta de la base local en modo degradado'
+      },
+      raw: { type: 'object', description: 'Resultado MCP original (solo con raw=true)' },
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['success', 'envelope_version', 'tool', 'data', 'warnings', 'source', 'timestamp']
+  };
+}
+
+/**
+ * Respuesta 200 con el sobre común; options: { raw (resultado MCP original), headers, source }
+ */
+function envelopeResponse(tool, data, normalized, options = {}) {
+  return {
+    statusCode: 200,
+    headers: options.headers,
+    body: {
+      success: true,
+      envelope_version: ENVELOPE_VERSION,
+      tool,
+      data,
+      warnings: normalized.warnings,
+      source: options.source || toolSource(tool),
+      raw: options.raw,
+      timestamp: new Date().toISOString()
+    }
+  };
 }
 
 // ========== HANDLERS MCP ==========
 
+const FISCAL_ADVICE_SCHEMA = {
+  summary: 'Recomendación fiscal personalizada (get_fiscal_advice)',
+  request: {
+    type: 'object',
+    required: ['actividad'],
+    properties: {
+      actividad: PROFILE_PROPERTIES.actividad,
+      ingresos_anuales: PROFILE_PROPERTIES.ingresos_anuales,
+      estado: PROFILE_PROPERTIES.estado,
+      regimen_actual: PROFILE_PROPERTIES.regimen_actual,
+      tiene_rfc: PROFILE_PROPERTIES.has_rfc,
+      contexto_adicional: PROFILE_PROPERTIES.contexto_adicional,
+      no_cache: NO_CACHE_PROPERTY,
+      raw: RAW_PROPERTY
+    }
+  },
+  response: mcpEnvelopeSchema({
+    advice: { type: ['string', 'null'], description: 'Recomendación fiscal' },
+    sources: { type: 'array', items: SOURCE_RESPONSE }
+  }),
+  cached: true,
+  upstream: true
+};
+
 /**
- * Handler para get_fiscal_advice vía MCP
+ * Handler para get_fiscal_advice vía MCP (cacheado)
+ * options.bypassCache fuerza la consulta al servidor (ej. header Cache-Control: no-cache)
  */
-async function handleMcpFiscalAdvice(params) {
+async function handleMcpFiscalAdvice(params, options = {}) {
+  const { value, errors } = validateParams(FISCAL_ADVICE_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
   const {
     actividad,
     ingresos_anuales,
     estado,
     regimen_actual,
     tiene_rfc,
-    contexto_adicional
-  } = params;
-
-  if (!actividad) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "actividad"',
-        required: ['actividad'],
-        optional: ['ingresos_anuales', 'estado', 'regimen_actual', 'tiene_rfc', 'contexto_adicional']
-      }
-    };
-  }
+    contexto_adicional,
+    no_cache,
+    raw
+  } = value;
 
   try {
     // FastMCP espera los parámetros envueltos en un objeto 'request'
-    const result = await callMcpTool('get_fiscal_advice', {
+    const { result, cache } = await callMcpToolCached('get_fiscal_advice', {
       request: {
         actividad,
         ingresos_anuales,
@@ -268,79 +483,347 @@ async function handleMcpFiscalAdvice(params) {
         tiene_rfc,
         contexto_adicional
       }
-    });
+    }, { bypass: no_cache || options.bypassCache });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    const normalized = normalizeToolResult('get_fiscal_advice', result);
+    return envelopeResponse('get_fiscal_advice', {
+      advice: normalized.text,
+      sources: normalized.sources
+    }, normalized, { raw: raw ? result : undefined, headers: cacheHeaders(cache) });
   } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+const HISTORY_MEMORY_RESPONSE = {
+  type: 'object',
+  description: 'Historial de la sesión enviado a la herramienta',
+  properties: {
+    history_turns: { type: 'integer', description: 'Turnos recientes enviados completos' },
+    summarized_turns: { type: 'integer', description: 'Turnos anteriores enviados como resumen' }
+  }
+};
+
+const CHAT_CONTEXT_USED_RESPONSE = {
+  type: 'object',
+  description: 'Contexto fiscal del usuario adjuntado al mensaje (para mostrar "respuesta basada en tu perfil")',
+  properties: {
+    source: { type: ['string', 'null'], enum: ['stored', 'mcp', null], description: 'Origen del perfil: /profile o get_user_fiscal_context' },
+    risk_source: { type: ['string', 'null'], enum: ['history', 'computed', null], description: 'Último riesgo guardado o calculado del perfil' },
+    fields: { type: 'array', items: { type: 'string' }, description: 'Campos incluidos en el contexto' }
+  }
+};
+
+const CHAT_SCHEMA = {
+  summary: 'Chat con el asistente fiscal (chat_with_fiscal_assistant)',
+  request: {
+    type: 'object',
+    // Con autenticación el user_id sale del token; sin él no hay a quién asignar la sesión
+    required: ['message', 'user_id'],
+    properties: {
+      message: { type: 'string', maxLength: 4000, description: 'Mensaje del usuario' },
+      user_id: { type: 'string', description: 'Identificador del usuario' },
+      session_id: { type: 'string', maxLength: 128, description: 'Sesión de chat; sin ella se crea una nueva (ver /chat/sessions)' },
+      context: {
+        type: 'string',
+        enum: ['auto', 'stored', 'mcp', 'none'],
+        default: 'auto',
+        description: 'Contexto fiscal a adjuntar: auto (perfil guardado o, si no hay, get_user_fiscal_context), stored, mcp o none'
+      },
+      stream: { type: 'boolean', default: false, description: 'Responder como text/event-stream (eventos progress y message)' },
+      raw: RAW_PROPERTY
+    }
+  },
+  response: mcpEnvelopeSchema({
+    reply: { type: ['string', 'null'], description: 'Respuesta del asistente' },
+    session_id: { type: ['string', 'null'] },
+    memory: HISTORY_MEMORY_RESPONSE,
+    context_used: CHAT_CONTEXT_USED_RESPONSE
+  }),
+  eventStream: {
+    type: 'string',
+    description: 'Eventos SSE: progress { progress, total, delta }, message { message, session_id, memory, context_used, metadata } (final) y error'
+  },
+  upstream: true
+};
+
+// Campos del perfil que se adjuntan al chat
+const CHAT_CONTEXT_FIELDS = [
+  'actividad',
+  'regimen_actual',
+  'ingresos_anuales',
+  'empleados',
+  'estado',
+  'has_rfc',
+  'has_efirma',
+  'emite_cfdi',
+  'declara_mensual',
+  'emite_cfdi_nomina'
+];
+
+/**
+ * Perfil para el chat: el guardado en /profile o el de get_user_fiscal_context
+ * Retorna { profile, source } o null si no hay perfil
+ */
+async function loadChatProfile(userId, mode) {
+  if (mode !== 'mcp') {
+    const stored = await getProfileRepository().get(userId);
+    if (stored) {
+      return { profile: stored.profile, source: 'stored' };
+    }
+    if (mode === 'stored') {
+      return null;
+    }
+  }
+
+  const { result } = await callMcpToolCached('get_user_fiscal_context', { request: { user_id: userId } });
+  const data = getPayloadData(normalizeToolResult('get_user_fiscal_context', result).structured);
+  if (!data) {
+    return null;
+  }
+
+  // El contexto del servidor puede traer el perfil anidado y el régimen como regimen_fiscal;
+  // los campos que no cumplen el esquema se descartan
+  const context = data.profile && typeof data.profile === 'object' ? data.profile : data;
+  const { value } = validateParams({ type: 'object', properties: PROFILE_PROPERTIES }, {
+    ...context,
+    regimen_actual: context.regimen_actual || context.regimen_fiscal
+  });
+  return Object.keys(value).length > 0 ? { profile: value, source: 'mcp' } : null;
+}
+
+/**
+ * Bloque de contexto compacto para chat_with_fiscal_assistant: campos del perfil
+ * y el último riesgo (del historial, o calculado si el perfil es el guardado)
+ * Si falla la lectura el chat continúa sin contexto
+ * Retorna { context, used: { source, risk_source, fields } }
+ */
+async function buildChatContext(userId, mode) {
+  const none = { context: null, used: { source: null, risk_source: null, fields: [] } };
+  if (mode === 'none' || !userId) {
+    return none;
+  }
+
+  try {
+    const [loaded, latestRisk] = await Promise.all([
+      loadChatProfile(userId, mode),
+      getLatestRiskEvaluation(userId)
+    ]);
+
+    const context = {};
+    if (loaded) {
+      CHAT_CONTEXT_FIELDS
+        .filter(field => loaded.profile[field] !== undefined && loaded.profile[field] !== null)
+        .forEach(field => { context[field] = loaded.profile[field]; });
+    }
+
+    const risk = latestRisk || (loaded && loaded.source === 'stored' ? evaluateRisk(loaded.profile) : null);
+    if (risk) {
+      context.riesgo = {
+        score: Number(risk.score),
+        level: risk.level,
+        issues: (risk.issues || []).map(issue => issue.code)
+      };
+    }
+
+    const fields = Object.keys(context);
+    if (fields.length === 0) {
+      return none;
+    }
+
     return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
+      context,
+      used: {
+        source: loaded ? loaded.source : null,
+        risk_source: risk ? (latestRisk ? 'history' : 'computed') : null,
+        fields
       }
     };
+  } catch (error) {
+    log.warn('No se pudo obtener el contexto fiscal para el chat', { error });
+    return none;
   }
 }
 
+/**
+ * Argumentos de chat_with_fiscal_assistant con la ventana de historial de la sesión
+ * y el contexto fiscal del usuario
+ */
+function chatToolRequest(message, userId, memory, userContext) {
+  // FastMCP espera los parámetros envueltos en un objeto 'request'
+  return {
+    request: {
+      message,
+      user_id: userId,
+      session_id: memory.session_id,
+      history: memory.history,
+      history_summary: memory.summary,
+      user_context: userContext.context
+    }
+  };
+}
+
+function describeMemory(memory) {
+  return {
+    history_turns: memory.history.length,
+    summarized_turns: memory.summarized_turns
+  };
+}
+
 /**
  * Handler para chat_with_fiscal_assistant vía MCP
+ * El bridge guarda los turnos por sesión y envía el historial reciente a la herramienta,
+ * junto con el contexto fiscal del usuario (params.context)
  */
 async function handleMcpChat(params) {
-  const { message, user_id, session_id } = params;
+  const { value, errors } = validateParams(CHAT_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
 
-  if (!message) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "message"',
-        required: ['message'],
-        optional: ['user_id', 'session_id']
-      }
-    };
+  const { message, user_id: userId, session_id, context, raw } = value;
+
+  try {
+    const [memory, userContext] = await Promise.all([
+      loadChatMemory(userId, session_id),
+      buildChatContext(userId, context)
+    ]);
+    const result = await callMcpTool('chat_with_fiscal_assistant', chatToolRequest(message, userId, memory, userContext));
+
+    const normalized = normalizeToolResult('chat_with_fiscal_assistant', result);
+    if (normalized.text !== null) {
+      await saveChatTurns(userId, memory, message, normalized.text);
+    }
+
+    return envelopeResponse('chat_with_fiscal_assistant', {
+      reply: normalized.text,
+      session_id: memory.session_id,
+      memory: describeMemory(memory),
+      context_used: userContext.used
+    }, normalized, { raw: raw ? result : undefined });
+  } catch (error) {
+    return errorResponseFromException(error);
   }
+}
+
+/**
+ * Handler de chat en modo streaming
+ * Emite eventos vía emit(name, data) mientras llegan las notificaciones del servidor MCP:
+ * - progress: { progress, total, delta } por cada notifications/progress (tokens parciales)
+ * - message: respuesta completa con metadata (evento final)
+ * - error: si falla la herramienta después de iniciar el stream
+ * Retorna { statusCode, body, streamed }; si streamed es false no se emitió nada
+ * (p. ej. parámetros inválidos) y body debe enviarse como JSON normal
+ */
+async function handleMcpChatStream(params, emit) {
+  const { value, errors } = validateParams(CHAT_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return { ...invalidParamsResponse(errors), streamed: false };
+  }
+
+  const { message, user_id: userId, session_id, context } = value;
+  const startedAt = Date.now();
+  let progressEvents = 0;
 
   try {
-    // FastMCP espera los parámetros envueltos en un objeto 'request'
-    const result = await callMcpTool('chat_with_fiscal_assistant', {
-      request: {
-        message,
-        user_id: user_id || 'lambda-user',
-        session_id
+    const [memory, userContext] = await Promise.all([
+      loadChatMemory(userId, session_id),
+      buildChatContext(userId, context)
+    ]);
+    const result = await callMcpTool('chat_with_fiscal_assistant', chatToolRequest(message, userId, memory, userContext), {
+      onProgress: (progress) => {
+        progressEvents += 1;
+        emit('progress', {
+          progress: progress.progress,
+          total: progress.total,
+          delta: progress.message || ''
+        });
       }
     });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
+    const reply = normalizeToolResult('chat_with_fiscal_assistant', result).text;
+    if (reply === null) {
+      throw createAppError('MCP_PROTOCOL_ERROR', {
+        message: 'chat_with_fiscal_assistant no devolvió una respuesta reconocible'
+      });
+    }
+    await saveChatTurns(userId, memory, message, reply);
+
+    const body = {
+      success: true,
+      message: reply,
+      user_id: userId,
+      session_id: memory.session_id,
+      memory: describeMemory(memory),
+      context_used: userContext.used,
+      metadata: {
+        tool: 'chat_with_fiscal_assistant',
+        source: toolSource('chat_with_fiscal_assistant'),
+        progress_events: progressEvents,
+        duration_ms: Date.now() - startedAt
+      },
+      timestamp: new Date().toISOString()
     };
+
+    emit('message', body);
+    return { statusCode: 200, body, streamed: true };
+
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+    const { statusCode, body } = errorResponseFromException(error);
+    emit('error', body);
+    return { statusCode, body, streamed: true };
   }
 }
 
+const RISK_ANALYSIS_SCHEMA = {
+  summary: 'Análisis de riesgo fiscal (analyze_fiscal_risk)',
+  request: {
+    type: 'object',
+    required: ['has_rfc'],
+    properties: {
+      has_rfc: PROFILE_PROPERTIES.has_rfc,
+      has_efirma: PROFILE_PROPERTIES.has_efirma,
+      emite_cfdi: PROFILE_PROPERTIES.emite_cfdi,
+      declara_mensual: PROFILE_PROPERTIES.declara_mensual,
+      ingresos_anuales: PROFILE_PROPERTIES.ingresos_anuales,
+      actividad: PROFILE_PROPERTIES.actividad,
+      regimen_fiscal: PROFILE_PROPERTIES.regimen_actual,
+      user_id: PROFILE_USER_PROPERTY,
+      raw: RAW_PROPERTY
+    }
+  },
+  response: mcpEnvelopeSchema({
+    summary: { type: ['string', 'null'], description: 'Texto del análisis, si la herramienta lo devuelve como texto' },
+    analysis: { type: ['object', 'null'], description: 'Resultado estructurado de analyze_fiscal_risk' },
+    profile_source: PROFILE_SOURCE_PROPERTY
+  }),
+  upstream: true
+};
+
 /**
  * Handler para analyze_fiscal_risk vía MCP
+ * Con user_id completa los campos faltantes desde el perfil guardado
  */
 async function handleMcpRiskAnalysis(params) {
+  let stored;
+  try {
+    // El perfil guardado usa regimen_actual; la herramienta espera regimen_fiscal
+    const { regimen_fiscal: requestedRegimen, ...overrides } = params;
+    stored = await loadProfileWithOverrides(params.user_id, { ...overrides, regimen_actual: requestedRegimen });
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+
+  const { regimen_actual, ...profile } = stored.profile;
+  const { value, errors } = validateParams(RISK_ANALYSIS_SCHEMA.request, {
+    ...profile,
+    regimen_fiscal: regimen_actual,
+    raw: params.raw
+  });
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
   const {
     has_rfc,
     has_efirma,
@@ -348,19 +831,9 @@ async function handleMcpRiskAnalysis(params) {
     declara_mensual,
     ingresos_anuales,
     actividad,
-    regimen_fiscal
-  } = params;
-
-  if (has_rfc === undefined) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "has_rfc"',
-        required: ['has_rfc'],
-        optional: ['has_efirma', 'emite_cfdi', 'declara_mensual', 'ingresos_anuales', 'actividad', 'regimen_fiscal']
-      }
-    };
-  }
+    regimen_fiscal,
+    raw
+  } = value;
 
   try {
     // FastMCP espera los parámetros envueltos en un objeto 'request'
@@ -376,137 +849,159 @@ async function handleMcpRiskAnalysis(params) {
       }
     });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    const normalized = normalizeToolResult('analyze_fiscal_risk', result);
+    return envelopeResponse('analyze_fiscal_risk', {
+      summary: normalized.text,
+      analysis: getPayloadData(normalized.structured),
+      profile_source: stored.source
+    }, normalized, { raw: raw ? result : undefined });
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+    return errorResponseFromException(error);
   }
 }
 
+const SEARCH_SCHEMA = {
+  summary: 'Búsqueda semántica de documentos fiscales (search_fiscal_documents)',
+  request: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', description: 'Texto a buscar' },
+      limit: { type: 'integer', minimum: 1, maximum: 20, default: 5, description: 'Número máximo de documentos' },
+      no_cache: NO_CACHE_PROPERTY,
+      raw: RAW_PROPERTY
+    }
+  },
+  response: mcpEnvelopeSchema({
+    documents: { type: 'array', items: SOURCE_RESPONSE }
+  }),
+  cached: true,
+  upstream: true
+};
+
 /**
- * Handler para search_fiscal_documents vía MCP
+ * Handler para search_fiscal_documents vía MCP (cacheado)
+ * options.bypassCache fuerza la consulta al servidor (ej. header Cache-Control: no-cache)
  */
-async function handleMcpSearch(params) {
-  const { query, limit } = params;
-
-  if (!query) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "query"',
-        required: ['query'],
-        optional: ['limit']
-      }
-    };
+async function handleMcpSearch(params, options = {}) {
+  const { value, errors } = validateParams(SEARCH_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
   }
 
+  const { query, limit, no_cache, raw } = value;
+
   try {
     // FastMCP espera los parámetros envueltos en un objeto 'request'
-    const result = await callMcpTool('search_fiscal_documents', {
+    const { result, cache } = await callMcpToolCached('search_fiscal_documents', {
       request: {
         query,
-        limit: limit || 5
+        limit
       }
-    });
+    }, { bypass: no_cache || options.bypassCache });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    const normalized = normalizeToolResult('search_fiscal_documents', result);
+    return envelopeResponse('search_fiscal_documents', {
+      documents: normalized.sources
+    }, normalized, { raw: raw ? result : undefined, headers: cacheHeaders(cache) });
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+    return errorResponseFromException(error);
   }
 }
 
+const PLACES_SCHEMA = {
+  summary: 'Búsqueda de lugares con deep links de mapas (search_places)',
+  request: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', description: 'Lugar a buscar (ej. "oficina SAT")' },
+      lat: { type: 'number', minimum: -90, maximum: 90, description: 'Latitud de referencia' },
+      lng: { type: 'number', minimum: -180, maximum: 180, description: 'Longitud de referencia' },
+      limit: { type: 'integer', minimum: 1, maximum: 20, default: 5, description: 'Número máximo de lugares' },
+      raw: RAW_PROPERTY
+    }
+  },
+  response: mcpEnvelopeSchema({
+    places: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: ['string', 'null'] },
+          address: { type: ['string', 'null'] },
+          coords: {
+            type: ['object', 'null'],
+            properties: { lat: { type: 'number' }, lng: { type: 'number' } }
+          },
+          deeplink: { type: ['string', 'null'], description: 'URL para abrir el lugar en mapas' }
+        }
+      }
+    }
+  }),
+  upstream: true
+};
+
 /**
  * Handler para search_places vía MCP (Google Places / deep links)
  * Espera params: { query, lat, lng, limit }
  */
 async function handleMcpSearchPlaces(params) {
-  const { query, lat, lng, limit } = params;
-
-  if (!query) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "query"',
-        required: ['query'],
-        optional: ['lat', 'lng', 'limit']
-      }
-    };
+  const { value, errors } = validateParams(PLACES_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
   }
 
+  const { query, lat, lng, limit, raw } = value;
+
   try {
     // Llamar la herramienta MCP 'search_places' con la estructura esperada
     const result = await callMcpTool('search_places', {
       request: {
         query,
-        lat: lat !== undefined ? Number(lat) : undefined,
-        lng: lng !== undefined ? Number(lng) : undefined,
-        limit: limit || 5
+        lat,
+        lng,
+        limit
       }
     });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    const normalized = normalizeToolResult('search_places', result);
+    const data = getPayloadData(normalized.structured) || {};
+    return envelopeResponse('search_places', {
+      places: Array.isArray(data.places) ? data.places.filter(Boolean).map(toPlace) : []
+    }, normalized, { raw: raw ? result : undefined });
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+    return errorResponseFromException(error);
   }
 }
 
+const USER_CONTEXT_SCHEMA = {
+  summary: 'Contexto fiscal del usuario (get_user_fiscal_context)',
+  request: {
+    type: 'object',
+    required: ['user_id'],
+    properties: {
+      user_id: { type: 'string', description: 'Identificador del usuario' },
+      raw: RAW_PROPERTY
+    }
+  },
+  response: mcpEnvelopeSchema({
+    context: { type: ['object', 'null'], description: 'Contexto fiscal del usuario' }
+  }),
+  upstream: true
+};
+
 /**
  * Handler para get_user_fiscal_context vía MCP
  */
 async function handleMcpUserContext(params) {
-  const { user_id } = params;
-
-  if (!user_id) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "user_id"',
-        required: ['user_id']
-      }
-    };
+  const { value, errors } = validateParams(USER_CONTEXT_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
   }
 
+  const { user_id, raw } = value;
+
   try {
     // FastMCP espera los parámetros envueltos en un objeto 'request'
     const result = await callMcpTool('get_user_fiscal_context', {
@@ -515,43 +1010,44 @@ async function handleMcpUserContext(params) {
       }
     });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    const normalized = normalizeToolResult('get_user_fiscal_context', result);
+    return envelopeResponse('get_user_fiscal_context', {
+      context: getPayloadData(normalized.structured)
+    }, normalized, { raw: raw ? result : undefined });
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+    return errorResponseFromException(error);
   }
 }
 
+const FISCAL_CONSULTATION_SCHEMA = {
+  summary: 'Prompt de consulta fiscal (fiscal_consultation)',
+  request: {
+    type: 'object',
+    required: ['business_type'],
+    properties: {
+      business_type: { type: 'string', description: 'Tipo de negocio' },
+      annual_income: { type: 'number', minimum: 0, description: 'Ingresos anuales en MXN' },
+      state: { type: 'string', format: 'estado-mx', enum: ESTADO_NOMBRES, description: 'Estado de la República' },
+      raw: RAW_PROPERTY
+    }
+  },
+  response: mcpEnvelopeSchema({
+    prompt: { type: ['string', 'null'], description: 'Texto del prompt generado' }
+  }),
+  upstream: true
+};
+
 /**
  * Handler para fiscal_consultation prompt vía MCP
  */
 async function handleMcpFiscalConsultation(params) {
-  const { business_type, annual_income, state } = params;
-
-  if (!business_type) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "business_type"',
-        required: ['business_type'],
-        optional: ['annual_income', 'state']
-      }
-    };
+  const { value, errors } = validateParams(FISCAL_CONSULTATION_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
   }
 
+  const { business_type, annual_income, state, raw } = value;
+
   try {
     const result = await callMcpPrompt('fiscal_consultation', {
       business_type,
@@ -559,281 +1055,262 @@ async function handleMcpFiscalConsultation(params) {
       state
     });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    const normalized = normalizePromptResult('fiscal_consultation', result);
+    return envelopeResponse('fiscal_consultation', {
+      prompt: normalized.text
+    }, normalized, { raw: raw ? result : undefined });
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+    return errorResponseFromException(error);
   }
 }
 
+const RISK_ASSESSMENT_SCHEMA = {
+  summary: 'Prompt de evaluación de riesgo (risk_assessment)',
+  request: {
+    type: 'object',
+    required: ['current_status'],
+    properties: {
+      current_status: { type: 'string', description: 'Descripción de la situación fiscal actual' },
+      raw: RAW_PROPERTY
+    }
+  },
+  response: mcpEnvelopeSchema({
+    prompt: { type: ['string', 'null'], description: 'Texto del prompt generado' }
+  }),
+  upstream: true
+};
+
 /**
  * Handler para risk_assessment prompt vía MCP
  */
 async function handleMcpRiskAssessment(params) {
-  const { current_status } = params;
-
-  if (!current_status) {
-    return {
-      statusCode: 400,
-      body: {
-        error: 'Falta el parámetro "current_status"',
-        required: ['current_status']
-      }
-    };
+  const { value, errors } = validateParams(RISK_ASSESSMENT_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
   }
 
+  const { current_status, raw } = value;
+
   try {
     const result = await callMcpPrompt('risk_assessment', {
       current_status
     });
 
-    return {
-      statusCode: 200,
-      body: {
-        success: true,
-        data: result,
-        source: 'mcp_server',
-        timestamp: new Date().toISOString()
-      }
-    };
+    const normalized = normalizePromptResult('risk_assessment', result);
+    return envelopeResponse('risk_assessment', {
+      prompt: normalized.text
+    }, normalized, { raw: raw ? result : undefined });
   } catch (error) {
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      }
-    };
+    return errorResponseFromException(error);
   }
 }
 
+const REGIME_CALCULATOR_SCHEMA = {
+  summary: 'Elegibilidad de regímenes fiscales y estimación mensual de ISR/IVA',
+  request: {
+    type: 'object',
+    required: ['profile'],
+    properties: {
+      profile: {
+        type: 'object',
+        required: ['ingresos_anuales'],
+        properties: {
+          ...PROFILE_PROPERTIES,
+          gastos_deducibles_anuales: { type: 'number', minimum: 0, description: 'Gastos deducibles anuales con CFDI (sin IVA)' },
+          usa_plataformas: { type: 'boolean', description: 'Obtiene ingresos a través de plataformas tecnológicas' },
+          tipo_plataforma: { type: 'string', enum: ['transporte', 'hospedaje', 'enajenacion_servicios'], description: 'Tipo de actividad en plataformas' },
+          arrienda_inmuebles: { type: 'boolean', description: 'Obtiene ingresos por arrendamiento' },
+          tipo_inmueble: { type: 'string', enum: ['casa_habitacion', 'comercial'], description: 'Tipo de inmueble arrendado' },
+          tiene_salario: { type: 'boolean', description: 'Recibe ingresos por sueldos y salarios' },
+          es_socio_accionista: { type: 'boolean', description: 'Es socio o accionista de una persona moral' }
+        }
+      },
+      anio: { type: 'integer', enum: AVAILABLE_YEARS, description: 'Año de las tablas de tasas (por defecto el más reciente)' }
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      anio: { type: 'integer' },
+      tablas_version: { type: 'string' },
+      fuente: { type: 'string' },
+      regimenes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            regimen: { type: 'string' },
+            clave_sat: { type: 'string' },
+            nombre: { type: 'string' },
+            elegible: { type: 'boolean' },
+            motivos: { type: 'array', items: { type: 'string' } },
+            estimacion: {
+              type: 'object',
+              properties: {
+                ingresos_mensuales: { type: 'number' },
+                isr_mensual: { type: 'number' },
+                iva_mensual: { type: 'number' },
+                total_mensual: { type: 'number' },
+                tasa_efectiva: { type: 'number' }
+              }
+            },
+            notas: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      },
+      elegibles: { type: 'array', items: { type: 'string' } },
+      mas_conveniente: { type: ['string', 'null'] },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
 /**
- * Calcula riesgo simple basado en cumplimiento fiscal
- * Similar al código Python simple_risk()
+ * Handler para /regime-calculator (cálculo local, sin servidor MCP)
+ * Acepta el mismo perfil que /recommendation
  */
-function calculateSimpleRisk(profile) {
-  let penalties = 0;
-  let details = [];
-  
-  if (!profile.has_rfc) {
-    penalties += 1;
-    details.push('RFC no registrado');
-  }
-  if (!profile.has_efirma) {
-    penalties += 1;
-    details.push('e.firma no vigente');
-  }
-  if (!profile.emite_cfdi) {
-    penalties += 1;
-    details.push('No emite CFDI');
+async function handleRegimeCalculator(params) {
+  const input = params.profile ? params : { profile: params, anio: params.anio };
+  const { value, errors } = validateParams(REGIME_CALCULATOR_SCHEMA.request, input);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
   }
-  if (!profile.declara_mensual) {
-    penalties += 1;
-    details.push('No presenta declaraciones mensuales');
-  }
-  
-  let level = 'Verde';
-  let message = 'Cumplimiento fiscal óptimo';
-  
-  if (penalties === 1) {
-    level = 'Amarillo';
-    message = 'Cumplimiento parcial, requiere atención';
-  }
-  if (penalties >= 2) {
-    level = 'Rojo';
-    message = 'Alto riesgo fiscal, acción inmediata requerida';
-  }
-  
+
+  const result = calculateRegimes(value.profile, { anio: value.anio });
+  log.info('Regímenes calculados', { elegibles: result.elegibles, tablas_version: result.tablas_version });
+
   return {
-    score: Math.max(0, 100 - (penalties * 25)),
-    level,
-    message,
-    details: {
-      has_rfc: profile.has_rfc || false,
-      has_efirma: profile.has_efirma || false,
-      emite_cfdi: profile.emite_cfdi || false,
-      declara_mensual: profile.declara_mensual || false
-    },
-    penalties,
-    issues: details
+    statusCode: 200,
+    body: {
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    }
   };
 }
 
-/**
- * Extrae y parsea la respuesta del MCP (recomendación/texto)
- */
-function extractMcpResponse(result) {
-  console.log('[EXTRACT] Extrayendo respuesta de:', JSON.stringify(result).substring(0, 300));
-  
-  // Si result tiene content (formato MCP estándar de FastMCP)
-  // FastMCP envuelve la respuesta en { content: [{ type: 'text', text: '{json}' }] }
-  if (result.content && Array.isArray(result.content)) {
-    const textContent = result.content.find(c => c.type === 'text');
-    if (textContent && textContent.text) {
-      console.log('[EXTRACT] Encontrado content array - parseando text...');
-      
-      // El text puede ser un JSON stringificado de la respuesta de la herramienta
-      try {
-        const parsed = JSON.parse(textContent.text);
-        
-        // Si el parsed tiene data.recommendation (estructura de get_fiscal_advice)
-        if (parsed.data && parsed.data.recommendation) {
-          console.log('[EXTRACT] Parseado JSON de content - encontrado data.recommendation');
-          return parsed.data.recommendation;
-        }
-        
-        // Si el parsed tiene data.response (estructura de chat)
-        if (parsed.data && parsed.data.response) {
-          console.log('[EXTRACT] Parseado JSON de content - encontrado data.response');
-          return parsed.data.response;
-        }
-        
-        // Si el parsed tiene recommendation directamente
-        if (parsed.recommendation) {
-          console.log('[EXTRACT] Parseado JSON de content - encontrado recommendation directo');
-          return parsed.recommendation;
-        }
-        
-        // Si no tiene estructura conocida, retornar el parsed completo
-        console.log('[EXTRACT] Parseado JSON de content - estructura desconocida, retornando parsed');
-        return textContent.text;
-        
-      } catch (e) {
-        // No es JSON, retornar el texto directo
-        console.log('[EXTRACT] content.text no es JSON, retornando como string');
-        return textContent.text;
-      }
-    }
-  }
-  
-  // Si result.data.recommendation existe (respuesta directa sin content wrapper)
-  if (result.data && result.data.recommendation) {
-    console.log('[EXTRACT] Encontrado recommendation en result.data.recommendation');
-    return result.data.recommendation;
-  }
-  
-  // Si result tiene data directamente
-  if (result.data) {
-    if (typeof result.data === 'string') {
-      console.log('[EXTRACT] result.data es string directo');
-      return result.data;
-    }
-    if (result.data.response) {
-      console.log('[EXTRACT] Encontrado result.data.response');
-      return result.data.response;
-    }
-  }
-  
-  // Si es string directo
-  if (typeof result === 'string') {
-    console.log('[EXTRACT] result es string directo');
-    // Intentar parsear si es JSON
-    try {
-      const parsed = JSON.parse(result);
-      if (parsed.data && parsed.data.recommendation) {
-        return parsed.data.recommendation;
-      }
-      if (parsed.data && parsed.data.response) {
-        return parsed.data.response;
+const RECOMMENDATION_SCHEMA = {
+  summary: 'Endpoint combinado: fiscal advice + risk analysis + sources (React Native)',
+  request: {
+    type: 'object',
+    properties: {
+      user_id: PROFILE_USER_PROPERTY,
+      profile: {
+        type: 'object',
+        required: ['actividad'],
+        description: 'Perfil fiscal; opcional si user_id tiene un perfil guardado',
+        properties: PROFILE_PROPERTIES
       }
-    } catch (e) {
-      // No es JSON, retornar como está
     }
-    return result;
-  }
-  
-  // Fallback - no debería llegar aquí
-  console.warn('[EXTRACT] ⚠️  Fallback activado - estructura no reconocida');
-  return 'Error: No se pudo extraer la respuesta del servidor MCP';
-}
-
-/**
- * Parsea documentos de la respuesta MCP
- * Compatible con la estructura de get_fiscal_advice y search_fiscal_documents
- */
-function extractDocuments(result) {
-  console.log('[EXTRACT] Extrayendo documentos de:', JSON.stringify(result).substring(0, 200));
-  
-  // Caso 1: Si result tiene content con JSON (formato FastMCP)
-  if (result.content && Array.isArray(result.content)) {
-    const textContent = result.content.find(c => c.type === 'text');
-    if (textContent && textContent.text) {
-      try {
-        const parsed = JSON.parse(textContent.text);
-        
-        // Buscar sources en data.sources (estructura de get_fiscal_advice)
-        if (parsed.data && parsed.data.sources && Array.isArray(parsed.data.sources)) {
-          console.log(`[EXTRACT] Encontrados ${parsed.data.sources.length} sources en content->data.sources`);
-          return parsed.data.sources;
-        }
-        
-        // Buscar documents en data.documents (estructura de search_fiscal_documents)
-        if (parsed.data && parsed.data.documents && Array.isArray(parsed.data.documents)) {
-          console.log(`[EXTRACT] Encontrados ${parsed.data.documents.length} documents en content->data.documents`);
-          return parsed.data.documents;
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      profile: { type: 'object', properties: PROFILE_PROPERTIES },
+      profile_source: PROFILE_SOURCE_PROPERTY,
+      risk: {
+        type: 'object',
+        properties: {
+          score: { type: 'number', minimum: 0, maximum: 100 },
+          level: { type: 'string', enum: ['Verde', 'Amarillo', 'Rojo'] },
+          message: { type: 'string' },
+          details: { type: 'object', additionalProperties: { type: 'boolean' } },
+          issues: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+                weight: { type: 'number' },
+                title: { type: 'string' },
+                explanation: { type: 'string' },
+                remediation: { type: 'string' }
+              }
+            }
+          },
+          rules_version: { type: 'string' }
         }
-        
-        // Buscar sources directamente en parsed
-        if (parsed.sources && Array.isArray(parsed.sources)) {
-          console.log(`[EXTRACT] Encontrados ${parsed.sources.length} sources en content->sources`);
-          return parsed.sources;
+      },
+      recommendation: { type: 'string' },
+      sources: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            scope: { type: 'string' },
+            url: { type: 'string' },
+            similarity: { type: 'number' }
+          }
         }
-        
-        // Buscar documents directamente en parsed
-        if (parsed.documents && Array.isArray(parsed.documents)) {
-          console.log(`[EXTRACT] Encontrados ${parsed.documents.length} documents en content->documents`);
-          return parsed.documents;
+      },
+      matches_count: { type: 'integer' },
+      degraded: { type: 'boolean', description: 'true si el servidor MCP no respondió y la recomendación viene de la base local' },
+      degraded_reason: { type: 'string', description: 'Motivo del modo degradado' },
+      degraded_code: { type: 'string', description: 'Código del error que activó el modo degradado (ver Error.code)' },
+      advice: {
+        type: 'object',
+        description: 'Recomendación estructurada de la base local (solo en modo degradado)',
+        properties: {
+          knowledge_base_version: { type: 'string' },
+          regimen_sugerido: {
+            type: 'object',
+            properties: {
+              key: { type: 'string' },
+              clave_sat: { type: 'string' },
+              nombre: { type: 'string' },
+              motivo: { type: 'string' }
+            }
+          },
+          obligaciones: { type: 'array', items: { type: 'string' } },
+          pasos: { type: 'array', items: { type: 'string' } },
+          advertencias: { type: 'array', items: { type: 'string' } },
+          referencias: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { title: { type: 'string' }, scope: { type: 'string' }, url: { type: 'string' } }
+            }
+          },
+          text: { type: 'string' }
         }
-      } catch (e) {
-        console.log('[EXTRACT] Error parseando JSON de content:', e.message);
-      }
-    }
-  }
-  
-  // Caso 2: result.data.sources (respuesta directa sin content wrapper)
-  if (result.data && result.data.sources && Array.isArray(result.data.sources)) {
-    console.log(`[EXTRACT] Encontrados ${result.data.sources.length} sources en result.data.sources`);
-    return result.data.sources;
-  }
-  
-  // Caso 3: result.data.documents (respuesta directa sin content wrapper)
-  if (result.data && result.data.documents && Array.isArray(result.data.documents)) {
-    console.log(`[EXTRACT] Encontrados ${result.data.documents.length} documents en result.data.documents`);
-    return result.data.documents;
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['success', 'profile', 'profile_source', 'risk', 'recommendation', 'sources', 'matches_count', 'degraded', 'timestamp']
   }
-  
-  console.log('[EXTRACT] No se encontraron documentos/sources');
-  return [];
-}
+};
+
+// v2: los mismos campos dentro del sobre común (sin success / timestamp propios)
+const RECOMMENDATION_ENVELOPE_SCHEMA = {
+  ...RECOMMENDATION_SCHEMA,
+  response: mcpEnvelopeSchema(Object.fromEntries(Object.entries(RECOMMENDATION_SCHEMA.response.properties)
+    .filter(([name]) => name !== 'success' && name !== 'timestamp')))
+};
 
 /**
  * Handler combinado para /recommendation
  * Implementa el flujo RAG del código Python:
- * 1. Calcula riesgo simple (velocímetro)
+ * 1. Evalúa las reglas de riesgo (velocímetro) y la guarda en el historial del usuario
  * 2. Genera query semántica del perfil
  * 3. Busca documentos relevantes (RAG)
  * 4. Llama a get_fiscal_advice con el contexto completo
  * 5. Retorna respuesta estructurada para React Native
+ * Con user_id parte del perfil guardado y aplica encima los campos de la petición
+ * options.envelope devuelve la respuesta dentro del sobre común (API v2)
  */
-async function handleRecommendation(params) {
+async function handleRecommendation(params, options = {}) {
   try {
-    console.log('[RECOMMENDATION] Procesando solicitud completa (RAG)...');
-    
-    // Extraer datos del perfil
-    const profile = params.profile || params;
+    // Extraer datos del perfil (acepta { profile: {...} } o el perfil plano)
+    const stored = await loadProfileWithOverrides(params.user_id, params.profile || params);
+    const { value, errors } = validateParams(RECOMMENDATION_SCHEMA.request, { profile: stored.profile });
+    if (errors.length > 0) {
+      return invalidParamsResponse(errors);
+    }
+
     const {
       actividad,
       ingresos_anuales,
@@ -846,34 +1323,20 @@ async function handleRecommendation(params) {
       declara_mensual,
       regimen_actual,
       contexto_adicional
-    } = profile;
+    } = value.profile;
 
-    if (!actividad) {
-      return {
-        statusCode: 400,
-        body: {
-          error: 'Falta el parámetro "actividad"',
-          required: ['actividad']
-        }
-      };
-    }
-
-    // 1. Calcular riesgo simple (velocímetro)
-    console.log('[RECOMMENDATION] Calculando riesgo fiscal...');
-    const risk = calculateSimpleRisk({
-      has_rfc: has_rfc || false,
-      has_efirma: has_efirma || false,
-      emite_cfdi: emite_cfdi || false,
-      declara_mensual: declara_mensual || false
-    });
+    // 1. Evaluar reglas de riesgo (velocímetro)
+    const risk = evaluateRisk(value.profile);
     
-    console.log(`[RECOMMENDATION] Riesgo: ${risk.level} (score: ${risk.score}, penalties: ${risk.penalties})`);
+    log.info('Riesgo evaluado', { level: risk.level, score: risk.score, issues: risk.issues.map(i => i.code) });
+    await recordRiskEvaluation(params.user_id, risk);
 
     // 2. Llamar a get_fiscal_advice que internamente hace RAG completo
-    console.log('[RECOMMENDATION] Llamando get_fiscal_advice con RAG...');
     let recommendation = '';
     let documents = [];
     let sourcesCount = 0;
+    let degraded = null;
+    let warnings = [];
     
     try {
       const adviceResult = await callMcpTool('get_fiscal_advice', {
@@ -887,31 +1350,48 @@ async function handleRecommendation(params) {
         }
       });
       
-      console.log('[RECOMMENDATION] Respuesta de get_fiscal_advice:', JSON.stringify(adviceResult).substring(0, 300));
-      
-      // Extraer recomendación (extractMcpResponse ya maneja todo el parseo)
-      recommendation = extractMcpResponse(adviceResult);
-      
-      // Extraer sources/documents
-      documents = extractDocuments(adviceResult);
-      
+      const advice = normalizeToolResult('get_fiscal_advice', adviceResult);
+      warnings = advice.warnings;
+      if (advice.text === null) {
+        throw createAppError('MCP_PROTOCOL_ERROR', {
+          message: 'get_fiscal_advice no devolvió una recomendación reconocible'
+        });
+      }
+
+      recommendation = advice.text;
+      documents = advice.sources;
       sourcesCount = documents.length;
       
-      console.log(`[RECOMMENDATION] Recomendación generada con ${sourcesCount} fuentes`);
+      log.info('Recomendación generada', { sources_count: sourcesCount });
       
       // Advertencia si no hay fuentes
       if (sourcesCount === 0) {
-        console.warn('[RECOMMENDATION] ⚠️  No se encontraron documentos en la base de datos');
-        console.warn('[RECOMMENDATION] Posibles causas:');
-        console.warn('[RECOMMENDATION] 1. La tabla fiscai_documents está vacía');
-        console.warn('[RECOMMENDATION] 2. El threshold (0.6) es muy alto');
-        console.warn('[RECOMMENDATION] 3. El embedding no coincide con los documentos');
-        console.warn('[RECOMMENDATION] 4. La función RPC match_fiscai_documents tiene un error');
+        // Posibles causas: tabla fiscai_documents vacía, threshold (0.6) muy alto, embedding
+        // que no coincide con los documentos o un error en la RPC match_fiscai_documents
+        log.warn('get_fiscal_advice no devolvió documentos de la base de datos');
       }
       
     } catch (error) {
-      console.error('[RECOMMENDATION] Error generando recomendación:', error.message);
-      recommendation = `Error al generar recomendación: ${error.message}`;
+      // Modo degradado: recomendación desde la base de conocimiento local
+      log.error('Error generando recomendación, usando base local', { error });
+      metrics.increment('McpFallback', { Tool: 'get_fiscal_advice', Kind: 'offline_kb' });
+      const offline = getOfflineAdvice({
+        actividad,
+        ingresos_anuales,
+        empleados,
+        metodos_pago,
+        has_rfc,
+        has_efirma,
+        emite_cfdi,
+        declara_mensual,
+        regimen_actual
+      });
+      recommendation = offline.text;
+      degraded = {
+        reason: error.message,
+        code: classifyError(error).code,
+        advice: offline
+      };
     }
 
     // 3. Construir respuesta estructurada para React Native
@@ -928,51 +1408,79 @@ async function handleRecommendation(params) {
         emite_cfdi: emite_cfdi || false,
         declara_mensual: declara_mensual || false
       },
+      profile_source: stored.source,
       risk: {
         score: risk.score,
         level: risk.level,
         message: risk.message,
-        details: risk.details
+        details: risk.details,
+        issues: risk.issues,
+        rules_version: risk.rules_version
       },
       recommendation: recommendation,
       sources: documents.map(doc => ({
         title: doc.title || 'Documento fiscal',
         scope: doc.scope || 'General',
-        url: doc.url || doc.source_url || 'Libro',
+        url: doc.url || 'Libro',
         similarity: doc.similarity || 0.8
       })),
       matches_count: sourcesCount,
+      degraded: degraded !== null,
       timestamp: new Date().toISOString()
     };
 
+    if (degraded) {
+      response.degraded_reason = degraded.reason;
+      response.degraded_code = degraded.code;
+      response.advice = degraded.advice;
+    }
+
+    if (options.envelope) {
+      const { success, timestamp, ...data } = response;
+      return envelopeResponse('get_fiscal_advice', data, { warnings }, { source: degraded ? 'offline_kb' : toolSource('get_fiscal_advice') });
+    }
+
     return {
       statusCode: 200,
       body: response
     };
 
   } catch (error) {
-    console.error('[RECOMMENDATION] Error fatal:', error);
-    return {
-      statusCode: 500,
-      body: {
-        error: error.message,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-        timestamp: new Date().toISOString()
-      }
-    };
+    log.error('Error procesando recomendación', { error });
+    return errorResponseFromException(error);
   }
 }
 
 // Exportar funciones
 module.exports = {
   callMcpTool,
+  callMcpToolCached,
   callMcpPrompt,
+  getCircuitState,
+  getProviderState,
+  setSharedCacheStore,
   handleMcpFiscalAdvice,
   handleMcpChat,
+  handleMcpChatStream,
   handleMcpRiskAnalysis,
   handleMcpSearch,
+  handleMcpSearchPlaces,
   handleMcpUserContext,
   handleMcpFiscalConsultation,
   handleMcpRiskAssessment,
-  handleRecommendation
+  handleRecommendation,
+  handleRegimeCalculator,
+  schemas: {
+    recommendation: RECOMMENDATION_SCHEMA,
+    recommendationEnvelope: RECOMMENDATION_ENVELOPE_SCHEMA,
+    regimeCalculator: REGIME_CALCULATOR_SCHEMA,
+    fiscalAdvice: FISCAL_ADVICE_SCHEMA,
+    chat: CHAT_SCHEMA,
+    riskAnalysis: RISK_ANALYSIS_SCHEMA,
+    search: SEARCH_SCHEMA,
+    places: PLACES_SCHEMA,
+    userContext: USER_CONTEXT_SCHEMA,
+    fiscalConsultation: FISCAL_CONSULTATION_SCHEMA,
+    riskAssessment: RISK_ASSESSMENT_SCHEMA
+  }
 };
@@ -0,0 +1,324 @@
+/**
+ * Cliente MCP (transporte Streamable HTTP)
+ * Realiza el handshake initialize / notifications/initialized, conserva el Mcp-Session-Id
+ * entre invocaciones de una Lambda caliente y re-inicializa cuando la sesión expira
+ */
+
+const { makeHttpRequest } = require('./http_client');
+const { createLogger, getRequestHeaders, setRequestContext } = require('./logger');
+
+const log = createLogger('mcp-client');
+
+// URL del servidor MCP desplegado
+const MCP_SERVER_URL = process.env.MCP_SERVER_URL || 'https://fiscmcp.fastmcp.app';
+const MCP_ENDPOINT = `${MCP_SERVER_URL}/mcp`;
+
+const PROTOCOL_VERSION = '2025-03-26';
+const CLIENT_INFO = { name: 'fiscai-lambda-bridge', version: '2.0.0' };
+
+// Timeout del handshake y de peticiones sin timeout propio
+const INIT_TIMEOUT_MS = parseInt(process.env.MCP_INIT_TIMEOUT_MS || '8000', 10);
+
+// Estado del módulo: sobrevive entre invocaciones mientras el contenedor siga caliente
+let session = null;
+let initializing = null;
+let requestCounter = 0;
+
+function nextRequestId() {
+  requestCounter += 1;
+  return `bridge-${Date.now()}-${requestCounter}`;
+}
+
+/**
+ * Crea un Error con los datos del fallo MCP (status HTTP y/o error JSON-RPC)
+ */
+function createMcpError(message, { statusCode, rpcError, body } = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.rpcCode = rpcError ? rpcError.code : undefined;
+  error.rpcError = rpcError;
+  error.responseBody = body;
+  return error;
+}
+
+/**
+ * Envía un mensaje JSON-RPC al endpoint /mcp
+ * Si el servidor responde con SSE, la respuesta se correlaciona por id y las
+ * notificaciones intermedias se entregan a onNotification
+ */
+async function postMessage(message, sessionId, onNotification, timeoutMs) {
+  const headers = {
+    'Accept': 'application/json, text/event-stream',
+    'Content-Type': 'application/json',
+    ...getRequestHeaders()
+  };
+
+  if (sessionId) {
+    headers['Mcp-Session-Id'] = sessionId;
+  }
+  if (session && session.protocolVersion) {
+    headers['MCP-Protocol-Version'] = session.protocolVersion;
+  }
+
+  const startedAt = Date.now();
+  const response = await makeHttpRequest(MCP_ENDPOINT, {
+    method: 'POST',
+    body: message,
+    headers,
+    jsonRpcId: message.id,
+    onNotification,
+    timeoutMs: timeoutMs || INIT_TIMEOUT_MS
+  });
+
+  log.debug('Mensaje MCP enviado', {
+    rpc_method: message.method,
+    upstream_status: response.statusCode,
+    latency_ms: Date.now() - startedAt
+  });
+  setRequestContext({ upstream_status: response.statusCode });
+  return response;
+}
+
+/**
+ * Handshake MCP: initialize + notifications/initialized
+ */
+async function initialize() {
+  log.info('Inicializando sesión MCP');
+
+  const response = await postMessage({
+    jsonrpc: '2.0',
+    id: nextRequestId(),
+    method: 'initialize',
+    params: {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    }
+  });
+
+  const body = response.body || {};
+  if (response.statusCode !== 200 || body.error || !body.result) {
+    throw createMcpError(`Error en initialize MCP (HTTP ${response.statusCode}): ${JSON.stringify(body)}`, {
+      statusCode: response.statusCode,
+      rpcError: body.error,
+      body
+    });
+  }
+
+  const headers = response.headers || {};
+  const newSession = {
+    id: headers['mcp-session-id'] || null,
+    protocolVersion: body.result.protocolVersion || PROTOCOL_VERSION,
+    serverInfo: body.result.serverInfo,
+    capabilities: body.result.capabilities || {},
+    initializedAt: new Date().toISOString()
+  };
+  session = newSession;
+
+  // El servidor responde 202 Accepted a las notificaciones
+  const notification = await postMessage({
+    jsonrpc: '2.0',
+    method: 'notifications/initialized'
+  }, newSession.id);
+
+  if (notification.statusCode >= 400) {
+    session = null;
+    throw createMcpError(`Error en notifications/initialized (HTTP ${notification.statusCode})`, {
+      statusCode: notification.statusCode,
+      body: notification.body
+    });
+  }
+
+  log.info('Sesión MCP inicializada', {
+    session_id: newSession.id || 'stateless',
+    protocol_version: newSession.protocolVersion
+  });
+  return newSession;
+}
+
+/**
+ * Devuelve la sesión actual o la inicializa (una sola inicialización concurrente)
+ */
+function ensureSession() {
+  if (session) {
+    return Promise.resolve(session);
+  }
+
+  if (!initializing) {
+    initializing = initialize().finally(() => {
+      initializing = null;
+    });
+  }
+
+  return initializing;
+}
+
+/**
+ * Descarta la sesión cacheada; la siguiente petición vuelve a inicializar
+ */
+function resetSession() {
+  session = null;
+}
+
+/**
+ * Envía una petición JSON-RPC dentro de la sesión y retorna su result
+ * Si el servidor responde 404 la sesión expiró: se re-inicializa y se reintenta una vez
+ * options.onProgress recibe los params de cada notifications/progress de esta petición
+ * options.timeoutMs limita la duración de la petición (sin contar el handshake)
+ */
+async function request(method, params = {}, options = {}) {
+  const { onProgress, onNotification, timeoutMs } = options;
+  let requestParams = params;
+  let progressToken;
+
+  if (onProgress) {
+    progressToken = nextRequestId();
+    requestParams = { ...params, _meta: { ...(params._meta || {}), progressToken } };
+  }
+
+  const handleNotification = (message) => {
+    if (onProgress && message.method === 'notifications/progress' &&
+        message.params && message.params.progressToken === progressToken) {
+      onProgress(message.params);
+    } else if (onNotification) {
+      onNotification(message);
+    }
+  };
+
+  const send = (sessionId) => postMessage(
+    { jsonrpc: '2.0', id: nextRequestId(), method, params: requestParams },
+    sessionId,
+    handleNotification,
+    timeoutMs
+  );
+
+  const startedAt = Date.now();
+  let current = await ensureSession();
+  let response = await send(current.id);
+
+  if (response.statusCode === 404 && current.id) {
+    log.info('Sesión MCP expirada, re-inicializando', { session_id: current.id });
+    if (session === current) {
+      resetSession();
+    }
+    current = await ensureSession();
+    response = await send(current.id);
+  }
+
+  const body = response.body || {};
+
+  log.info('Petición MCP', {
+    rpc_method: method,
+    name: params.name,
+    upstream_status: response.statusCode,
+    rpc_error: body.error ? body.error.code : undefined,
+    latency_ms: Date.now() - startedAt
+  });
+
+  if (response.statusCode !== 200) {
+    throw createMcpError(`Error MCP ${method} (HTTP ${response.statusCode}): ${JSON.stringify(body)}`, {
+      statusCode: response.statusCode,
+      rpcError: body.error,
+      body
+    });
+  }
+
+  if (body.error) {
+    throw createMcpError(`Error MCP ${method}: ${body.error.message} (código ${body.error.code})`, {
+      statusCode: response.statusCode,
+      rpcError: body.error,
+      body
+    });
+  }
+
+  // Una notificación o un cuerpo vacío no es la respuesta de la petición
+  if (body.result === undefined) {
+    throw createMcpError(`Respuesta MCP ${method} sin result (HTTP ${response.statusCode}): ${JSON.stringify(body)}`, {
+      statusCode: response.statusCode,
+      body
+    });
+  }
+
+  return body.result;
+}
+
+/**
+ * Recorre todas las páginas (nextCursor) de un método list
+ */
+async function listAll(method, key) {
+  const items = [];
+  let cursor;
+
+  do {
+    const result = await request(method, cursor ? { cursor } : {});
+    items.push(...((result && result[key]) || []));
+    cursor = result && result.nextCursor;
+  } while (cursor);
+
+  return items;
+}
+
+function callTool(name, args, options) {
+  return request('tools/call', { name, arguments: args }, options);
+}
+
+/**
+ * Los argumentos de prompts MCP son strings; se omiten los valores vacíos
+ */
+function getPrompt(name, args = {}, options) {
+  const stringArgs = {};
+  Object.entries(args).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    stringArgs[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  });
+
+  return request('prompts/get', { name, arguments: stringArgs }, options);
+}
+
+function listTools() {
+  return listAll('tools/list', 'tools');
+}
+
+function listPrompts() {
+  return listAll('prompts/list', 'prompts');
+}
+
+function listResources() {
+  return listAll('resources/list', 'resources');
+}
+
+function readResource(uri) {
+  return request('resources/read', { uri });
+}
+
+/**
+ * Información de la sesión actual (para /health)
+ */
+function getSessionInfo() {
+  if (!session) {
+    return { initialized: false };
+  }
+
+  return {
+    initialized: true,
+    session_id: session.id,
+    protocol_version: session.protocolVersion,
+    server: session.serverInfo,
+    initialized_at: session.initializedAt
+  };
+}
+
+module.exports = {
+  MCP_SERVER_URL,
+  PROTOCOL_VERSION,
+  ensureSession,
+  resetSession,
+  request,
+  callTool,
+  getPrompt,
+  listTools,
+  listPrompts,
+  listResources,
+  readResource,
+  getSessionInfo
+};
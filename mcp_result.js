@@ -0,0 +1,298 @@
+/**
+ * Normalización de resultados MCP
+ * Convierte un CallToolResult (partes text, image, audio, resource, resource_link,
+ * structuredContent e isError) en un objeto tipado igual para todas las herramientas:
+ * { text, sources, structured, warnings }
+ * - text: respuesta para el usuario (recomendación, respuesta del chat o texto libre)
+ * - sources: documentos citados { title, scope, url, similarity }
+ * - structured: payload de la herramienta (structuredContent o el JSON de la parte text)
+ * - warnings: partes omitidas y campos que no cumplen el esquema de la herramienta
+ */
+
+const { validateParams } = require('./validation');
+const { createAppError, createToolError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mcp-result');
+
+const SOURCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    scope: { type: 'string' },
+    url: { type: 'string' },
+    source_url: { type: 'string' },
+    similarity: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const PLACE_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    address: { type: 'string' },
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lng: { type: 'number', minimum: -180, maximum: 180 },
+    maps_url: { type: 'string' }
+  }
+};
+
+// Esquema de data en el payload { success, data } de cada herramienta del servidor FastMCP
+// text: campo con la respuesta para el usuario; sources: campo con los documentos citados
+const TOOL_RESULT_SCHEMAS = {
+  get_fiscal_advice: {
+    text: 'recommendation',
+    sources: 'sources',
+    data: {
+      type: 'object',
+      required: ['recommendation'],
+      properties: {
+        recommendation: { type: 'string' },
+        sources: { type: 'array', items: SOURCE_SCHEMA }
+      }
+    }
+  },
+  chat_with_fiscal_assistant: {
+    text: 'response',
+    data: {
+      type: 'object',
+      required: ['response'],
+      properties: {
+        response: { type: 'string' },
+        session_id: { type: 'string' }
+      }
+    }
+  },
+  search_fiscal_documents: {
+    sources: 'documents',
+    data: {
+      type: 'object',
+      required: ['documents'],
+      properties: {
+        documents: { type: 'array', items: SOURCE_SCHEMA }
+      }
+    }
+  },
+  search_places: {
+    data: {
+      type: 'object',
+      required: ['places'],
+      properties: {
+        places: { type: 'array', items: PLACE_SCHEMA }
+      }
+    }
+  },
+  analyze_fiscal_risk: {
+    data: { type: 'object', properties: {} }
+  },
+  get_user_fiscal_context: {
+    data: { type: 'object', properties: {} }
+  }
+};
+
+function parseJsonObject(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Separa las partes del content: textos, payload JSON, recursos citados y partes omitidas
+ */
+function readContent(content, warnings) {
+  const texts = [];
+  const resources = [];
+  let payload = null;
+
+  content.forEach((part, index) => {
+    switch (part && part.type) {
+      case 'text': {
+        const parsed = payload ? null : parseJsonObject(part.text || '');
+        if (parsed) {
+          payload = parsed;
+        } else if (part.text) {
+          texts.push(part.text);
+        }
+        break;
+      }
+
+      case 'resource': {
+        const resource = part.resource || {};
+        resources.push({ title: resource.name || resource.title, url: resource.uri });
+        if (typeof resource.text === 'string' && resource.mimeType && resource.mimeType.startsWith('text/')) {
+          texts.push(resource.text);
+        }
+        break;
+      }
+
+      case 'resource_link':
+        resources.push({ title: part.name || part.title, url: part.uri });
+        break;
+
+      case 'image':
+      case 'audio':
+        warnings.push({
+          code: 'unsupported_content',
+          message: `Parte ${part.type} (${part.mimeType || 'sin mimeType'}) omitida`,
+          field: `content[${index}]`
+        });
+        break;
+
+      default:
+        warnings.push({
+          code: 'unsupported_content',
+          message: `Tipo de contenido desconocido: ${part && part.type}`,
+          field: `content[${index}]`
+        });
+    }
+  });
+
+  return { texts, resources, payload };
+}
+
+/**
+ * data del payload { success, data } (o el payload mismo si no viene envuelto)
+ */
+function getPayloadData(structured) {
+  if (!structured) {
+    return null;
+  }
+  return structured.data && typeof structured.data === 'object' ? structured.data : structured;
+}
+
+function toSource(doc) {
+  return {
+    title: doc.title || null,
+    scope: doc.scope || null,
+    url: doc.url || doc.source_url || null,
+    similarity: typeof doc.similarity === 'number' ? doc.similarity : null
+  };
+}
+
+/**
+ * Normaliza el resultado de una herramienta MCP
+ * Lanza UPSTREAM_TOOL_ERROR si el resultado tiene isError o el payload success: false
+ * Acepta también las respuestas del método REST alternativo (payload sin content o texto)
+ */
+function normalizeToolResult(toolName, result) {
+  if (result && result.isError) {
+    throw createToolError(toolName, result);
+  }
+
+  const warnings = [];
+  let texts = [];
+  let resources = [];
+  let payload = null;
+
+  if (typeof result === 'string') {
+    payload = parseJsonObject(result);
+    if (!payload) {
+      texts = [result];
+    }
+  } else if (result && Array.isArray(result.content)) {
+    ({ texts, resources, payload } = readContent(result.content, warnings));
+  } else if (result && typeof result === 'object') {
+    payload = result;
+  }
+
+  // structuredContent es la salida tipada del spec; tiene prioridad sobre el JSON del texto
+  const structured = result && result.structuredContent ? result.structuredContent : payload;
+
+  if (structured && structured.success === false) {
+    const message = structured.error || structured.message || 'sin detalle';
+    throw createAppError('UPSTREAM_TOOL_ERROR', {
+      message: `La herramienta ${toolName} reportó un error: ${message}`,
+      details: { tool: toolName, tool_message: message }
+    });
+  }
+
+  const toolSchema = TOOL_RESULT_SCHEMAS[toolName];
+  const data = getPayloadData(structured);
+  let text = null;
+  let sources = resources.filter(resource => resource.url).map(toSource);
+
+  if (toolSchema && data) {
+    const { value, errors } = validateParams(toolSchema.data, data);
+    errors.forEach(error => warnings.push({ code: 'schema_mismatch', message: error.message, field: `data.${error.field}` }));
+
+    if (toolSchema.text && typeof value[toolSchema.text] === 'string') {
+      text = value[toolSchema.text];
+    }
+    if (toolSchema.sources && Array.isArray(value[toolSchema.sources])) {
+      sources = sources.concat(value[toolSchema.sources].filter(Boolean).map(toSource));
+    }
+  } else if (!toolSchema) {
+    warnings.push({ code: 'unknown_tool', message: `Sin esquema de resultado para ${toolName}` });
+  }
+
+  if (text === null && texts.length > 0) {
+    text = texts.join('\n');
+  }
+  if (text === null && toolSchema && toolSchema.text) {
+    warnings.push({ code: 'missing_text', message: `${toolName} no devolvió ${toolSchema.text}` });
+  }
+
+  if (warnings.length > 0) {
+    log.warn('Resultado de herramienta con advertencias', { tool: toolName, warnings });
+  }
+
+  return { text, sources, structured: structured || null, warnings };
+}
+
+/**
+ * Lugar de search_places con coordenadas y deep link de mapas
+ */
+function toPlace(place) {
+  const hasCoords = typeof place.lat === 'number' && typeof place.lng === 'number';
+  return {
+    name: place.name || null,
+    address: place.address || null,
+    coords: hasCoords ? { lat: place.lat, lng: place.lng } : null,
+    deeplink: place.maps_url || (hasCoords ? `https://www.google.com/maps/search/?api=1&query=${place.lat},${place.lng}` : null)
+  };
+}
+
+/**
+ * Normaliza un GetPromptResult: text concatena los mensajes de texto del prompt
+ */
+function normalizePromptResult(promptName, result) {
+  const warnings = [];
+  const messages = (result && Array.isArray(result.messages)) ? result.messages : [];
+  const texts = [];
+
+  messages.forEach((message, index) => {
+    const content = message.content || {};
+    if (content.type === 'text' && content.text) {
+      texts.push(content.text);
+    } else {
+      warnings.push({
+        code: 'unsupported_content',
+        message: `Parte ${content.type} omitida`,
+        field: `messages[${index}].content`
+      });
+    }
+  });
+
+  if (texts.length === 0) {
+    warnings.push({ code: 'missing_text', message: `${promptName} no devolvió mensajes de texto` });
+  }
+
+  return {
+    text: texts.length > 0 ? texts.join('\n\n') : null,
+    sources: [],
+    structured: result && result.description ? { description: result.description } : null,
+    warnings
+  };
+}
+
+module.exports = {
+  normalizeToolResult,
+  normalizePromptResult,
+  getPayloadData,
+  toPlace,
+  TOOL_RESULT_SCHEMAS
+};
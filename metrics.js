@@ -0,0 +1,115 @@
+/**
+ * Métricas en CloudWatch Embedded Metric Format (EMF)
+ * Las mediciones se acumulan durante la invocación y flush() escribe una línea EMF por
+ * combinación de dimensiones; CloudWatch extrae las métricas de los logs sin llamadas a la API
+ * Las latencias se envían como arreglo de valores para que CloudWatch calcule percentiles
+ */
+
+const NAMESPACE = process.env.METRICS_NAMESPACE || 'FiscAI/Bridge';
+const ENABLED = process.env.METRICS_ENABLED !== 'false';
+
+// EMF admite hasta 100 valores por métrica en un documento
+const MAX_VALUES_PER_METRIC = 100;
+
+// Códigos de red que no son timeout (ETIMEDOUT se clasifica aparte)
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Buffer de la invocación: firma de dimensiones -> { dimensions, metrics: { name: { unit, values } } }
+let buffer = new Map();
+
+function put(name, value, unit, dimensions = {}) {
+  if (!ENABLED) return;
+
+  const clean = Object.fromEntries(Object.entries(dimensions).filter(([, v]) => v !== undefined && v !== null));
+  const signature = Object.keys(clean).sort().map(key => `${key}=${clean[key]}`).join('|');
+
+  if (!buffer.has(signature)) {
+    buffer.set(signature, { dimensions: clean, metrics: {} });
+  }
+  const group = buffer.get(signature);
+  if (!group.metrics[name]) {
+    group.metrics[name] = { unit, values: [] };
+  }
+  group.metrics[name].values.push(value);
+}
+
+/**
+ * Cuenta una ocurrencia (Count)
+ */
+function increment(name, dimensions, count = 1) {
+  put(name, count, 'Count', dimensions);
+}
+
+/**
+ * Registra una duración (Milliseconds)
+ */
+function recordLatency(name, ms, dimensions) {
+  put(name, ms, 'Milliseconds', dimensions);
+}
+
+/**
+ * Categoría de un error para las métricas de errores:
+ * tool_error, timeout, circuit_open, network, jsonrpc, upstream_http o internal
+ * Recorre error.cause porque callMcpTool envuelve el error original
+ */
+function classifyError(error) {
+  let current = error;
+  while (current) {
+    if (current.appCode === 'UPSTREAM_TOOL_ERROR') return 'tool_error';
+    if (current.appCode === 'MCP_PROTOCOL_ERROR') return 'jsonrpc';
+    if (current.code === 'ETIMEDOUT') return 'timeout';
+    if (current.code === 'CIRCUIT_OPEN') return 'circuit_open';
+    if (NETWORK_CODES.includes(current.code)) return 'network';
+    if (current.rpcCode !== undefined) return 'jsonrpc';
+    if (current.statusCode) return 'upstream_http';
+    current = current.cause;
+  }
+  return 'internal';
+}
+
+/**
+ * Escribe las métricas acumuladas como documentos EMF y vacía el buffer
+ */
+function flush() {
+  if (!ENABLED || buffer.size === 0) {
+    buffer = new Map();
+    return;
+  }
+
+  const timestamp = Date.now();
+
+  buffer.forEach(({ dimensions, metrics }) => {
+    const names = Object.keys(metrics);
+    const document = {
+      _aws: {
+        Timestamp: timestamp,
+        CloudWatchMetrics: [{
+          Namespace: NAMESPACE,
+          Dimensions: [Object.keys(dimensions)],
+          Metrics: names.map(name => ({ Name: name, Unit: metrics[name].unit }))
+        }]
+      },
+      ...dimensions
+    };
+
+    names.forEach(name => {
+      const { unit, values } = metrics[name];
+      // Los contadores se suman; las latencias conservan cada valor
+      document[name] = unit === 'Count'
+        ? values.reduce((sum, value) => sum + value, 0)
+        : values.slice(0, MAX_VALUES_PER_METRIC);
+    });
+
+    // EMF se lee de stdout tal cual, sin pasar por el logger
+    console.log(JSON.stringify(document));
+  });
+
+  buffer = new Map();
+}
+
+module.exports = {
+  increment,
+  recordLatency,
+  classifyError,
+  flush
+};
@@ -0,0 +1,95 @@
+/**
+ * Recomendaciones fiscales en modo degradado
+ * Cuando el servidor MCP no responde, /recommendation genera la recomendación a partir
+ * de la base de conocimiento local (data/knowledge_base.json) según el perfil
+ */
+
+const knowledgeBase = require('./data/knowledge_base.json');
+
+const SALARIED_PATTERN = /(asalariad|emplead[oa] de|n[oó]mina|sueldo)/i;
+
+// Condiciones de las guías de la base de conocimiento
+const CONDITIONS = {
+  has_rfc_false: profile => !profile.has_rfc,
+  has_efirma_false: profile => !profile.has_efirma,
+  emite_cfdi_false: profile => !profile.emite_cfdi,
+  declara_mensual_false: profile => !profile.declara_mensual,
+  acepta_efectivo: profile => (profile.metodos_pago || []).some(m => /efectivo/i.test(m)),
+  tiene_empleados: profile => (profile.empleados || 0) > 0,
+  excede_limite_resico: profile =>
+    (profile.ingresos_anuales || 0) > knowledgeBase.regimenes.resico.limite_ingresos_anuales
+};
+
+/**
+ * Elige el régimen a describir: el actual si está en la base, si no uno sugerido por el perfil
+ */
+function selectRegimen(profile) {
+  const { regimenes } = knowledgeBase;
+
+  if (profile.regimen_actual && regimenes[profile.regimen_actual]) {
+    return { key: profile.regimen_actual, motivo: 'Régimen actual del contribuyente' };
+  }
+
+  if (profile.actividad && SALARIED_PATTERN.test(profile.actividad)) {
+    return { key: 'sueldos_salarios', motivo: 'La actividad indica ingresos por salario' };
+  }
+
+  if (CONDITIONS.excede_limite_resico(profile)) {
+    return { key: 'actividad_empresarial', motivo: 'Los ingresos anuales superan el límite de RESICO' };
+  }
+
+  return { key: 'resico', motivo: 'Ingresos dentro del límite de RESICO para personas físicas' };
+}
+
+/**
+ * Genera la recomendación estructurada para un perfil
+ */
+function getOfflineAdvice(profile) {
+  const selected = selectRegimen(profile);
+  const regimen = knowledgeBase.regimenes[selected.key];
+
+  const guias = knowledgeBase.guias
+    .filter(guia => CONDITIONS[guia.condicion] && CONDITIONS[guia.condicion](profile))
+    .sort((a, b) => a.prioridad - b.prioridad);
+
+  const pasos = guias.map(guia => guia.paso);
+  const referencias = [
+    ...regimen.referencias,
+    ...guias.filter(guia => guia.referencia).map(guia => guia.referencia)
+  ];
+
+  const lines = [
+    `Régimen sugerido: ${regimen.nombre}. ${regimen.resumen}`,
+    '',
+    'Obligaciones principales:',
+    ...regimen.obligaciones.map(o => `- ${o}`)
+  ];
+
+  if (pasos.length > 0) {
+    lines.push('', 'Próximos pasos:', ...pasos.map((p, i) => `${i + 1}. ${p}`));
+  }
+
+  if (regimen.advertencias.length > 0) {
+    lines.push('', 'Ten en cuenta:', ...regimen.advertencias.map(a => `- ${a}`));
+  }
+
+  return {
+    knowledge_base_version: knowledgeBase.version,
+    regimen_sugerido: {
+      key: selected.key,
+      clave_sat: regimen.clave_sat,
+      nombre: regimen.nombre,
+      motivo: selected.motivo
+    },
+    obligaciones: regimen.obligaciones,
+    pasos,
+    advertencias: regimen.advertencias,
+    referencias,
+    text: lines.join('\n')
+  };
+}
+
+module.exports = {
+  getOfflineAdvice,
+  KNOWLEDGE_BASE_VERSION: knowledgeBase.version
+};
@@ -0,0 +1,271 @@
+/**
+ * Generador del documento OpenAPI 3.1
+ * Construye /openapi.json a partir de la tabla de rutas y de los esquemas
+ * que declara cada handler
+ */
+
+const { ERROR_CODES } = require('./errors');
+
+// Métodos cuyos parámetros van en el query string (el resto los recibe en el body)
+const QUERY_METHODS = ['GET', 'DELETE'];
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: { type: 'string', description: 'Mensaje para el usuario (español, o inglés con Accept-Language: en)' },
+    code: { type: 'string', enum: ERROR_CODES, description: 'Código estable del error' },
+    details: {
+      type: 'object',
+      description: 'Contexto del error (ej. tool y tool_message en UPSTREAM_TOOL_ERROR, rpc_error en MCP_PROTOCOL_ERROR, reason en UNAUTHENTICATED)'
+    },
+    errors: {
+      type: 'array',
+      description: 'Campos inválidos (solo en respuestas 400)',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          code: { type: 'string', enum: ['required', 'invalid_type', 'invalid_enum', 'out_of_range', 'too_long', 'duplicate'] },
+          message: { type: 'string' },
+          value: {},
+          allowed: { type: 'array' }
+        },
+        required: ['field', 'code', 'message']
+      }
+    },
+    request_id: { type: 'string', description: 'Mismo valor que el header X-Request-Id' },
+    timestamp: { type: 'string', format: 'date-time' }
+  },
+  required: ['error', 'code', 'timestamp']
+};
+
+// Respuestas de las rutas que llaman al servidor MCP (schema.upstream)
+const UPSTREAM_ERROR_RESPONSES = {
+  502: 'Error del servidor MCP: UPSTREAM_TOOL_ERROR (isError de la herramienta), MCP_PROTOCOL_ERROR (error JSON-RPC) o UPSTREAM_HTTP_ERROR',
+  503: 'Servidor MCP no disponible (UPSTREAM_UNAVAILABLE, con Retry-After si el circuito está abierto)',
+  504: 'El servidor MCP no respondió a tiempo (UPSTREAM_TIMEOUT)'
+};
+
+// Headers de rate limiting presentes en todas las respuestas de las rutas
+const RATE_LIMIT_HEADERS = {
+  'X-RateLimit-Limit': { description: 'Capacidad del bucket (ráfaga máxima)', schema: { type: 'integer' } },
+  'X-RateLimit-Remaining': { description: 'Solicitudes disponibles', schema: { type: 'integer' } },
+  'X-RateLimit-Reset': { description: 'Segundos para recuperar la capacidad completa', schema: { type: 'integer' } },
+  'Retry-After': { description: 'Segundos a esperar antes de reintentar (solo en 429)', schema: { type: 'integer' } }
+};
+
+// Headers de las rutas con caché de respuestas (schema.cached)
+const CACHE_RESPONSE_HEADERS = {
+  'X-Cache': {
+    description: 'HIT si la respuesta salió de la caché, MISS si se consultó al servidor MCP, BYPASS si se pidió ignorarla',
+    schema: { type: 'string', enum: ['HIT', 'MISS', 'BYPASS'] }
+  },
+  'Cache-Control': {
+    description: 'Tiempo restante de la respuesta en caché',
+    schema: { type: 'string' }
+  }
+};
+
+/**
+ * Convierte '/users/:user_id/context' en '/users/{user_id}/context'
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function getPathParamNames(path) {
+  return (path.match(/:([A-Za-z0-9_]+)/g) || []).map(p => p.substring(1));
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function toPascalCase(name) {
+  const camel = toCamelCase(name);
+  return camel.charAt(0).toUpperCase() + camel.slice(1);
+}
+
+/**
+ * Construye la operación OpenAPI de una ruta para un método
+ */
+function buildOperation(route, method) {
+  const schema = route.schema || {};
+  const request = schema.request;
+  const pathParams = getPathParamNames(route.path);
+  const properties = (request && request.properties) || {};
+  const required = (request && request.required) || [];
+
+  const operation = {
+    operationId: route.methods.length > 1
+      ? `${method.toLowerCase()}${toPascalCase(route.name)}`
+      : toCamelCase(route.name),
+    summary: schema.summary || route.description,
+    description: route.description,
+    tags: [route.tag || 'fiscai'],
+    parameters: pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: properties[name] || { type: 'string' }
+    })),
+    responses: {
+      200: {
+        description: 'Respuesta exitosa',
+        headers: RATE_LIMIT_HEADERS,
+        content: { 'application/json': { schema: schema.response || { type: 'object' } } }
+      },
+      429: {
+        description: 'Límite de solicitudes excedido (ver Retry-After)',
+        headers: RATE_LIMIT_HEADERS,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      },
+      500: {
+        description: 'Error interno',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    }
+  };
+
+  if (schema.eventStream) {
+    operation.responses[200].content['text/event-stream'] = { schema: schema.eventStream };
+  }
+
+  if (!route.public) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses[401] = {
+      description: 'Token ausente o inválido',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+    if (route.userScoped) {
+      operation.responses[403] = {
+        description: 'El user_id no corresponde al usuario del token',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      };
+    }
+  }
+
+  if (schema.upstream) {
+    Object.entries(UPSTREAM_ERROR_RESPONSES).forEach(([status, description]) => {
+      operation.responses[status] = {
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      };
+    });
+  }
+
+  if (schema.cached) {
+    operation.parameters.push({
+      name: 'Cache-Control',
+      in: 'header',
+      required: false,
+      description: 'no-cache ignora la respuesta en caché',
+      schema: { type: 'string' }
+    });
+    operation.responses[200].headers = { ...operation.responses[200].headers, ...CACHE_RESPONSE_HEADERS };
+  }
+
+  if (request) {
+    const bodyProperties = Object.keys(properties).filter(name => !pathParams.includes(name));
+
+    if (QUERY_METHODS.includes(method)) {
+      bodyProperties.forEach(name => {
+        operation.parameters.push({
+          name,
+          in: 'query',
+          required: required.includes(name),
+          schema: properties[name]
+        });
+      });
+    } else if (bodyProperties.length > 0) {
+      operation.requestBody = {
+        required: required.some(name => !pathParams.includes(name)),
+        content: {
+          'application/json': {
+            schema: {
+              ...request,
+              properties: Object.fromEntries(bodyProperties.map(name => [name, properties[name]])),
+              required: required.filter(name => !pathParams.includes(name))
+            }
+          }
+        }
+      };
+    }
+
+    operation.responses[400] = {
+      description: 'Parámetros inválidos',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  return operation;
+}
+
+/**
+ * Genera el documento OpenAPI 3.1 completo
+ * Los aliases legacy de cada ruta no se documentan
+ */
+function buildOpenApiDocument(routes, { title, version, description, serverUrl } = {}) {
+  const paths = {};
+
+  routes.forEach(route => {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+
+    route.methods.forEach(method => {
+      paths[path][method.toLowerCase()] = buildOperation(route, method);
+    });
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: title || 'FiscAI Lambda - MCP Bridge',
+      version: version || '1.0.0',
+      description
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : undefined,
+    paths,
+    components: {
+      schemas: {
+        Error: ERROR_SCHEMA
+      },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token de Supabase Auth (HS256) o firmado con una llave del JWKS configurado (RS256/ES256)'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Resume un esquema de request al formato legible de /info
+ * ej. { actividad: 'string (required)', ingresos_anuales: 'number (optional)' }
+ */
+function summarizeSchema(schema) {
+  const required = schema.required || [];
+
+  return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, prop]) => {
+    if (prop.type === 'object' && prop.properties) {
+      return [name, summarizeSchema(prop)];
+    }
+    const flags = [required.includes(name) ? 'required' : 'optional'];
+    if (prop.default !== undefined) flags.push(`default: ${prop.default}`);
+    return [name, `${prop.type} (${flags.join(', ')})`];
+  }));
+}
+
+module.exports = {
+  QUERY_METHODS,
+  buildOpenApiDocument,
+  summarizeSchema,
+  toOpenApiPath
+};
@@ -0,0 +1,278 @@
+/**
+ * Perfil fiscal guardado por usuario
+ * El repositorio guarda un perfil por user_id ({ user_id, profile, updated_at }):
+ * - Supabase: tabla PROFILE_TABLE (fiscal_profiles por defecto) con columnas
+ *   user_id (text, primary key), profile (jsonb) y updated_at (timestamptz)
+ * - Memoria: con PROFILE_BACKEND=memory o sin Supabase fuera de Lambda (desarrollo local y pruebas);
+ *   en Lambda sin Supabase las operaciones responden 503 STORAGE_UNAVAILABLE
+ * /recommendation y /risk-analysis usan el perfil guardado cuando la petición solo trae user_id
+ */
+
+const { REGIMEN_KEYS, ESTADO_NOMBRES } = require('./catalogs');
+const { validateParams, invalidParamsResponse } = require('./validation');
+const { errorResponse, errorResponseFromException } = require('./errors');
+const { runQuery, selectRepository } = require('./supabase');
+const { createLogger } = require('./logger');
+
+const log = createLogger('profiles');
+
+const PROFILE_TABLE = process.env.PROFILE_TABLE || 'fiscal_profiles';
+
+const PROFILE_PROPERTIES = {
+  actividad: { type: 'string', maxLength: 500, description: 'Actividad económica del contribuyente' },
+  ingresos_anuales: { type: 'number', minimum: 0, description: 'Ingresos anuales estimados en MXN' },
+  empleados: { type: 'integer', minimum: 0, description: 'Número de empleados' },
+  metodos_pago: { type: 'array', items: { type: 'string' }, description: 'Métodos de pago que acepta (efectivo, transferencia, tarjeta...)' },
+  estado: { type: 'string', format: 'estado-mx', enum: ESTADO_NOMBRES, description: 'Estado de la República donde opera (acepta abreviaturas como CDMX)' },
+  has_rfc: { type: 'boolean', description: 'Tiene RFC registrado' },
+  has_efirma: { type: 'boolean', description: 'Tiene e.firma vigente' },
+  emite_cfdi: { type: 'boolean', description: 'Emite facturas CFDI' },
+  declara_mensual: { type: 'boolean', description: 'Presenta declaraciones mensuales' },
+  emite_cfdi_nomina: { type: 'boolean', description: 'Timbra CFDI de nómina a sus empleados' },
+  regimen_actual: { type: 'string', format: 'regimen-fiscal', enum: REGIMEN_KEYS, description: 'Régimen fiscal actual (acepta clave SAT o nombre, ej. 626 o RESICO)' },
+  contexto_adicional: { type: 'string', maxLength: 2000, description: 'Contexto adicional en texto libre' }
+};
+
+// ========== REPOSITORIOS ==========
+
+/**
+ * Repositorio en memoria (un Map por instancia)
+ */
+function createMemoryProfileRepository() {
+  const records = new Map();
+
+  return {
+    async get(userId) {
+      const record = records.get(userId);
+      return record ? { ...record, profile: { ...record.profile } } : null;
+    },
+
+    async put(userId, profile) {
+      const record = { user_id: userId, profile: { ...profile }, updated_at: new Date().toISOString() };
+      records.set(userId, record);
+      return { ...record, profile: { ...record.profile } };
+    }
+  };
+}
+
+/**
+ * Repositorio sobre una tabla de Supabase
+ */
+function createSupabaseProfileRepository(client, options = {}) {
+  const table = options.table || PROFILE_TABLE;
+
+  return {
+    async get(userId) {
+      return runQuery('profile.get', () => client
+        .from(table)
+        .select('user_id, profile, updated_at')
+        .eq('user_id', userId)
+        .maybeSingle());
+    },
+
+    async put(userId, profile) {
+      return runQuery('profile.put', () => client
+        .from(table)
+        .upsert({ user_id: userId, profile, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+        .select('user_id, profile, updated_at')
+        .single());
+    }
+  };
+}
+
+let repository = null;
+
+/**
+ * Repositorio según el entorno (PROFILE_BACKEND=memory para forzar memoria; ver selectRepository)
+ */
+function getProfileRepository() {
+  if (!repository) {
+    repository = selectRepository({
+      name: 'profile',
+      variable: 'PROFILE_BACKEND',
+      log,
+      supabase: client => createSupabaseProfileRepository(client),
+      memory: () => createMemoryProfileRepository()
+    });
+  }
+  return repository;
+}
+
+/**
+ * Reemplaza el repositorio (pruebas o un almacén distinto)
+ */
+function setProfileRepository(repo) {
+  repository = repo;
+}
+
+/**
+ * Perfil guardado del usuario combinado con los campos enviados en la petición
+ * (los de la petición tienen prioridad); retorna { profile, source: stored|request|merged }
+ * Si el almacén falla y la petición trae campos, continúa solo con ellos
+ */
+async function loadProfileWithOverrides(userId, overrides) {
+  const requested = Object.fromEntries(Object.entries(overrides || {})
+    .filter(([name, value]) => name in PROFILE_PROPERTIES && value !== undefined && value !== null && value !== ''));
+
+  let stored = null;
+  if (userId) {
+    try {
+      stored = await getProfileRepository().get(userId);
+    } catch (error) {
+      if (Object.keys(requested).length === 0) {
+        throw error;
+      }
+      log.warn('No se pudo leer el perfil guardado, se usa el de la petición', { error });
+    }
+  }
+
+  if (!stored) {
+    return { profile: requested, source: 'request' };
+  }
+
+  return {
+    profile: { ...stored.profile, ...requested },
+    source: Object.keys(requested).length > 0 ? 'merged' : 'stored'
+  };
+}
+
+// ========== HANDLERS ==========
+
+const PROFILE_RESPONSE = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    user_id: { type: 'string' },
+    profile: { type: 'object', properties: PROFILE_PROPERTIES },
+    updated_at: { type: 'string', format: 'date-time' },
+    timestamp: { type: 'string', format: 'date-time' }
+  },
+  required: ['success', 'user_id', 'profile', 'updated_at', 'timestamp']
+};
+
+// Con autenticación el user_id sale del token (service_role puede indicar otro)
+const USER_ID_PROPERTY = { type: 'string', description: 'Identificador del usuario' };
+
+const GET_PROFILE_SCHEMA = {
+  summary: 'Perfil fiscal guardado del usuario',
+  request: {
+    type: 'object',
+    required: ['user_id'],
+    properties: { user_id: USER_ID_PROPERTY }
+  },
+  response: PROFILE_RESPONSE
+};
+
+const PUT_PROFILE_SCHEMA = {
+  summary: 'Guarda (reemplaza) el perfil fiscal del usuario',
+  request: {
+    type: 'object',
+    required: ['user_id', 'actividad'],
+    properties: { ...PROFILE_PROPERTIES, user_id: USER_ID_PROPERTY }
+  },
+  response: PROFILE_RESPONSE
+};
+
+const PATCH_PROFILE_SCHEMA = {
+  summary: 'Actualiza campos del perfil fiscal guardado',
+  request: {
+    type: 'object',
+    required: ['user_id'],
+    properties: { ...PROFILE_PROPERTIES, user_id: USER_ID_PROPERTY }
+  },
+  response: PROFILE_RESPONSE
+};
+
+function profileResponse(record) {
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      user_id: record.user_id,
+      profile: record.profile,
+      updated_at: record.updated_at,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+function profileNotFound(userId) {
+  return errorResponse('NOT_FOUND', {
+    message: 'El usuario no tiene un perfil guardado',
+    details: { resource: 'profile', user_id: userId }
+  });
+}
+
+/**
+ * GET /profile
+ */
+async function handleGetProfile(params) {
+  const { value, errors } = validateParams(GET_PROFILE_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  try {
+    const record = await getProfileRepository().get(value.user_id);
+    return record ? profileResponse(record) : profileNotFound(value.user_id);
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * PUT /profile: reemplaza el perfil completo
+ */
+async function handlePutProfile(params) {
+  const { value, errors } = validateParams(PUT_PROFILE_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  const { user_id, ...profile } = value;
+  try {
+    return profileResponse(await getProfileRepository().put(user_id, profile));
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+/**
+ * PATCH /profile: actualiza solo los campos enviados (null o vacío no borra un campo)
+ */
+async function handlePatchProfile(params) {
+  const { value, errors } = validateParams(PATCH_PROFILE_SCHEMA.request, params);
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  const { user_id, ...changes } = value;
+  try {
+    const repo = getProfileRepository();
+    const record = await repo.get(user_id);
+    if (!record) {
+      return profileNotFound(user_id);
+    }
+
+    return profileResponse(await repo.put(user_id, { ...record.profile, ...changes }));
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+module.exports = {
+  PROFILE_PROPERTIES,
+  createMemoryProfileRepository,
+  createSupabaseProfileRepository,
+  getProfileRepository,
+  setProfileRepository,
+  loadProfileWithOverrides,
+  handleGetProfile,
+  handlePutProfile,
+  handlePatchProfile,
+  schemas: {
+    getProfile: GET_PROFILE_SCHEMA,
+    putProfile: PUT_PROFILE_SCHEMA,
+    patchProfile: PATCH_PROFILE_SCHEMA
+  }
+};
@@ -0,0 +1,394 @@
+/**
+ * Proveedores de herramientas
+ * get_fiscal_advice, chat_with_fiscal_assistant y search_fiscal_documents pueden resolverse
+ * en el servidor MCP (por defecto) o dentro de la Lambda. FISCAI_PROVIDER selecciona:
+ * - mcp: todas las herramientas van al servidor MCP
+ * - gemini: generación y embeddings con Gemini; recuperación con la RPC match_fiscai_documents de Supabase
+ * - fake: respuestas fijas sin red (pruebas offline)
+ * Las demás herramientas y los prompts siempre van al servidor MCP
+ * Un proveedor es { name, tools, callTool(toolName, args, { timeoutMs, onProgress }) } y devuelve
+ * un CallToolResult como el del servidor (texto JSON { success, data }), así normalizeToolResult
+ * y la caché no distinguen el origen
+ */
+
+const { createAppError } = require('./errors');
+const { getSupabaseClient, runQuery } = require('./supabase');
+const { createLogger } = require('./logger');
+
+const log = createLogger('providers');
+
+const PROVIDER_TOOLS = ['get_fiscal_advice', 'chat_with_fiscal_assistant', 'search_fiscal_documents'];
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+const GEMINI_EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004';
+
+// Mismos parámetros de recuperación que el servidor MCP
+const MATCH_THRESHOLD = parseFloat(process.env.MATCH_THRESHOLD || '0.6');
+const ADVICE_MATCH_COUNT = 5;
+const CHAT_MATCH_COUNT = 3;
+
+// Caracteres de cada documento que se incluyen en el prompt
+const EXCERPT_MAX_CHARS = 1200;
+
+const SYSTEM_INSTRUCTION = [
+  'Eres FiscAI, un asistente fiscal para contribuyentes y pequeños negocios en México.',
+  'Responde en español, con pasos concretos y sin inventar artículos de ley.',
+  'Usa los documentos de referencia cuando apliquen y dilo cuando la información no alcance.',
+  'Recomienda consultar a un contador para decisiones con consecuencias legales.'
+].join(' ');
+
+/**
+ * CallToolResult con el payload { success, data } en una parte text
+ */
+function toolResult(data) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ success: true, data }) }],
+    isError: false
+  };
+}
+
+function unsupportedTool(providerName, toolName) {
+  return createAppError('INTERNAL_ERROR', {
+    message: `El proveedor ${providerName} no implementa ${toolName}`,
+    details: { provider: providerName, tool: toolName }
+  });
+}
+
+// ========== GEMINI + SUPABASE ==========
+
+/**
+ * Traduce errores del SDK de Gemini a los que entienden classifyError / isTransientError:
+ * abort por timeout -> ETIMEDOUT, respuesta HTTP -> statusCode (429/5xx transitorios)
+ */
+function toProviderError(error) {
+  const wrapped = new Error(`Error de Gemini: ${error.message}`, { cause: error });
+  if (error.status) {
+    wrapped.statusCode = error.status;
+  } else if (/abort/i.test(error.message)) {
+    wrapped.code = 'ETIMEDOUT';
+  } else {
+    wrapped.statusCode = 502;
+  }
+  return wrapped;
+}
+
+async function geminiCall(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+function excerpt(doc) {
+  const text = (doc.content || '').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_MAX_CHARS ? `${text.substring(0, EXCERPT_MAX_CHARS)}…` : text;
+}
+
+/**
+ * Documentos como bloque de referencia del prompt
+ */
+function referencesBlock(documents) {
+  if (documents.length === 0) {
+    return 'No se encontraron documentos de referencia.';
+  }
+  return documents
+    .map((doc, i) => `[${i + 1}] ${doc.title || 'Documento fiscal'} (${doc.scope || 'General'})\n${excerpt(doc)}`)
+    .join('\n\n');
+}
+
+// Fuente citada sin el contenido del documento
+function toSource(doc) {
+  return { title: doc.title, scope: doc.scope, url: doc.source_url || doc.url, similarity: doc.similarity };
+}
+
+// Documento de search_fiscal_documents: la fuente más su contenido
+function toDocument(doc) {
+  return { ...toSource(doc), content: doc.content };
+}
+
+/**
+ * Proveedor con Gemini (generación y embeddings) y Supabase (match_fiscai_documents)
+ * options: { genAI, supabase, model, embeddingModel }
+ */
+function createGeminiProvider(options = {}) {
+  const { genAI } = options;
+  const supabase = options.supabase !== undefined ? options.supabase : getSupabaseClient();
+  const model = genAI.getGenerativeModel({ model: options.model || GEMINI_MODEL, systemInstruction: SYSTEM_INSTRUCTION });
+  const embedder = genAI.getGenerativeModel({ model: options.embeddingModel || GEMINI_EMBEDDING_MODEL });
+
+  /**
+   * Búsqueda semántica: embedding de la consulta + RPC match_fiscai_documents
+   */
+  async function searchDocuments(query, limit, timeoutMs) {
+    if (!supabase) {
+      throw createAppError('STORAGE_UNAVAILABLE', {
+        message: 'Supabase no está configurado para la búsqueda de documentos',
+        details: { operation: 'match_fiscai_documents' }
+      });
+    }
+
+    const embedding = await geminiCall(() => embedder.embedContent(query, { timeout: timeoutMs }));
+    const rows = await runQuery('match_fiscai_documents', () => supabase.rpc('match_fiscai_documents', {
+      query_embedding: embedding.embedding.values,
+      match_threshold: MATCH_THRESHOLD,
+      match_count: limit
+    }));
+    return rows || [];
+  }
+
+  /**
+   * Documentos para dar contexto a una respuesta; si la búsqueda falla se responde sin ellos
+   */
+  async function findReferences(query, limit, timeoutMs) {
+    try {
+      return await searchDocuments(query, limit, timeoutMs);
+    } catch (error) {
+      log.warn('Búsqueda de documentos fallida, se genera sin referencias', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Genera texto; con onProgress usa streaming y emite cada fragmento como progreso
+   * Si el stream falla después del primer fragmento el error deja de ser transitorio:
+   * un reintento repetiría texto que el cliente ya recibió
+   */
+  async function generate(request, { timeoutMs, onProgress } = {}) {
+    if (!onProgress) {
+      const result = await geminiCall(() => model.generateContent(request, { timeout: timeoutMs }));
+      return result.response.text();
+    }
+
+    let chunks = 0;
+    try {
+      return await geminiCall(async () => {
+        const result = await model.generateContentStream(request, { timeout: timeoutMs });
+        let text = '';
+        for await (const chunk of result.stream) {
+          const delta = chunk.text();
+          text += delta;
+          chunks += 1;
+          onProgress({ progress: chunks, message: delta });
+        }
+        return text;
+      });
+    } catch (error) {
+      if (chunks === 0) {
+        throw error;
+      }
+      // Sin code / statusCode propios isTransientError es false; classifyError sigue la causa
+      throw new Error(`Stream de Gemini interrumpido después de ${chunks} fragmentos: ${error.message}`, { cause: error });
+    }
+  }
+
+  async function fiscalAdvice(request, callOptions) {
+    const profile = [
+      `Actividad: ${request.actividad}`,
+      request.ingresos_anuales !== undefined ? `Ingresos anuales: ${request.ingresos_anuales} MXN` : null,
+      request.estado ? `Estado: ${request.estado}` : null,
+      request.regimen_actual ? `Régimen actual: ${request.regimen_actual}` : null,
+      request.tiene_rfc !== undefined ? `Tiene RFC: ${request.tiene_rfc ? 'sí' : 'no'}` : null,
+      request.contexto_adicional ? `Contexto: ${request.contexto_adicional}` : null
+    ].filter(Boolean).join('\n');
+
+    const query = [request.actividad, request.regimen_actual, request.contexto_adicional].filter(Boolean).join(' ');
+    const documents = await findReferences(query, ADVICE_MATCH_COUNT, callOptions.timeoutMs);
+
+    const recommendation = await generate([
+      'Da una recomendación fiscal personalizada (régimen conveniente, obligaciones y siguientes pasos) para este perfil:',
+      profile,
+      'Documentos de referencia:',
+      referencesBlock(documents)
+    ].join('\n\n'), callOptions);
+
+    return toolResult({ recommendation, sources: documents.map(toSource) });
+  }
+
+  async function chat(request, callOptions) {
+    const documents = await findReferences(request.message, CHAT_MATCH_COUNT, callOptions.timeoutMs);
+
+    const context = [
+      request.history_summary ? `Resumen de la conversación anterior:\n${request.history_summary}` : null,
+      request.user_context ? `Perfil fiscal del usuario: ${JSON.stringify(request.user_context)}` : null,
+      `Documentos de referencia:\n${referencesBlock(documents)}`
+    ].filter(Boolean).join('\n\n');
+
+    const history = (request.history || []).map(turn => ({
+      role: turn.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: turn.content }]
+    }));
+    // Gemini exige que contents empiece con un turno del usuario; la ventana de
+    // historial puede empezar con una respuesta del asistente
+    const firstUserTurn = history.findIndex(turn => turn.role === 'user');
+
+    const contents = [
+      ...(firstUserTurn === -1 ? [] : history.slice(firstUserTurn)),
+      { role: 'user', parts: [{ text: `${context}\n\nPregunta: ${request.message}` }] }
+    ];
+
+    const response = await generate({ contents }, callOptions);
+    return toolResult({ response, session_id: request.session_id });
+  }
+
+  async function search(request, callOptions) {
+    const documents = await searchDocuments(request.query, request.limit || 5, callOptions.timeoutMs);
+    return toolResult({ documents: documents.map(toDocument) });
+  }
+
+  const handlers = {
+    get_fiscal_advice: fiscalAdvice,
+    chat_with_fiscal_assistant: chat,
+    search_fiscal_documents: search
+  };
+
+  return {
+    name: 'gemini',
+    tools: PROVIDER_TOOLS,
+    async callTool(toolName, toolArgs, callOptions = {}) {
+      if (!handlers[toolName]) {
+        throw unsupportedTool('gemini', toolName);
+      }
+      return handlers[toolName]((toolArgs && toolArgs.request) || {}, callOptions);
+    }
+  };
+}
+
+// ========== FAKE ==========
+
+// Mismas columnas que devuelve match_fiscai_documents
+const FAKE_DOCUMENTS = [
+  {
+    title: 'LISR Art. 113-E',
+    scope: 'RESICO',
+    source_url: 'https://www.sat.gob.mx/resico',
+    similarity: 0.92,
+    content: 'Las personas físicas con ingresos anuales de hasta 3.5 millones de pesos pueden tributar en el Régimen Simplificado de Confianza.'
+  },
+  {
+    title: 'CFF Art. 27',
+    scope: 'RFC',
+    source_url: 'https://www.sat.gob.mx/rfc',
+    similarity: 0.87,
+    content: 'Las personas que deban presentar declaraciones o expedir comprobantes fiscales deben inscribirse en el Registro Federal de Contribuyentes.'
+  },
+  {
+    title: 'CFF Art. 29',
+    scope: 'CFDI',
+    source_url: 'https://www.sat.gob.mx/cfdi',
+    similarity: 0.81,
+    content: 'Los contribuyentes deben emitir comprobantes fiscales digitales por Internet por los actos o actividades que realicen.'
+  }
+];
+
+/**
+ * Proveedor sin red con respuestas deterministas (pruebas offline y desarrollo local)
+ */
+function createFakeProvider() {
+  const handlers = {
+    get_fiscal_advice: request => toolResult({
+      recommendation: `Recomendación de prueba para "${request.actividad || 'sin actividad'}": revisa si RESICO aplica a tus ingresos.`,
+      sources: FAKE_DOCUMENTS.slice(0, 2).map(toSource)
+    }),
+
+    chat_with_fiscal_assistant: (request, { onProgress }) => {
+      const response = `Respuesta de prueba a: ${request.message}`;
+      if (onProgress) {
+        onProgress({ progress: 1, total: 1, message: response });
+      }
+      return toolResult({ response, session_id: request.session_id });
+    },
+
+    search_fiscal_documents: request => toolResult({
+      documents: FAKE_DOCUMENTS.slice(0, request.limit || 5).map(toDocument)
+    })
+  };
+
+  return {
+    name: 'fake',
+    tools: PROVIDER_TOOLS,
+    async callTool(toolName, toolArgs, callOptions = {}) {
+      if (!handlers[toolName]) {
+        throw unsupportedTool('fake', toolName);
+      }
+      return handlers[toolName]((toolArgs && toolArgs.request) || {}, callOptions);
+    }
+  };
+}
+
+// ========== SELECCIÓN ==========
+
+let provider;
+
+/**
+ * Proveedor según FISCAI_PROVIDER; null para el servidor MCP
+ * Si gemini no tiene GEMINI_API_KEY se registra el error y se usa el servidor MCP
+ */
+function createProviderFromEnv() {
+  const name = (process.env.FISCAI_PROVIDER || 'mcp').toLowerCase();
+
+  switch (name) {
+    case 'mcp':
+      return null;
+
+    case 'fake':
+      return createFakeProvider();
+
+    case 'gemini': {
+      const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+      if (!apiKey) {
+        log.error('FISCAI_PROVIDER=gemini sin GEMINI_API_KEY, se usa el servidor MCP');
+        return null;
+      }
+      // Carga diferida: el SDK solo se necesita con el proveedor gemini
+      const { GoogleGenerativeAI } = require('@google/generative-ai');
+      return createGeminiProvider({ genAI: new GoogleGenerativeAI(apiKey) });
+    }
+
+    default:
+      log.error('FISCAI_PROVIDER desconocido, se usa el servidor MCP', { provider: name });
+      return null;
+  }
+}
+
+function getProvider() {
+  if (provider === undefined) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+}
+
+/**
+ * Reemplaza el proveedor (null = servidor MCP)
+ */
+function setProvider(newProvider) {
+  provider = newProvider;
+}
+
+/**
+ * Proveedor que atiende una herramienta, o null si va al servidor MCP
+ */
+function getToolProvider(toolName) {
+  const current = getProvider();
+  return current && current.tools.includes(toolName) ? current : null;
+}
+
+/**
+ * Nombre y herramientas del proveedor activo (para /health e /info)
+ */
+function describeProvider() {
+  const current = getProvider();
+  return current
+    ? { name: current.name, tools: current.tools }
+    : { name: 'mcp', tools: [] };
+}
+
+module.exports = {
+  PROVIDER_TOOLS,
+  createGeminiProvider,
+  createFakeProvider,
+  getProvider,
+  setProvider,
+  getToolProvider,
+  describeProvider
+};
@@ -0,0 +1,154 @@
+/**
+ * Rate limiting con token bucket por ruta y por usuario (o IP si no hay usuario)
+ * El estado de cada bucket vive en un almacén con la interfaz de cache.js
+ * ({ get(key), set(key, state, ttlMs) }): LRU en memoria por defecto o un almacén
+ * compartido (Redis / archivos) para que el límite aplique entre contenedores
+ */
+
+const { createLruStore, createFileStore } = require('./cache');
+const { errorResponse } = require('./errors');
+const { readJsonEnv } = require('./env');
+
+// Políticas: capacity = ráfaga máxima, refillPerMinute = tokens que se recuperan por minuto
+const DEFAULT_POLICIES = {
+  default: { capacity: 60, refillPerMinute: 60 },
+  // Rutas que disparan trabajo del LLM en el servidor MCP
+  llm: { capacity: 10, refillPerMinute: 5 }
+};
+
+// Overrides por entorno:
+// RATE_LIMITS='{"llm":{"capacity":20,"refillPerMinute":10}}'
+// RATE_LIMIT_IDENTITIES='{"user:<uuid>":{"llm":{"capacity":100,"refillPerMinute":50}},"ip:10.0.0.1":null}'
+// (null en una identidad la exenta de límites)
+const POLICY_OVERRIDES = readJsonEnv('RATE_LIMITS');
+const IDENTITY_OVERRIDES = readJsonEnv('RATE_LIMIT_IDENTITIES');
+
+/**
+ * Crea el limitador
+ * options: { store, policies, identityOverrides, now }
+ */
+function createRateLimiter(options = {}) {
+  const store = options.store || createLruStore({ maxEntries: 10000 });
+  const policies = { ...DEFAULT_POLICIES, ...POLICY_OVERRIDES, ...(options.policies || {}) };
+  const identityOverrides = { ...IDENTITY_OVERRIDES, ...(options.identityOverrides || {}) };
+  const now = options.now || Date.now;
+
+  function getPolicy(policyName, identity) {
+    if (identity in identityOverrides) {
+      const override = identityOverrides[identity];
+      if (override === null) return null;
+      if (override[policyName]) return override[policyName];
+    }
+    return policies[policyName] || policies.default;
+  }
+
+  /**
+   * Consume un token del bucket policyName + route + identity
+   * Cada ruta tiene su propio bucket aunque compartan política: agotar /chat no
+   * bloquea /recommendation. Sin route el bucket es de toda la política
+   * Retorna { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+   */
+  async function consume(policyName, identity, { route, cost = 1 } = {}) {
+    const policy = getPolicy(policyName, identity);
+    if (!policy) {
+      return { allowed: true, unlimited: true };
+    }
+
+    const key = route
+      ? `ratelimit:${policyName}:${route}:${identity}`
+      : `ratelimit:${policyName}:${identity}`;
+    const refillPerMs = policy.refillPerMinute / 60000;
+    const current = now();
+
+    const saved = await store.get(key);
+    const elapsed = saved ? Math.max(0, current - saved.updatedAt) : 0;
+    let tokens = saved
+      ? Math.min(policy.capacity, saved.tokens + elapsed * refillPerMs)
+      : policy.capacity;
+
+    const allowed = tokens >= cost;
+    if (allowed) {
+      tokens -= cost;
+    }
+
+    // El bucket se descarta cuando volvería a estar lleno
+    const msToFull = Math.ceil((policy.capacity - tokens) / refillPerMs);
+    await store.set(key, { tokens, updatedAt: current }, Math.max(msToFull, 1000));
+
+    return {
+      allowed,
+      policy: policyName,
+      route: route || null,
+      limit: policy.capacity,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil(msToFull / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs / 1000)
+    };
+  }
+
+  return {
+    consume,
+    getPolicy
+  };
+}
+
+/**
+ * Headers X-RateLimit-* (y Retry-After si se rechazó) para un resultado de consume
+ */
+function rateLimitHeaders(result) {
+  if (!result || result.unlimited) {
+    return {};
+  }
+
+  const headers = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(result.resetSeconds)
+  };
+  if (!result.allowed) {
+    headers['Retry-After'] = String(result.retryAfterSeconds);
+  }
+  return headers;
+}
+
+/**
+ * Respuesta 429 para una petición rechazada
+ */
+function rateLimitedResponse(result) {
+  return errorResponse('RATE_LIMITED', {
+    headers: rateLimitHeaders(result),
+    details: { retry_after_seconds: result.retryAfterSeconds }
+  });
+}
+
+/**
+ * IP del cliente según el formato del evento (API Gateway v1 / v2 o X-Forwarded-For)
+ */
+function getClientIp(event) {
+  const headers = event.headers || {};
+  const forwarded = headers['x-forwarded-for'] || headers['X-Forwarded-For'];
+  return event.requestContext?.http?.sourceIp ||
+    event.requestContext?.identity?.sourceIp ||
+    (forwarded ? forwarded.split(',')[0].trim() : null) ||
+    'unknown';
+}
+
+/**
+ * Almacén según el entorno: RATE_LIMIT_BACKEND=file (RATE_LIMIT_DIR opcional)
+ * Para Redis, crear el limitador con createRateLimiter({ store: createRedisStore(client) })
+ */
+function storeFromEnv() {
+  if (process.env.RATE_LIMIT_BACKEND === 'file') {
+    return createFileStore({ dir: process.env.RATE_LIMIT_DIR });
+  }
+  return undefined;
+}
+
+module.exports = {
+  createRateLimiter,
+  rateLimitHeaders,
+  rateLimitedResponse,
+  getClientIp,
+  storeFromEnv,
+  DEFAULT_POLICIES
+};
@@ -0,0 +1,195 @@
+/**
+ * Calculadora de regímenes fiscales para personas físicas
+ * Determina a qué regímenes del SAT puede tributar un perfil y estima el ISR e IVA
+ * mensual en cada uno con las tablas versionadas de data/tasas/<año>.json
+ */
+
+const { getRegimen } = require('./catalogs');
+
+// Tablas disponibles por año; agregar aquí cada nuevo archivo de data/tasas
+const RATE_TABLES = {
+  2025: require('./data/tasas/2025.json')
+};
+
+const LATEST_YEAR = Math.max(...Object.keys(RATE_TABLES).map(Number));
+
+const SALARIED_PATTERN = /(asalariad|emplead[oa] de|n[oó]mina|sueldo)/i;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * ISR con la tarifa progresiva mensual del artículo 96
+ */
+function isrTarifaArt96(base, tarifa) {
+  if (base <= 0) return 0;
+  const row = [...tarifa].reverse().find(r => base >= r.limite_inferior);
+  if (!row) return 0;
+  return row.cuota_fija + (base - row.limite_inferior) * row.tasa_excedente;
+}
+
+/**
+ * Tasa RESICO aplicable a los ingresos mensuales (se aplica al total, no marginal)
+ */
+function tasaResico(ingresosMensuales, tabla) {
+  const row = tabla.tasas_mensuales.find(r => ingresosMensuales <= r.hasta);
+  return row ? row.tasa : tabla.tasas_mensuales[tabla.tasas_mensuales.length - 1].tasa;
+}
+
+/**
+ * IVA mensual a pagar: trasladado sobre ingresos menos acreditable sobre gastos
+ */
+function ivaMensual(ingresos, gastos, tasas) {
+  return Math.max(0, (ingresos - gastos) * tasas.iva.tasa_general);
+}
+
+function estimacion(ingresos, isr, iva, extra = {}) {
+  const total = isr + iva;
+  return {
+    ingresos_mensuales: round(ingresos),
+    ...extra,
+    isr_mensual: round(isr),
+    iva_mensual: round(iva),
+    total_mensual: round(total),
+    tasa_efectiva: ingresos > 0 ? round((total / ingresos) * 100) / 100 : 0
+  };
+}
+
+// Cada calculador retorna { elegible, motivos, estimacion, notas }
+const CALCULATORS = {
+  resico(profile, m, tasas) {
+    const limite = tasas.resico_pf.limite_ingresos_anuales;
+    const motivos = [];
+    if (profile.ingresos_anuales > limite) motivos.push(`Ingresos anuales mayores a $${limite.toLocaleString('es-MX')}`);
+    if (profile.es_socio_accionista) motivos.push('Los socios o accionistas de personas morales no pueden tributar en RESICO');
+
+    const tasa = tasaResico(m.ingresos, tasas.resico_pf);
+    return {
+      elegible: motivos.length === 0,
+      motivos,
+      estimacion: estimacion(m.ingresos, m.ingresos * tasa, ivaMensual(m.ingresos, m.gastos, tasas), { tasa_isr: tasa }),
+      notas: ['ISR sobre ingresos cobrados sin deducciones']
+    };
+  },
+
+  actividad_empresarial(profile, m, tasas) {
+    const utilidad = Math.max(0, m.ingresos - m.gastos);
+    return {
+      elegible: true,
+      motivos: [],
+      estimacion: estimacion(m.ingresos, isrTarifaArt96(utilidad, tasas.isr_tarifa_mensual_art96), ivaMensual(m.ingresos, m.gastos, tasas), {
+        base_isr: round(utilidad)
+      }),
+      notas: ['Pago provisional estimado con la tarifa mensual del art. 96 sobre la utilidad del mes']
+    };
+  },
+
+  plataformas_tecnologicas(profile, m, tasas) {
+    const tabla = tasas.plataformas_tecnologicas;
+    const tipo = profile.tipo_plataforma || 'enajenacion_servicios';
+    const motivos = profile.usa_plataformas ? [] : ['No obtiene ingresos a través de plataformas tecnológicas'];
+    const pagoDefinitivo = profile.ingresos_anuales <= tabla.limite_pago_definitivo_anual;
+
+    const isrRetenido = m.ingresos * tabla.retencion_isr[tipo];
+    const ivaRetenido = m.ingresos * tabla.retencion_iva;
+    // Con pago definitivo las retenciones cubren el impuesto; si no, se paga el IVA restante
+    const ivaAdicional = pagoDefinitivo ? 0 : Math.max(0, ivaMensual(m.ingresos, m.gastos, tasas) - ivaRetenido);
+
+    return {
+      elegible: motivos.length === 0,
+      motivos,
+      estimacion: estimacion(m.ingresos, isrRetenido, ivaRetenido + ivaAdicional, {
+        tipo_plataforma: tipo,
+        tasa_isr: tabla.retencion_isr[tipo],
+        retenido_por_plataforma: round(isrRetenido + ivaRetenido),
+        pago_definitivo: pagoDefinitivo
+      }),
+      notas: [pagoDefinitivo
+        ? 'Las retenciones de la plataforma pueden considerarse pago definitivo'
+        : 'Las retenciones son pago provisional; el IVA restante se paga en la declaración mensual']
+    };
+  },
+
+  arrendamiento(profile, m, tasas) {
+    const motivos = profile.arrienda_inmuebles ? [] : ['No obtiene ingresos por arrendamiento de inmuebles'];
+    const deduccionCiega = m.ingresos * tasas.arrendamiento.deduccion_ciega;
+    const deduccion = Math.max(deduccionCiega, m.gastos);
+    const base = Math.max(0, m.ingresos - deduccion);
+    const casaHabitacion = (profile.tipo_inmueble || 'casa_habitacion') === 'casa_habitacion';
+
+    return {
+      elegible: motivos.length === 0,
+      motivos,
+      estimacion: estimacion(m.ingresos, isrTarifaArt96(base, tasas.isr_tarifa_mensual_art96), casaHabitacion ? 0 : ivaMensual(m.ingresos, m.gastos, tasas), {
+        base_isr: round(base),
+        deduccion: deduccion === deduccionCiega ? 'ciega_35' : 'gastos_reales'
+      }),
+      notas: [casaHabitacion ? 'Arrendamiento de casa habitación exento de IVA' : 'Arrendamiento comercial causa IVA al 16%']
+    };
+  },
+
+  sueldos_salarios(profile, m, tasas) {
+    const asalariado = profile.tiene_salario || (profile.actividad && SALARIED_PATTERN.test(profile.actividad));
+    const motivos = asalariado ? [] : ['No recibe ingresos por salarios'];
+
+    return {
+      elegible: motivos.length === 0,
+      motivos,
+      estimacion: estimacion(m.ingresos, isrTarifaArt96(m.ingresos, tasas.isr_tarifa_mensual_art96), 0),
+      notas: ['ISR retenido por el patrón con la tarifa del art. 96, sin subsidio para el empleo']
+    };
+  }
+};
+
+/**
+ * Calcula elegibilidad y estimaciones para todos los regímenes
+ */
+function calculateRegimes(profile, options = {}) {
+  const anio = options.anio || LATEST_YEAR;
+  const tasas = RATE_TABLES[anio];
+  if (!tasas) {
+    throw new Error(`No hay tablas de tasas para ${anio}`);
+  }
+
+  const normalized = {
+    ...profile,
+    ingresos_anuales: profile.ingresos_anuales || 0,
+    gastos_deducibles_anuales: profile.gastos_deducibles_anuales || 0
+  };
+  const mensual = {
+    ingresos: normalized.ingresos_anuales / 12,
+    gastos: normalized.gastos_deducibles_anuales / 12
+  };
+
+  const regimenes = Object.entries(CALCULATORS).map(([key, calculate]) => {
+    const regimen = getRegimen(key);
+    const result = calculate(normalized, mensual, tasas);
+    return {
+      regimen: key,
+      clave_sat: regimen.clave,
+      nombre: regimen.nombre,
+      ...result
+    };
+  });
+
+  const elegibles = regimenes
+    .filter(r => r.elegible)
+    .sort((a, b) => a.estimacion.total_mensual - b.estimacion.total_mensual);
+
+  return {
+    anio,
+    tablas_version: tasas.version,
+    fuente: tasas.fuente,
+    regimenes,
+    elegibles: elegibles.map(r => r.regimen),
+    mas_conveniente: elegibles.length > 0 ? elegibles[0].regimen : null
+  };
+}
+
+module.exports = {
+  calculateRegimes,
+  isrTarifaArt96,
+  tasaResico,
+  AVAILABLE_YEARS: Object.keys(RATE_TABLES).map(Number)
+};
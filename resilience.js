@@ -0,0 +1,167 @@
+/**
+ * Utilidades de resiliencia para llamadas al servidor MCP
+ * Reintentos con backoff exponencial + jitter y circuit breaker
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('circuit');
+
+const RETRYABLE_NETWORK_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ESOCKETTIMEDOUT'];
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Indica si el error es transitorio (timeout, red, 429/502/503/504)
+ * Los errores JSON-RPC de la herramienta no son transitorios
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (error.code && RETRYABLE_NETWORK_CODES.includes(error.code)) return true;
+  if (error.statusCode && RETRYABLE_STATUS_CODES.includes(error.statusCode)) return true;
+  return false;
+}
+
+/**
+ * Delay con "full jitter": aleatorio entre 0 y min(maxDelay, base * 2^intento)
+ */
+function backoffDelay(attempt, { baseDelayMs = 200, maxDelayMs = 2000 } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Ejecuta fn reintentando errores transitorios
+ * options: { retries, baseDelayMs, maxDelayMs, shouldRetry(error), onRetry(error, attempt, delay) }
+ */
+async function withRetry(fn, options = {}) {
+  const { retries = 0, shouldRetry = isTransientError, onRetry } = options;
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, options);
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+
+      attempt += 1;
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Circuit breaker con estados closed → open → half_open
+ * - closed: las llamadas pasan; failureThreshold fallos consecutivos lo abren
+ * - open: falla inmediatamente hasta que pasan resetTimeoutMs
+ * - half_open: deja pasar una llamada de prueba; si funciona se cierra, si falla se reabre
+ * options.isFailure(error) decide qué errores cuentan como caída del servicio
+ */
+function createCircuitBreaker(options = {}) {
+  const {
+    name = 'circuit',
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    isFailure = () => true
+  } = options;
+
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let trialInFlight = false;
+
+  function currentState() {
+    if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+      state = 'half_open';
+    }
+    return state;
+  }
+
+  function open(error) {
+    state = 'open';
+    openedAt = Date.now();
+    lastError = error ? error.message : null;
+    log.warn('Circuit breaker abierto', { circuit: name, consecutive_failures: consecutiveFailures, last_error: lastError });
+  }
+
+  function onSuccess() {
+    if (state !== 'closed') {
+      log.info('Circuit breaker cerrado', { circuit: name });
+    }
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+  }
+
+  function onFailure(error) {
+    consecutiveFailures += 1;
+    if (state === 'half_open' || consecutiveFailures >= failureThreshold) {
+      open(error);
+    }
+  }
+
+  async function execute(fn) {
+    const current = currentState();
+
+    if (current === 'open' || (current === 'half_open' && trialInFlight)) {
+      const error = new Error(`${name} no disponible (circuit breaker abierto)`);
+      error.code = 'CIRCUIT_OPEN';
+      error.retryAfterMs = Math.max(0, resetTimeoutMs - (Date.now() - openedAt));
+      throw error;
+    }
+
+    const isTrial = current === 'half_open';
+    if (isTrial) trialInFlight = true;
+
+    try {
+      const result = await fn();
+      onSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        onFailure(error);
+      } else if (isTrial) {
+        // El servicio respondió (error de aplicación): está disponible
+        onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  }
+
+  function getState() {
+    return {
+      name,
+      state: currentState(),
+      consecutive_failures: consecutiveFailures,
+      failure_threshold: failureThreshold,
+      opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+      reset_timeout_ms: resetTimeoutMs,
+      last_error: lastError
+    };
+  }
+
+  return {
+    execute,
+    getState
+  };
+}
+
+module.exports = {
+  withRetry,
+  backoffDelay,
+  isTransientError,
+  createCircuitBreaker
+};
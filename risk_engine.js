@@ -0,0 +1,75 @@
+/**
+ * Motor de reglas de riesgo fiscal (velocímetro)
+ * Evalúa un perfil contra reglas ponderadas; cada regla que aplica genera un issue
+ * con código, severidad, explicación y paso de remediación
+ */
+
+const { DEFAULT_RULES, RULES_VERSION } = require('./risk_rules');
+const { readJsonEnv } = require('./env');
+
+const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const LEVEL_MESSAGES = {
+  Verde: 'Cumplimiento fiscal óptimo',
+  Amarillo: 'Cumplimiento parcial, requiere atención',
+  Rojo: 'Alto riesgo fiscal, acción inmediata requerida'
+};
+
+// Pesos configurables por entorno: RISK_RULE_WEIGHTS='{"SIN_CFDI":25,"EFIRMA_NO_VIGENTE":0}' (0 desactiva la regla)
+const WEIGHT_OVERRIDES = readJsonEnv('RISK_RULE_WEIGHTS');
+
+/**
+ * Nivel del velocímetro: cualquier issue crítico o score < 50 es Rojo;
+ * un issue alto o score < 80 es Amarillo
+ */
+function getLevel(score, issues) {
+  if (issues.some(i => i.severity === 'critical') || score < 50) return 'Rojo';
+  if (issues.some(i => i.severity === 'high') || score < 80) return 'Amarillo';
+  return 'Verde';
+}
+
+/**
+ * Evalúa el riesgo de un perfil
+ * options: { rules, weights } para reemplazar reglas o pesos por defecto
+ */
+function evaluateRisk(profile, options = {}) {
+  const rules = options.rules || DEFAULT_RULES;
+  const weights = { ...WEIGHT_OVERRIDES, ...(options.weights || {}) };
+
+  const issues = rules
+    .map(rule => ({ ...rule, weight: weights[rule.code] !== undefined ? weights[rule.code] : rule.weight }))
+    .filter(rule => rule.weight > 0 && rule.applies(profile))
+    .map(rule => ({
+      code: rule.code,
+      severity: rule.severity,
+      weight: rule.weight,
+      title: rule.title,
+      explanation: typeof rule.explanation === 'function' ? rule.explanation(profile) : rule.explanation,
+      remediation: rule.remediation
+    }))
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.weight - a.weight);
+
+  const totalWeight = issues.reduce((sum, issue) => sum + issue.weight, 0);
+  const score = Math.max(0, Math.min(100, 100 - totalWeight));
+  const level = getLevel(score, issues);
+
+  return {
+    score,
+    level,
+    message: LEVEL_MESSAGES[level],
+    details: {
+      has_rfc: profile.has_rfc || false,
+      has_efirma: profile.has_efirma || false,
+      emite_cfdi: profile.emite_cfdi || false,
+      declara_mensual: profile.declara_mensual || false
+    },
+    penalties: issues.length,
+    issues,
+    rules_version: RULES_VERSION
+  };
+}
+
+module.exports = {
+  evaluateRisk,
+  getLevel
+};
@@ -0,0 +1,310 @@
+/**
+ * Historial del riesgo fiscal (velocímetro) por usuario
+ * Cada evaluación de /recommendation se guarda con su score, nivel e issues para mostrar
+ * la evolución en la app: serie de tiempo, cambios entre evaluaciones y tendencia
+ * - Supabase: tabla RISK_HISTORY_TABLE (risk_history por defecto) con columnas
+ *   user_id (text), score (numeric), level (text), issues (jsonb), rules_version (text)
+ *   y evaluated_at (timestamptz); índice sugerido (user_id, evaluated_at desc)
+ * - Memoria: con RISK_HISTORY_BACKEND=memory o sin Supabase fuera de Lambda (desarrollo local y pruebas);
+ *   en Lambda sin Supabase /risk-history responde 503 STORAGE_UNAVAILABLE y las evaluaciones no se guardan
+ */
+
+const { validateParams, invalidParamsResponse } = require('./validation');
+const { errorResponseFromException } = require('./errors');
+const { runQuery, selectRepository } = require('./supabase');
+const { createLogger } = require('./logger');
+
+const log = createLogger('risk-history');
+
+const RISK_HISTORY_TABLE = process.env.RISK_HISTORY_TABLE || 'risk_history';
+
+// Evaluaciones que se conservan por usuario en el repositorio en memoria
+const MEMORY_MAX_ENTRIES = 100;
+
+// Diferencia mínima de score (primera vs última evaluación) para marcar tendencia
+const TREND_THRESHOLD = parseInt(process.env.RISK_TREND_THRESHOLD || '5', 10);
+
+const ENTRY_COLUMNS = 'user_id, score, level, issues, rules_version, evaluated_at';
+
+// ========== REPOSITORIOS ==========
+// Interfaz: append(userId, entry) y list(userId, { limit, since }) en orden cronológico
+
+/**
+ * Repositorio en memoria (un arreglo por usuario)
+ */
+function createMemoryRiskHistoryRepository(options = {}) {
+  const maxEntries = options.maxEntries || MEMORY_MAX_ENTRIES;
+  const entries = new Map();
+
+  return {
+    async append(userId, entry) {
+      const list = entries.get(userId) || [];
+      const record = { user_id: userId, ...entry };
+      list.push(record);
+      entries.set(userId, list.slice(-maxEntries));
+      return { ...record };
+    },
+
+    async list(userId, { limit, since } = {}) {
+      return (entries.get(userId) || [])
+        .filter(entry => !since || entry.evaluated_at >= since)
+        .slice(-limit)
+        .map(entry => ({ ...entry }));
+    }
+  };
+}
+
+/**
+ * Repositorio sobre una tabla de Supabase
+ */
+function createSupabaseRiskHistoryRepository(client, options = {}) {
+  const table = options.table || RISK_HISTORY_TABLE;
+
+  return {
+    async append(userId, entry) {
+      return runQuery('risk_history.append', () => client
+        .from(table)
+        .insert({ user_id: userId, ...entry })
+        .select(ENTRY_COLUMNS)
+        .single());
+    },
+
+    async list(userId, { limit, since } = {}) {
+      // Las más recientes primero para aplicar limit; se devuelven en orden cronológico
+      const rows = await runQuery('risk_history.list', () => {
+        let query = client
+          .from(table)
+          .select(ENTRY_COLUMNS)
+          .eq('user_id', userId);
+        if (since) {
+          query = query.gte('evaluated_at', since);
+        }
+        return query.order('evaluated_at', { ascending: false }).limit(limit);
+      });
+      return (rows || []).reverse();
+    }
+  };
+}
+
+let repository = null;
+
+/**
+ * Repositorio según el entorno (RISK_HISTORY_BACKEND=memory para forzar memoria; ver selectRepository)
+ */
+function getRiskHistoryRepository() {
+  if (!repository) {
+    repository = selectRepository({
+      name: 'risk_history',
+      variable: 'RISK_HISTORY_BACKEND',
+      log,
+      supabase: client => createSupabaseRiskHistoryRepository(client),
+      memory: () => createMemoryRiskHistoryRepository()
+    });
+  }
+  return repository;
+}
+
+/**
+ * Reemplaza el repositorio (pruebas o un almacén distinto)
+ */
+function setRiskHistoryRepository(repo) {
+  repository = repo;
+}
+
+/**
+ * Guarda una evaluación de evaluateRisk; sin user_id no hace nada
+ * Un error del almacén solo se registra: no debe romper la recomendación
+ */
+async function recordRiskEvaluation(userId, risk) {
+  if (!userId) {
+    return null;
+  }
+
+  try {
+    return await getRiskHistoryRepository().append(userId, {
+      score: risk.score,
+      level: risk.level,
+      issues: risk.issues.map(issue => ({ code: issue.code, severity: issue.severity, title: issue.title })),
+      rules_version: risk.rules_version,
+      evaluated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    log.warn('No se pudo guardar la evaluación de riesgo', { error });
+    return null;
+  }
+}
+
+/**
+ * Última evaluación guardada del usuario, o null
+ */
+async function getLatestRiskEvaluation(userId) {
+  const [latest] = await getRiskHistoryRepository().list(userId, { limit: 1 });
+  return latest || null;
+}
+
+// ========== TENDENCIA ==========
+
+/**
+ * Issues de `current` que no estaban en `previous` (por código)
+ */
+function diffIssues(current, previous) {
+  const previousCodes = new Set(previous.map(issue => issue.code));
+  return current.filter(issue => !previousCodes.has(issue.code));
+}
+
+/**
+ * mejorando / empeorando si el score cambió al menos TREND_THRESHOLD puntos
+ * entre la primera y la última evaluación; estable en otro caso
+ */
+function getTrend(change, count) {
+  if (count < 2) return 'sin_historial';
+  if (change >= TREND_THRESHOLD) return 'mejorando';
+  if (change <= -TREND_THRESHOLD) return 'empeorando';
+  return 'estable';
+}
+
+/**
+ * Serie de tiempo con cambios entre evaluaciones consecutivas y resumen del periodo
+ */
+function buildRiskTrend(entries) {
+  const series = entries.map((entry, index) => {
+    const issues = entry.issues || [];
+    const previous = index > 0 ? entries[index - 1] : null;
+    const previousIssues = previous ? (previous.issues || []) : [];
+
+    return {
+      evaluated_at: entry.evaluated_at,
+      score: Number(entry.score),
+      level: entry.level,
+      rules_version: entry.rules_version || null,
+      delta: previous ? Number(entry.score) - Number(previous.score) : null,
+      issues: issues.map(issue => issue.code),
+      resolved_issues: previous ? diffIssues(previousIssues, issues) : [],
+      new_issues: previous ? diffIssues(issues, previousIssues) : []
+    };
+  });
+
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+  const change = entries.length > 1 ? Number(last.score) - Number(first.score) : 0;
+
+  return {
+    series,
+    summary: {
+      count: entries.length,
+      first_score: first ? Number(first.score) : null,
+      latest_score: last ? Number(last.score) : null,
+      latest_level: last ? last.level : null,
+      change,
+      trend: getTrend(change, entries.length),
+      resolved_issues: entries.length > 1 ? diffIssues(first.issues || [], last.issues || []) : [],
+      new_issues: entries.length > 1 ? diffIssues(last.issues || [], first.issues || []) : []
+    }
+  };
+}
+
+// ========== HANDLER ==========
+
+const ISSUE_REF = {
+  type: 'object',
+  properties: {
+    code: { type: 'string' },
+    severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+    title: { type: 'string' }
+  }
+};
+
+const RISK_HISTORY_SCHEMA = {
+  summary: 'Historial del score de riesgo del usuario con cambios y tendencia',
+  request: {
+    type: 'object',
+    required: ['user_id'],
+    properties: {
+      user_id: { type: 'string', description: 'Identificador del usuario' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Evaluaciones más recientes a incluir' },
+      since: { type: 'string', format: 'date-time', description: 'Solo evaluaciones desde esta fecha (ISO 8601)' }
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      user_id: { type: 'string' },
+      series: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            evaluated_at: { type: 'string', format: 'date-time' },
+            score: { type: 'number', minimum: 0, maximum: 100 },
+            level: { type: 'string', enum: ['Verde', 'Amarillo', 'Rojo'] },
+            rules_version: { type: ['string', 'null'] },
+            delta: { type: ['number', 'null'], description: 'Cambio de score contra la evaluación anterior' },
+            issues: { type: 'array', items: { type: 'string' } },
+            resolved_issues: { type: 'array', items: ISSUE_REF },
+            new_issues: { type: 'array', items: ISSUE_REF }
+          }
+        }
+      },
+      summary: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          first_score: { type: ['number', 'null'] },
+          latest_score: { type: ['number', 'null'] },
+          latest_level: { type: ['string', 'null'] },
+          change: { type: 'number', description: 'Score de la última evaluación menos el de la primera' },
+          trend: { type: 'string', enum: ['mejorando', 'estable', 'empeorando', 'sin_historial'] },
+          resolved_issues: { type: 'array', items: ISSUE_REF },
+          new_issues: { type: 'array', items: ISSUE_REF }
+        }
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    },
+    required: ['success', 'user_id', 'series', 'summary', 'timestamp']
+  }
+};
+
+/**
+ * GET /risk-history
+ */
+async function handleRiskHistory(params) {
+  const { value, errors } = validateParams(RISK_HISTORY_SCHEMA.request, params);
+  if (value.since && Number.isNaN(Date.parse(value.since))) {
+    errors.push({ field: 'since', code: 'invalid_type', message: 'Debe ser una fecha ISO 8601', value: value.since });
+  }
+  if (errors.length > 0) {
+    return invalidParamsResponse(errors);
+  }
+
+  try {
+    const since = value.since ? new Date(value.since).toISOString() : undefined;
+    const entries = await getRiskHistoryRepository().list(value.user_id, { limit: value.limit, since });
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        user_id: value.user_id,
+        ...buildRiskTrend(entries),
+        timestamp: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    return errorResponseFromException(error);
+  }
+}
+
+module.exports = {
+  createMemoryRiskHistoryRepository,
+  createSupabaseRiskHistoryRepository,
+  getRiskHistoryRepository,
+  setRiskHistoryRepository,
+  recordRiskEvaluation,
+  getLatestRiskEvaluation,
+  buildRiskTrend,
+  handleRiskHistory,
+  schemas: {
+    riskHistory: RISK_HISTORY_SCHEMA
+  }
+};
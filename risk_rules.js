@@ -0,0 +1,124 @@
+/**
+ * Reglas de riesgo fiscal por defecto
+ * Cada regla: { code, severity, weight, title, applies(profile), explanation, remediation }
+ * El peso se resta del score (100); severity influye en el nivel del velocímetro
+ */
+
+const RESICO_LIMITE_INGRESOS = 3500000;
+
+// Depósitos en efectivo mayores a $15,000 al mes son informados al SAT por los bancos
+const LIMITE_DEPOSITOS_EFECTIVO_ANUAL = 15000 * 12;
+
+const SALARIED_PATTERN = /(asalariad|emplead[oa] de|n[oó]mina|sueldo)/i;
+
+function aceptaEfectivo(profile) {
+  return (profile.metodos_pago || []).some(m => /efectivo/i.test(m));
+}
+
+function soloEfectivo(profile) {
+  const metodos = profile.metodos_pago || [];
+  return metodos.length > 0 && metodos.every(m => /efectivo/i.test(m));
+}
+
+const RULES_VERSION = '2025.1';
+
+const DEFAULT_RULES = [
+  {
+    code: 'RFC_NO_REGISTRADO',
+    severity: 'critical',
+    weight: 35,
+    title: 'RFC no registrado',
+    applies: profile => !profile.has_rfc,
+    explanation: 'Obtener ingresos sin estar inscrito en el RFC es una omisión sancionable y impide facturar.',
+    remediation: 'Inscríbete en el RFC en sat.gob.mx con tu CURP o en una oficina del SAT.'
+  },
+  {
+    code: 'RESICO_LIMITE_EXCEDIDO',
+    severity: 'critical',
+    weight: 30,
+    title: 'Ingresos superiores al límite de RESICO',
+    applies: profile => profile.regimen_actual === 'resico' && (profile.ingresos_anuales || 0) > RESICO_LIMITE_INGRESOS,
+    explanation: `RESICO solo aplica con ingresos anuales de hasta $${RESICO_LIMITE_INGRESOS.toLocaleString('es-MX')}; al superarlo el SAT te cambia de régimen y se recalculan los pagos.`,
+    remediation: 'Presenta el aviso de actualización al régimen de Actividades Empresariales y Profesionales y recalcula tus pagos provisionales.'
+  },
+  {
+    code: 'DECLARACIONES_OMITIDAS',
+    severity: 'high',
+    weight: 25,
+    title: 'No presenta declaraciones mensuales',
+    applies: profile => !profile.declara_mensual,
+    explanation: 'Las declaraciones omitidas generan multas, recargos y pueden llevar a la cancelación de sellos para facturar.',
+    remediation: 'Presenta las declaraciones pendientes en el portal del SAT antes del día 17 de cada mes.'
+  },
+  {
+    code: 'SIN_CFDI',
+    severity: 'high',
+    weight: 20,
+    title: 'No emite CFDI',
+    applies: profile => !profile.emite_cfdi,
+    explanation: 'Todos los ingresos deben estar amparados por un CFDI; no emitirlos es una infracción al artículo 29 del CFF.',
+    remediation: 'Emite CFDI 4.0 por cada cobro con el servicio gratuito de facturación del SAT.'
+  },
+  {
+    code: 'EFECTIVO_SIN_CFDI',
+    severity: 'high',
+    weight: 15,
+    title: 'Cobros en efectivo sin facturar',
+    applies: profile => aceptaEfectivo(profile) && !profile.emite_cfdi,
+    explanation: 'Los ingresos en efectivo sin CFDI son los más expuestos a discrepancias fiscales.',
+    remediation: 'Factura también los cobros en efectivo, incluso con CFDI global al público en general.'
+  },
+  {
+    code: 'INGRESOS_SOLO_EFECTIVO',
+    severity: 'medium',
+    weight: 10,
+    title: 'Ingresos únicamente en efectivo',
+    applies: profile => soloEfectivo(profile) && (profile.ingresos_anuales || 0) > LIMITE_DEPOSITOS_EFECTIVO_ANUAL,
+    explanation: 'Los bancos informan al SAT los depósitos en efectivo mayores a $15,000 al mes; sin registro pueden considerarse ingresos omitidos.',
+    remediation: 'Acepta pagos electrónicos y conserva evidencia de cada cobro en efectivo.'
+  },
+  {
+    code: 'NOMINA_SIN_CFDI',
+    severity: 'high',
+    weight: 20,
+    title: 'Empleados sin CFDI de nómina',
+    applies: profile => (profile.empleados || 0) > 0 &&
+      (profile.emite_cfdi_nomina === false || (profile.emite_cfdi_nomina === undefined && !profile.emite_cfdi)),
+    explanation: 'Los pagos de salarios deben timbrarse como CFDI de nómina; sin ellos no son deducibles y no se acredita la retención de ISR.',
+    remediation: 'Timbra un CFDI de nómina por cada pago y registra a tus empleados ante el IMSS.'
+  },
+  {
+    code: 'DECLARA_SIN_EFIRMA',
+    severity: 'high',
+    weight: 15,
+    title: 'Declara mensualmente sin e.firma vigente',
+    applies: profile => profile.declara_mensual && !profile.has_efirma,
+    explanation: 'La e.firma es obligatoria en RESICO y necesaria para emitir CFDI y firmar trámites; si vence, no podrás cumplir a tiempo.',
+    remediation: 'Renueva o tramita tu e.firma con cita en el SAT o desde SAT ID si venció hace menos de un año.'
+  },
+  {
+    code: 'EFIRMA_NO_VIGENTE',
+    severity: 'medium',
+    weight: 10,
+    title: 'e.firma no vigente',
+    applies: profile => !profile.declara_mensual && !profile.has_efirma,
+    explanation: 'Sin e.firma no puedes facturar ni realizar la mayoría de los trámites del SAT.',
+    remediation: 'Tramita tu e.firma con cita en una oficina del SAT.'
+  },
+  {
+    code: 'ACTIVIDAD_NO_REGISTRADA',
+    severity: 'medium',
+    weight: 15,
+    title: 'Actividad propia registrada como salarios',
+    applies: profile => profile.regimen_actual === 'sueldos_salarios' &&
+      Boolean(profile.actividad) && !SALARIED_PATTERN.test(profile.actividad),
+    explanation: 'El régimen de Sueldos y Salarios no cubre ingresos por actividad propia; esos ingresos quedarían sin declarar.',
+    remediation: 'Agrega a tu RFC el régimen que corresponda a tu actividad (RESICO o Actividades Empresariales).'
+  }
+];
+
+module.exports = {
+  RULES_VERSION,
+  DEFAULT_RULES,
+  RESICO_LIMITE_INGRESOS
+};
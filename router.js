@@ -0,0 +1,195 @@
+/**
+ * Router declarativo para la Lambda
+ * Resuelve paths exactos (con parámetros tipo /users/:user_id/context) contra una
+ * tabla de rutas y valida el método HTTP permitido en cada una
+ * Con versiones configuradas, la versión sale del prefijo del path (/v2/chat), del header
+ * Accept-Version o de la versión por defecto, y cada ruta puede registrar un handler por versión
+ */
+
+// Prefijo de versión en el path: /v1/..., /v2/...
+const VERSION_PREFIX = /^\/(v\d+)(?=\/|$)/i;
+
+/**
+ * Convierte un patrón de path en una expresión regular con sus parámetros
+ */
+function compilePath(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.substring(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return {
+    pattern,
+    keys,
+    regex: new RegExp(`^${source}$`)
+  };
+}
+
+/**
+ * Normaliza el path de la petición (sin trailing slash, '/' para vacío)
+ */
+function normalizePath(path) {
+  const normalized = (path || '').replace(/\/+$/, '');
+  return normalized === '' ? '/' : normalized;
+}
+
+/**
+ * Normaliza el valor de Accept-Version: '2', 'v2', '2.0' -> 'v2'
+ */
+function parseVersion(value) {
+  const match = /^v?(\d+)(\.\d+)*$/i.exec(String(value || '').trim());
+  return match ? `v${parseInt(match[1], 10)}` : null;
+}
+
+/**
+ * Crea un router a partir de una tabla de rutas
+ * Cada ruta: { name, path, aliases?, methods, description?, handler, versions?, handlers?, schemas? }
+ * - versions: versiones en las que existe la ruta (todas si no se indica)
+ * - handlers / schemas: handler y esquema por versión ({ v2: ... }); las demás usan handler / schema
+ * options: { versions: { v1: { aliases: true }, ... }, defaultVersion }
+ * (aliases: false en una versión deja fuera los aliases legacy de sus rutas)
+ */
+function createRouter(routes, options = {}) {
+  const versions = options.versions || {};
+  const versionNames = Object.keys(versions);
+  const defaultVersion = options.defaultVersion || versionNames[0] || null;
+
+  const compiled = routes.map(route => ({
+    ...route,
+    methods: route.methods.map(m => m.toUpperCase()),
+    matchers: [
+      { ...compilePath(route.path), alias: false },
+      ...(route.aliases || []).map(alias => ({ ...compilePath(alias), alias: true }))
+    ]
+  }));
+
+  function inVersion(route, version) {
+    return !version || !route.versions || route.versions.includes(version);
+  }
+
+  /**
+   * Rutas disponibles en una versión, con el handler y el esquema de esa versión
+   */
+  function routesFor(version) {
+    return compiled
+      .filter(route => inVersion(route, version))
+      .map(route => ({
+        ...route,
+        handler: (route.handlers && route.handlers[version]) || route.handler,
+        schema: (route.schemas && route.schemas[version]) || route.schema
+      }));
+  }
+
+  /**
+   * Versión de la petición y path sin el prefijo de versión
+   * Retorna { version, path } o { unsupported } si la versión pedida no existe
+   */
+  function resolveVersion(path, requestedVersion) {
+    if (versionNames.length === 0) {
+      return { version: null, path };
+    }
+
+    const prefix = VERSION_PREFIX.exec(path);
+    if (prefix) {
+      const version = prefix[1].toLowerCase();
+      return versions[version]
+        ? { version, path: normalizePath(path.substring(prefix[0].length)) }
+        : { unsupported: prefix[1] };
+    }
+
+    if (requestedVersion) {
+      const version = parseVersion(requestedVersion);
+      return versions[version] ? { version, path } : { unsupported: requestedVersion };
+    }
+
+    return { version: defaultVersion, path };
+  }
+
+  /**
+   * Busca la ruta para un método y path
+   * Retorna { status: 'matched' | 'method_not_allowed' | 'not_found' | 'unsupported_version',
+   *           version?, route?, pathParams?, allowed?, supported? }
+   * El route retornado trae el handler y el esquema de la versión resuelta
+   * Si method es null (invocación directa de la Lambda) no se valida el método
+   */
+  function match(method, path, requestedVersion) {
+    const resolved = resolveVersion(normalizePath(path), requestedVersion);
+    if (resolved.unsupported) {
+      return { status: 'unsupported_version', requested: resolved.unsupported, supported: versionNames };
+    }
+
+    const { version } = resolved;
+    const normalized = resolved.path;
+    const useAliases = !version || versions[version].aliases !== false;
+    const allowed = new Set();
+
+    for (const route of routesFor(version)) {
+      for (const matcher of route.matchers) {
+        if (matcher.alias && !useAliases) continue;
+
+        const result = matcher.regex.exec(normalized);
+        if (!result) continue;
+
+        if (method && !route.methods.includes(method.toUpperCase())) {
+          route.methods.forEach(m => allowed.add(m));
+          continue;
+        }
+
+        const pathParams = {};
+        matcher.keys.forEach((key, i) => {
+          pathParams[key] = decodeURIComponent(result[i + 1]);
+        });
+
+        return { status: 'matched', version, route, pathParams };
+      }
+    }
+
+    if (allowed.size > 0) {
+      return { status: 'method_not_allowed', version, allowed: [...allowed] };
+    }
+
+    return { status: 'not_found', version };
+  }
+
+  /**
+   * Lista las rutas registradas (para /info y respuestas 404); con version, solo las de esa versión
+   */
+  function describe(version) {
+    const useAliases = !version || !versions[version] || versions[version].aliases !== false;
+
+    return compiled
+      .filter(route => inVersion(route, version))
+      .map(route => ({
+        name: route.name,
+        path: route.path,
+        methods: route.methods,
+        aliases: useAliases ? (route.aliases || []) : [],
+        versions: route.versions || versionNames,
+        description: route.description,
+        auth: route.public ? 'none' : 'bearer'
+      }));
+  }
+
+  return {
+    routes: compiled,
+    versions,
+    defaultVersion,
+    routesFor,
+    match,
+    describe
+  };
+}
+
+module.exports = {
+  createRouter,
+  compilePath,
+  normalizePath,
+  parseVersion
+};
@@ -0,0 +1,164 @@
+/**
+ * Parser incremental de Server-Sent Events (text/event-stream) y serializador de eventos
+ * Implementa el algoritmo de la especificación WHATWG: campos event/data/id/retry,
+ * data en múltiples líneas, comentarios (':'), y fin de línea CRLF, LF o CR
+ */
+
+/**
+ * Crea un parser; onEvent recibe { event, data, id, retry } por cada evento despachado
+ * Uso: parser.push(chunk) con cada fragmento recibido y parser.end() al cerrar el stream
+ */
+function createSseParser(onEvent) {
+  let buffer = '';
+  let firstChunk = true;
+  let pendingCR = false;
+
+  let eventType = '';
+  let dataLines = [];
+  let lastEventId = '';
+  let retry;
+
+  function dispatch() {
+    if (dataLines.length === 0) {
+      eventType = '';
+      return;
+    }
+
+    const event = {
+      event: eventType || 'message',
+      data: dataLines.join('\n'),
+      id: lastEventId || undefined,
+      retry
+    };
+
+    eventType = '';
+    dataLines = [];
+    retry = undefined;
+
+    onEvent(event);
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+
+    // Comentario (keep-alive)
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    let field = line;
+    let value = '';
+
+    if (colon !== -1) {
+      field = line.substring(0, colon);
+      value = line.substring(colon + 1);
+      if (value.startsWith(' ')) {
+        value = value.substring(1);
+      }
+    }
+
+    switch (field) {
+      case 'event':
+        eventType = value;
+        break;
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) {
+          lastEventId = value;
+        }
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) {
+          retry = parseInt(value, 10);
+        }
+        break;
+      default:
+        // Campos desconocidos se ignoran
+        break;
+    }
+  }
+
+  function push(chunk) {
+    let text = chunk.toString();
+
+    if (firstChunk) {
+      firstChunk = false;
+      if (text.charCodeAt(0) === 0xfeff) {
+        text = text.substring(1);
+      }
+    }
+
+    // Un CR al final del chunk anterior seguido de LF es un solo fin de línea
+    if (pendingCR && text.startsWith('\n')) {
+      text = text.substring(1);
+    }
+    pendingCR = false;
+
+    buffer += text;
+
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (char !== '\n' && char !== '\r') continue;
+
+      processLine(buffer.substring(start, i));
+
+      if (char === '\r') {
+        if (i + 1 < buffer.length) {
+          if (buffer[i + 1] === '\n') i++;
+        } else {
+          pendingCR = true;
+        }
+      }
+      start = i + 1;
+    }
+
+    buffer = buffer.substring(start);
+  }
+
+  /**
+   * Fin del stream
+   * La especificación descarta un evento sin línea en blanco final; aquí se despacha igual
+   * porque algunos servidores cierran la conexión justo después del último data:
+   */
+  function end() {
+    if (buffer !== '') {
+      processLine(buffer);
+      buffer = '';
+    }
+    dispatch();
+  }
+
+  return {
+    push,
+    end,
+    getLastEventId: () => lastEventId
+  };
+}
+
+/**
+ * Serializa un evento SSE; data se envía como JSON y las líneas múltiples se separan en varios data:
+ */
+function formatSseEvent(event, data, id) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  let output = '';
+
+  if (id !== undefined) output += `id: ${id}\n`;
+  if (event) output += `event: ${event}\n`;
+  payload.split(/\r\n|\r|\n/).forEach(line => {
+    output += `data: ${line}\n`;
+  });
+
+  return `${output}\n`;
+}
+
+module.exports = {
+  createSseParser,
+  formatSseEvent
+};
@@ -0,0 +1,100 @@
+/**
+ * Cliente de Supabase compartido por los repositorios (perfiles, historial de riesgo...)
+ * Usa la llave de servicio: el bridge ya verificó el token y filtra por user_id en cada consulta
+ * SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY (o SUPABASE_KEY); sin ellas los repositorios
+ * quedan en memoria solo fuera de Lambda o con <REPOSITORIO>_BACKEND=memory (ver selectRepository)
+ */
+
+const { createAppError } = require('./errors');
+const { withSpan } = require('./tracing');
+
+let client;
+
+/**
+ * Cliente de Supabase, o null si no está configurado
+ */
+function getSupabaseClient() {
+  if (client !== undefined) {
+    return client;
+  }
+
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY;
+
+  if (url && key) {
+    // Carga diferida: el SDK solo se necesita con Supabase configurado
+    const { createClient } = require('@supabase/supabase-js');
+    client = createClient(url, key, { auth: { persistSession: false, autoRefreshToken: false } });
+  } else {
+    client = null;
+  }
+  return client;
+}
+
+/**
+ * Ejecuta una consulta del query builder y retorna data
+ * Los errores de Supabase se convierten en STORAGE_UNAVAILABLE
+ */
+function runQuery(operation, buildQuery) {
+  return withSpan(`supabase ${operation}`, { 'db.system': 'postgresql', 'db.operation': operation }, async () => {
+    let response;
+    try {
+      response = await buildQuery();
+    } catch (error) {
+      throw createAppError('STORAGE_UNAVAILABLE', { details: { operation }, cause: error });
+    }
+
+    if (response.error) {
+      throw createAppError('STORAGE_UNAVAILABLE', {
+        details: { operation, code: response.error.code },
+        cause: Object.assign(new Error(response.error.message), { code: response.error.code })
+      });
+    }
+    return response.data;
+  }, 'CLIENT');
+}
+
+/**
+ * Repositorio que rechaza cada operación con STORAGE_UNAVAILABLE
+ */
+function createUnavailableRepository(name, operations) {
+  return Object.fromEntries(operations.map(operation => [operation, async () => {
+    throw createAppError('STORAGE_UNAVAILABLE', { details: { operation: `${name}.${operation}`, reason: 'not_configured' } });
+  }]));
+}
+
+/**
+ * Repositorio según el entorno
+ * - variable=memory: en memoria (pruebas o demos; los datos se pierden entre instancias)
+ * - Supabase configurado: Supabase
+ * - sin Supabase fuera de Lambda (desarrollo local): en memoria con advertencia
+ * - sin Supabase en Lambda: se registra un error y cada operación falla con STORAGE_UNAVAILABLE,
+ *   en lugar de aceptar datos que se perderían con la instancia
+ * options: { name, variable, log, supabase: client => repo, memory: () => repo }
+ * La variable se lee al crear el repositorio (primer uso)
+ */
+function selectRepository({ name, variable, log, supabase, memory }) {
+  if (process.env[variable] === 'memory') {
+    log.info('Repositorio en memoria por configuración', { repository: name, variable });
+    return memory();
+  }
+
+  const client = getSupabaseClient();
+  if (client) {
+    return supabase(client);
+  }
+
+  if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
+    log.warn('Supabase no configurado: el repositorio queda en memoria', { repository: name, variable });
+    return memory();
+  }
+
+  log.error('Supabase no configurado: el repositorio no está disponible', { repository: name, variable, hint: `${variable}=memory para usar memoria` });
+  return createUnavailableRepository(name, Object.keys(memory()));
+}
+
+module.exports = {
+  getSupabaseClient,
+  runQuery,
+  selectRepository
+};
@@ -0,0 +1,129 @@
+/**
+ * Pruebas de verificación de JWT: claims obligatorios y selección de llave del JWKS
+ * El JWKS se sirve desde un servidor HTTP local; auth.js lee la configuración al cargarse,
+ * por eso se requiere después de fijar las variables de entorno
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const SECRET = 'secreto-de-prueba';
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const rsaStrict = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+const JWKS = {
+  keys: [
+    { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', use: 'sig' },
+    { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', use: 'sig' },
+    { ...rsaStrict.publicKey.export({ format: 'jwk' }), kid: 'rsa-512', alg: 'RS512', use: 'sig' }
+  ]
+};
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(header, claims, key) {
+  const input = `${encode(header)}.${encode(claims)}`;
+  const signature = header.alg === 'HS256'
+    ? crypto.createHmac('sha256', key).update(input).digest()
+    : crypto.sign('sha256', Buffer.from(input), key);
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+function claims(overrides = {}) {
+  return { sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 300, ...overrides };
+}
+
+describe('verifyToken', () => {
+  let server;
+  let auth;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(JWKS));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.AUTH_JWT_SECRET = SECRET;
+    process.env.AUTH_JWKS_URL = `http://127.0.0.1:${server.address().port}/jwks.json`;
+    auth = require('../auth');
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  async function rejects(token, code, message) {
+    await assert.rejects(auth.verifyToken(token), error => {
+      assert.equal(error.statusCode, 401);
+      assert.equal(error.code, code);
+      if (message) assert.match(error.message, message);
+      return true;
+    });
+  }
+
+  describe('claims', () => {
+    it('acepta un token HS256 vigente', async () => {
+      const result = await auth.verifyToken(sign({ alg: 'HS256', typ: 'JWT' }, claims(), SECRET));
+      assert.equal(result.sub, 'user-1');
+    });
+
+    it('rechaza un token sin exp', async () => {
+      const { exp, ...withoutExp } = claims();
+      await rejects(sign({ alg: 'HS256' }, withoutExp, SECRET), 'invalid_token', /exp/);
+    });
+
+    it('rechaza un exp que no es numérico', async () => {
+      await rejects(sign({ alg: 'HS256' }, claims({ exp: '9999999999' }), SECRET), 'invalid_token', /exp/);
+    });
+
+    it('rechaza un token expirado con token_expired', async () => {
+      await rejects(sign({ alg: 'HS256' }, claims({ exp: Math.floor(Date.now() / 1000) - 120 }), SECRET), 'token_expired');
+    });
+  });
+
+  describe('estructura', () => {
+    const segments = [
+      { name: 'header null', header: 'null', payload: JSON.stringify(claims()) },
+      { name: 'header arreglo', header: '[]', payload: JSON.stringify(claims()) },
+      { name: 'header numérico', header: '1', payload: JSON.stringify(claims()) },
+      { name: 'payload null', header: JSON.stringify({ alg: 'HS256' }), payload: 'null' },
+      { name: 'payload texto', header: JSON.stringify({ alg: 'HS256' }), payload: '"sub"' }
+    ];
+
+    for (const { name, header, payload } of segments) {
+      it(`rechaza un token con ${name} como 401`, async () => {
+        const input = `${Buffer.from(header).toString('base64url')}.${Buffer.from(payload).toString('base64url')}`;
+        const signature = crypto.createHmac('sha256', SECRET).update(input).digest('base64url');
+        await rejects(`${input}.${signature}`, 'invalid_token', /mal formado/);
+      });
+    }
+  });
+
+  describe('JWKS', () => {
+    it('verifica RS256 con la llave del kid', async () => {
+      const result = await auth.verifyToken(sign({ alg: 'RS256', kid: 'rsa-1' }, claims(), rsa.privateKey));
+      assert.equal(result.sub, 'user-1');
+    });
+
+    it('exige kid cuando el JWKS tiene varias llaves', async () => {
+      await rejects(sign({ alg: 'RS256' }, claims(), rsa.privateKey), 'invalid_token', /kid/);
+    });
+
+    it('rechaza un kid desconocido', async () => {
+      await rejects(sign({ alg: 'RS256', kid: 'otra' }, claims(), rsa.privateKey), 'invalid_token', /desconocida/);
+    });
+
+    it('rechaza una llave de otra familia (kty)', async () => {
+      await rejects(sign({ alg: 'RS256', kid: 'ec-1' }, claims(), rsa.privateKey), 'invalid_token', /no corresponde al algoritmo RS256/);
+    });
+
+    it('rechaza una llave cuyo alg declarado es distinto', async () => {
+      await rejects(sign({ alg: 'RS256', kid: 'rsa-512' }, claims(), rsaStrict.privateKey), 'invalid_token', /no corresponde al algoritmo RS256/);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Pruebas de /batch a través de index.handler
+ * Las operaciones van a /regime-calculator con el handler de mcp_bridge simulado para
+ * controlar la duración y los fallos; los límites del batch se leen al cargar index.js
+ */
+
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MAX_OPERATIONS = 5;
+const CONCURRENCY = 2;
+
+let handler;
+let mcpBridge;
+let originalRegimeCalculator;
+
+before(() => {
+  process.env.AUTH_DISABLED = 'true';
+  process.env.BATCH_MAX_OPERATIONS = String(MAX_OPERATIONS);
+  process.env.BATCH_CONCURRENCY = String(CONCURRENCY);
+  mcpBridge = require('../mcp_bridge');
+  originalRegimeCalculator = mcpBridge.handleRegimeCalculator;
+  ({ handler } = require('../index'));
+});
+
+afterEach(() => {
+  mcpBridge.handleRegimeCalculator = originalRegimeCalculator;
+});
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function batch(operations) {
+  const response = await handler({
+    httpMethod: 'POST',
+    path: '/batch',
+    headers: { 'content-type': 'application/json' },
+    requestContext: { identity: { sourceIp: '127.0.0.1' } },
+    body: JSON.stringify({ operations })
+  }, {});
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+function operation(id, params = {}) {
+  return { id, endpoint: '/regime-calculator', params };
+}
+
+describe('/batch', () => {
+  it('conserva el orden de las operaciones aunque terminen en otro orden', async () => {
+    mcpBridge.handleRegimeCalculator = async params => {
+      await sleep(params.delay);
+      return { statusCode: 200, body: { delay: params.delay } };
+    };
+
+    const { statusCode, body } = await batch([
+      operation('a', { delay: 40 }),
+      operation('b', { delay: 5 }),
+      operation('c', { delay: 20 }),
+      operation('d', { delay: 1 })
+    ]);
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.results.map(result => result.id), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(body.results.map(result => result.body.delay), [40, 5, 20, 1]);
+  });
+
+  it(`no ejecuta más de ${CONCURRENCY} operaciones a la vez`, async () => {
+    let active = 0;
+    let peak = 0;
+    mcpBridge.handleRegimeCalculator = async () => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await sleep(10);
+      active -= 1;
+      return { statusCode: 200, body: {} };
+    };
+
+    const { body } = await batch(['a', 'b', 'c', 'd', 'e'].map(id => operation(id)));
+
+    assert.equal(body.summary.succeeded, 5);
+    assert.equal(peak, CONCURRENCY);
+  });
+
+  it('el fallo de una operación queda en su resultado y no afecta a las demás', async () => {
+    mcpBridge.handleRegimeCalculator = async params => {
+      if (params.fail) {
+        throw Object.assign(new Error('Timeout'), { code: 'ETIMEDOUT' });
+      }
+      return { statusCode: 200, body: { ok: true } };
+    };
+
+    const { statusCode, body } = await batch([
+      operation('a'),
+      operation('b', { fail: true }),
+      operation('c')
+    ]);
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.results.map(result => result.status), [200, 504, 200]);
+    assert.equal(body.results[1].body.code, 'UPSTREAM_TIMEOUT');
+    assert.deepEqual(body.summary, { total: 3, succeeded: 2, failed: 1 });
+  });
+
+  it(`rechaza más de ${MAX_OPERATIONS} operaciones con 400`, async () => {
+    const ids = Array.from({ length: MAX_OPERATIONS + 1 }, (_, i) => `op-${i}`);
+    const { statusCode, body } = await batch(ids.map(id => operation(id)));
+
+    assert.equal(statusCode, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(body.errors.map(error => [error.field, error.code]), [['operations', 'out_of_range']]);
+  });
+
+  it('rechaza ids repetidos', async () => {
+    const { statusCode, body } = await batch([operation('a'), operation('a')]);
+
+    assert.equal(statusCode, 400);
+    assert.deepEqual(body.errors.map(error => [error.field, error.code]), [['operations[1].id', 'duplicate']]);
+  });
+
+  it('no ejecuta /batch ni la documentación dentro de un batch', async () => {
+    mcpBridge.handleRegimeCalculator = async () => ({ statusCode: 200, body: {} });
+
+    const { statusCode, body } = await batch([
+      { id: 'anidado', endpoint: '/batch', params: { operations: [operation('x')] } },
+      { id: 'info', endpoint: 'info', method: 'GET' },
+      operation('ok')
+    ]);
+
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.results.map(result => result.status), [400, 400, 200]);
+    assert.equal(body.results[0].body.code, 'VALIDATION_FAILED');
+    assert.equal(body.results[0].body.errors[0].field, 'endpoint');
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Pruebas del chat: validación del user_id y contexto fiscal adjuntado al mensaje
+ * (perfil guardado o de get_user_fiscal_context y último riesgo) y sesiones sin Supabase,
+ * con el cliente MCP y los repositorios simulados
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const mcpClient = require('../mcp_client');
+const profiles = require('../profiles');
+const riskHistory = require('../risk_history');
+const chatSessions = require('../chat_sessions');
+const { handleMcpChat, handleMcpChatStream } = require('../mcp_bridge');
+
+const originalCallTool = mcpClient.callTool;
+
+describe('chat sin user_id', () => {
+  it('handleMcpChat responde 400', async () => {
+    const response = await handleMcpChat({ message: 'Hola' });
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.body.code, 'VALIDATION_FAILED');
+    assert.ok(response.body.errors.some(error => error.field === 'user_id'));
+  });
+
+  it('handleMcpChatStream responde 400 sin emitir eventos', async () => {
+    const events = [];
+    const response = await handleMcpChatStream({ message: 'Hola' }, name => events.push(name));
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.streamed, false);
+    assert.deepEqual(events, []);
+  });
+});
+
+describe('contexto fiscal del chat', () => {
+  const PROFILE = {
+    actividad: 'Diseño gráfico',
+    regimen_actual: 'resico',
+    ingresos_anuales: 480000,
+    has_rfc: true,
+    emite_cfdi: false,
+    contexto_adicional: 'no se envía al chat'
+  };
+
+  let calls;
+  let userContextData;
+
+  beforeEach(() => {
+    calls = [];
+    userContextData = null;
+    profiles.setProfileRepository(profiles.createMemoryProfileRepository());
+    riskHistory.setRiskHistoryRepository(riskHistory.createMemoryRiskHistoryRepository());
+    chatSessions.setChatSessionRepository(chatSessions.createMemoryChatSessionRepository());
+
+    mcpClient.callTool = async (toolName, args) => {
+      calls.push({ toolName, args });
+      const data = toolName === 'get_user_fiscal_context' ? userContextData : { response: 'Hola' };
+      return { content: [{ type: 'text', text: JSON.stringify({ success: true, data }) }] };
+    };
+  });
+
+  afterEach(() => {
+    mcpClient.callTool = originalCallTool;
+  });
+
+  function chatRequest() {
+    const call = calls.find(({ toolName }) => toolName === 'chat_with_fiscal_assistant');
+    return call.args.request;
+  }
+
+  it('adjunta el perfil guardado y el último riesgo del historial', async () => {
+    await profiles.getProfileRepository().put('user-ctx-1', PROFILE);
+    await riskHistory.getRiskHistoryRepository().append('user-ctx-1', {
+      score: 72,
+      level: 'medio',
+      issues: [{ code: 'sin_cfdi', severity: 'high', title: 'No emite CFDI' }],
+      evaluated_at: new Date().toISOString()
+    });
+
+    const response = await handleMcpChat({ message: '¿Qué declaro?', user_id: 'user-ctx-1' });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(chatRequest().user_context, {
+      actividad: 'Diseño gráfico',
+      regimen_actual: 'resico',
+      ingresos_anuales: 480000,
+      has_rfc: true,
+      emite_cfdi: false,
+      riesgo: { score: 72, level: 'medio', issues: ['sin_cfdi'] }
+    });
+    assert.deepEqual(response.body.data.context_used, {
+      source: 'stored',
+      risk_source: 'history',
+      fields: ['actividad', 'regimen_actual', 'ingresos_anuales', 'has_rfc', 'emite_cfdi', 'riesgo']
+    });
+    assert.ok(!calls.some(({ toolName }) => toolName === 'get_user_fiscal_context'));
+  });
+
+  it('sin historial calcula el riesgo del perfil guardado', async () => {
+    await profiles.getProfileRepository().put('user-ctx-2', PROFILE);
+
+    const response = await handleMcpChat({ message: 'Hola', user_id: 'user-ctx-2' });
+
+    assert.equal(response.body.data.context_used.risk_source, 'computed');
+    assert.equal(typeof chatRequest().user_context.riesgo.score, 'number');
+  });
+
+  it('sin perfil guardado usa get_user_fiscal_context', async () => {
+    userContextData = { profile: { actividad: 'Comercio', regimen_fiscal: '626' } };
+
+    const response = await handleMcpChat({ message: 'Hola', user_id: 'user-ctx-3' });
+
+    assert.deepEqual(chatRequest().user_context, { actividad: 'Comercio', regimen_actual: 'resico' });
+    assert.equal(response.body.data.context_used.source, 'mcp');
+    assert.equal(response.body.data.context_used.risk_source, null);
+  });
+
+  it('con context: none no consulta el perfil ni el riesgo', async () => {
+    profiles.setProfileRepository({ get: async () => assert.fail('no debe leer el perfil') });
+
+    const response = await handleMcpChat({ message: 'Hola', user_id: 'user-ctx-4', context: 'none' });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(chatRequest().user_context, null);
+  });
+
+  const failures = [
+    {
+      name: 'el repositorio de perfiles',
+      fail: () => profiles.setProfileRepository({ get: async () => { throw new Error('perfiles no disponibles'); } })
+    },
+    {
+      name: 'el historial de riesgo',
+      fail: () => riskHistory.setRiskHistoryRepository({ list: async () => { throw new Error('historial no disponible'); } })
+    }
+  ];
+
+  for (const { name, fail } of failures) {
+    it(`si falla ${name} el chat responde sin contexto`, async () => {
+      await profiles.getProfileRepository().put('user-ctx-5', PROFILE);
+      fail();
+
+      const response = await handleMcpChat({ message: 'Hola', user_id: 'user-ctx-5' });
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.body.data.reply, 'Hola');
+      assert.equal(chatRequest().user_context, null);
+      assert.deepEqual(response.body.data.context_used, { source: null, risk_source: null, fields: [] });
+    });
+
+    it(`si falla ${name} el chat en stream termina con message`, async () => {
+      await profiles.getProfileRepository().put('user-ctx-6', PROFILE);
+      fail();
+
+      const events = [];
+      const response = await handleMcpChatStream({ message: 'Hola', user_id: 'user-ctx-6' }, name => events.push(name));
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(events, ['message']);
+      assert.equal(chatRequest().user_context, null);
+    });
+  }
+});
+
+describe('sesiones de chat sin Supabase', () => {
+  beforeEach(() => {
+    chatSessions.setChatSessionRepository(null);
+    mcpClient.callTool = async () => ({ content: [{ type: 'text', text: JSON.stringify({ success: true, data: { response: 'Hola' } }) }] });
+  });
+
+  afterEach(() => {
+    mcpClient.callTool = originalCallTool;
+    delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    delete process.env.CHAT_SESSIONS_BACKEND;
+  });
+
+  it('en Lambda el chat responde sin guardar la sesión y /chat/sessions responde 503', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'fiscai-bridge';
+
+    const chat = await handleMcpChat({ message: 'Hola', user_id: 'user-sin-almacen', context: 'none' });
+    assert.equal(chat.statusCode, 200);
+    assert.equal(chat.body.data.reply, 'Hola');
+
+    const sessions = await chatSessions.handleListSessions({ user_id: 'user-sin-almacen' });
+    assert.equal(sessions.statusCode, 503);
+    assert.equal(sessions.body.code, 'STORAGE_UNAVAILABLE');
+  });
+
+  it('en Lambda con CHAT_SESSIONS_BACKEND=memory guarda la sesión', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'fiscai-bridge';
+    process.env.CHAT_SESSIONS_BACKEND = 'memory';
+
+    const chat = await handleMcpChat({ message: 'Hola', user_id: 'user-memoria', context: 'none' });
+    const sessions = await chatSessions.handleListSessions({ user_id: 'user-memoria' });
+    assert.equal(sessions.statusCode, 200);
+    assert.deepEqual(sessions.body.sessions.map(session => session.session_id), [chat.body.data.session_id]);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Pruebas de readJsonEnv y del arranque de los módulos con overrides inválidos
+ * La carga se prueba en un proceso aparte porque los overrides se leen al requerir el módulo
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { readJsonEnv } = require('../env');
+
+const VARIABLE = 'FISCAI_TEST_JSON';
+
+// Retorna { status, stderr } del proceso que requiere el módulo
+function loadWithEnv(moduleName, env) {
+  return spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', moduleName))})`], {
+    env: { ...process.env, LOG_LEVEL: 'warn', ...env },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+}
+
+describe('readJsonEnv', () => {
+  afterEach(() => {
+    delete process.env[VARIABLE];
+  });
+
+  const cases = [
+    { value: undefined, expected: {} },
+    { value: '', expected: {} },
+    { value: '{"get_fiscal_advice":30000}', expected: { get_fiscal_advice: 30000 } },
+    { value: '{bad', expected: {} },
+    { value: '[1,2]', expected: {} },
+    { value: 'null', expected: {} },
+    { value: '42', expected: {} }
+  ];
+
+  for (const { value, expected } of cases) {
+    it(`${JSON.stringify(value)} -> ${JSON.stringify(expected)}`, () => {
+      if (value !== undefined) {
+        process.env[VARIABLE] = value;
+      }
+      assert.deepEqual(readJsonEnv(VARIABLE), expected);
+    });
+  }
+});
+
+describe('módulos con overrides inválidos', () => {
+  const modules = [
+    { moduleName: 'mcp_bridge', variables: ['MCP_TOOL_TIMEOUTS', 'MCP_CACHE_TTLS'] },
+    { moduleName: 'rate_limiter', variables: ['RATE_LIMITS', 'RATE_LIMIT_IDENTITIES'] },
+    { moduleName: 'risk_engine', variables: ['RISK_RULE_WEIGHTS'] }
+  ];
+
+  for (const { moduleName, variables } of modules) {
+    for (const variable of variables) {
+      it(`${moduleName} carga con ${variable} inválido y lo registra`, () => {
+        const { status, stderr } = loadWithEnv(moduleName, { [variable]: '{"sin cerrar":' });
+        assert.equal(status, 0, stderr);
+        assert.match(stderr, new RegExp(`"variable":"${variable}"`));
+      });
+    }
+  }
+});
@@ -0,0 +1,127 @@
+/**
+ * Taxonomía de errores de punta a punta: un fallo del servidor MCP (cliente simulado)
+ * debe llegar al handler con su código y status HTTP
+ * El umbral del breaker se fija antes de cargar mcp_bridge para abrirlo con pocas llamadas
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MCP_CIRCUIT_FAILURE_THRESHOLD = '3';
+
+const mcpClient = require('../mcp_client');
+const { handleMcpSearchPlaces, getCircuitState } = require('../mcp_bridge');
+
+const originalCallTool = mcpClient.callTool;
+
+const PLACES_RESULT = { content: [{ type: 'text', text: JSON.stringify({ success: true, data: { places: [] } }) }] };
+
+function stubTool(fn) {
+  mcpClient.callTool = async () => fn();
+}
+
+function search() {
+  return handleMcpSearchPlaces({ query: 'oficina SAT' });
+}
+
+describe('errores del servidor MCP en los handlers', () => {
+  // Una llamada exitosa reinicia los fallos consecutivos del breaker entre pruebas
+  beforeEach(async () => {
+    stubTool(() => PLACES_RESULT);
+    assert.equal((await search()).statusCode, 200);
+  });
+
+  after(() => {
+    mcpClient.callTool = originalCallTool;
+  });
+
+  const cases = [
+    {
+      name: 'resultado con isError',
+      fail: () => ({ content: [{ type: 'text', text: 'sin resultados' }], isError: true }),
+      status: 502,
+      code: 'UPSTREAM_TOOL_ERROR'
+    },
+    {
+      name: 'payload con success: false',
+      fail: () => ({ content: [{ type: 'text', text: JSON.stringify({ success: false, error: 'cuota agotada' }) }] }),
+      status: 502,
+      code: 'UPSTREAM_TOOL_ERROR'
+    },
+    {
+      name: 'error JSON-RPC',
+      fail: () => { throw Object.assign(new Error('Invalid params'), { statusCode: 200, rpcCode: -32602, rpcError: { code: -32602, message: 'Invalid params' } }); },
+      status: 502,
+      code: 'MCP_PROTOCOL_ERROR'
+    },
+    {
+      name: 'timeout',
+      fail: () => { throw Object.assign(new Error('Timeout después de 8000ms'), { code: 'ETIMEDOUT' }); },
+      status: 504,
+      code: 'UPSTREAM_TIMEOUT'
+    },
+    {
+      name: 'error de red',
+      fail: () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); },
+      status: 503,
+      code: 'UPSTREAM_UNAVAILABLE'
+    },
+    {
+      name: 'HTTP 503 del servidor',
+      fail: () => { throw Object.assign(new Error('Service Unavailable'), { statusCode: 503 }); },
+      status: 503,
+      code: 'UPSTREAM_UNAVAILABLE'
+    },
+    {
+      name: 'HTTP 500 del servidor',
+      fail: () => { throw Object.assign(new Error('Internal Server Error'), { statusCode: 500 }); },
+      status: 502,
+      code: 'UPSTREAM_HTTP_ERROR'
+    },
+    {
+      name: 'error inesperado',
+      fail: () => { throw new TypeError('x is not a function'); },
+      status: 500,
+      code: 'INTERNAL_ERROR'
+    }
+  ];
+
+  for (const { name, fail, status, code } of cases) {
+    it(`${name} -> ${status} ${code}`, async () => {
+      stubTool(fail);
+      const response = await search();
+      assert.equal(response.statusCode, status);
+      assert.equal(response.body.code, code);
+    });
+  }
+});
+
+describe('circuit breaker', () => {
+  before(() => {
+    stubTool(() => { throw Object.assign(new Error('Service Unavailable'), { statusCode: 503 }); });
+  });
+
+  after(() => {
+    mcpClient.callTool = originalCallTool;
+  });
+
+  it('con el breaker abierto responde 503 con Retry-After sin llamar al servidor', async () => {
+    for (let i = 0; i < 3; i++) {
+      await search();
+    }
+    assert.equal(getCircuitState().state, 'open');
+
+    let called = false;
+    stubTool(() => {
+      called = true;
+      return PLACES_RESULT;
+    });
+
+    const response = await search();
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.body.code, 'UPSTREAM_UNAVAILABLE');
+    assert.deepEqual(response.body.details, { reason: 'circuit_open' });
+    assert.ok(Number(response.headers['Retry-After']) > 0);
+    assert.equal(called, false);
+  });
+});
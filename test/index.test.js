@@ -0,0 +1,11 @@
+/**
+ * El handler de Lambda carga sin errores (antes de cualquier prueba de rutas)
+ */
+
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+
+it('index.js exporta el handler', () => {
+  const { handler } = require('../index');
+  assert.equal(typeof handler, 'function');
+});
@@ -0,0 +1,93 @@
+/**
+ * Pruebas de callMcpTool y los handlers MCP con el cliente MCP simulado
+ * (mcp_bridge usa mcpClient.callTool a través del módulo, así que se puede reemplazar)
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const mcpClient = require('../mcp_client');
+const metrics = require('../metrics');
+const { handleMcpSearchPlaces, callMcpToolCached } = require('../mcp_bridge');
+
+const originalCallTool = mcpClient.callTool;
+const originalIncrement = metrics.increment;
+
+function stubTool(fn) {
+  mcpClient.callTool = async (...args) => fn(...args);
+}
+
+describe('resultados con isError', () => {
+  let counters;
+
+  beforeEach(() => {
+    counters = [];
+    metrics.increment = (name, dimensions) => counters.push({ name, dimensions });
+  });
+
+  afterEach(() => {
+    mcpClient.callTool = originalCallTool;
+    metrics.increment = originalIncrement;
+  });
+
+  it('responde 502 UPSTREAM_TOOL_ERROR con el mensaje de la herramienta', async () => {
+    stubTool(() => ({ content: [{ type: 'text', text: 'Google Places no disponible' }], isError: true }));
+
+    const response = await handleMcpSearchPlaces({ query: 'oficina SAT' });
+    assert.equal(response.statusCode, 502);
+    assert.equal(response.body.code, 'UPSTREAM_TOOL_ERROR');
+    assert.match(response.body.error, /Google Places no disponible/);
+  });
+
+  it('registra la métrica como tool_error', async () => {
+    stubTool(() => ({ content: [{ type: 'text', text: 'falló' }], isError: true }));
+
+    await handleMcpSearchPlaces({ query: 'oficina SAT' });
+    assert.ok(counters.some(({ name, dimensions }) => name === 'ToolErrors' && dimensions.Category === 'tool_error'));
+  });
+});
+
+describe('callMcpToolCached', () => {
+  let calls;
+
+  function stubSearch(result) {
+    calls = 0;
+    stubTool(() => {
+      calls += 1;
+      return result;
+    });
+  }
+
+  afterEach(() => {
+    mcpClient.callTool = originalCallTool;
+  });
+
+  it('guarda un resultado con documentos', async () => {
+    stubSearch({ content: [{ type: 'text', text: JSON.stringify({ success: true, data: { documents: [{ title: 'CFF Art. 27', url: 'https://www.sat.gob.mx/rfc' }] } }) }] });
+    const args = { request: { query: 'rfc', limit: 5 } };
+
+    assert.equal((await callMcpToolCached('search_fiscal_documents', args)).cache.status, 'MISS');
+    const second = await callMcpToolCached('search_fiscal_documents', args);
+    assert.equal(second.cache.status, 'HIT');
+    assert.equal(calls, 1);
+  });
+
+  const uncacheable = [
+    { name: 'sin content', result: { content: [] } },
+    { name: 'sin documentos', result: { content: [{ type: 'text', text: JSON.stringify({ success: true, data: { documents: [] } }) }] } },
+    { name: 'que no cumple el esquema', result: { content: [{ type: 'text', text: JSON.stringify({ success: true, data: { resultados: [] } }) }] } },
+    { name: 'con success: false', result: { content: [{ type: 'text', text: JSON.stringify({ success: false, error: 'índice no disponible' }) }] } }
+  ];
+
+  for (const [index, { name, result }] of uncacheable.entries()) {
+    it(`no guarda un resultado ${name}`, async () => {
+      stubSearch(result);
+      const args = { request: { query: `vacío ${index}`, limit: 5 } };
+
+      const first = await callMcpToolCached('search_fiscal_documents', args);
+      assert.equal(first.cache.ttlMs, 0);
+      assert.equal((await callMcpToolCached('search_fiscal_documents', args)).cache.status, 'MISS');
+      assert.equal(calls, 2);
+    });
+  }
+});
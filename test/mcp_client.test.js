@@ -0,0 +1,151 @@
+/**
+ * Pruebas del transporte Streamable HTTP contra un servidor MCP local:
+ * correlación por id en respuestas SSE y validación de la respuesta en request()
+ * mcp_client lee MCP_SERVER_URL al cargarse, por eso se requiere después de levantar el servidor
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { makeHttpRequest } = require('../http_client');
+const { isTransientError } = require('../resilience');
+
+let server;
+let baseUrl;
+let mcpClient;
+
+// Respuesta del servidor para tools/call: (res, message) => void
+let toolsCall;
+
+function sse(res) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  return message => res.write(`data: ${JSON.stringify(message)}\n\n`);
+}
+
+function readJson(req) {
+  return new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data ? JSON.parse(data) : null));
+  });
+}
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const message = await readJson(req);
+
+    if (req.url === '/mcp' && message.method === 'initialize') {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'sesion-1' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { protocolVersion: '2025-03-26', capabilities: {} } }));
+    } else if (req.url === '/mcp' && message.method === 'notifications/initialized') {
+      res.writeHead(202);
+      res.end();
+    } else if (req.url === '/mcp') {
+      toolsCall(res, message);
+    } else {
+      // /sse/<escenario>: respuestas para makeHttpRequest con jsonRpcId 'req-1'
+      const send = sse(res);
+      if (req.url === '/sse/partido') {
+        const text = `data: ${JSON.stringify({ jsonrpc: '2.0', id: 'req-1', result: { ok: true } })}\n\n`;
+        res.write(text.substring(0, 10));
+        setTimeout(() => res.end(text.substring(10)), 20);
+      } else if (req.url === '/sse/notificaciones') {
+        send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1, message: 'uno' } });
+        send({ jsonrpc: '2.0', id: 'otra', result: { ajena: true } });
+        send({ jsonrpc: '2.0', id: 'req-1', result: { ok: true } });
+        // El servidor deja el stream abierto: el cliente debe cerrar con la respuesta
+      } else if (req.url === '/sse/truncado') {
+        send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } });
+        res.end();
+      } else if (req.url === '/sse/reset') {
+        send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } });
+        setTimeout(() => res.socket.destroy(), 20);
+      } else if (req.url === '/sse/sin-id') {
+        send({ estado: 'listo' });
+        res.end();
+      }
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  process.env.MCP_SERVER_URL = baseUrl;
+  mcpClient = require('../mcp_client');
+});
+
+after(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+describe('makeHttpRequest con text/event-stream', () => {
+  function post(path, options = {}) {
+    return makeHttpRequest(`${baseUrl}${path}`, { method: 'POST', body: {}, timeoutMs: 2000, jsonRpcId: 'req-1', ...options });
+  }
+
+  it('arma la respuesta partida en varios fragmentos', async () => {
+    const response = await post('/sse/partido');
+    assert.deepEqual(response.body, { jsonrpc: '2.0', id: 'req-1', result: { ok: true } });
+  });
+
+  it('reporta las notificaciones previas y resuelve con la respuesta de su id', async () => {
+    const response = await post('/sse/notificaciones');
+    assert.deepEqual(response.body.result, { ok: true });
+    assert.deepEqual(response.progress, [{ progress: 1, message: 'uno' }]);
+    assert.equal(response.notifications.length, 1);
+  });
+
+  it('rechaza con un error transitorio si el stream termina sin la respuesta', async () => {
+    await assert.rejects(post('/sse/truncado'), error => {
+      assert.equal(error.code, 'ECONNRESET');
+      assert.ok(isTransientError(error));
+      return true;
+    });
+  });
+
+  it('rechaza si la conexión se corta a mitad del stream', async () => {
+    await assert.rejects(post('/sse/reset'), error => isTransientError(error));
+  });
+
+  it('sin jsonRpcId conserva el último data como cuerpo', async () => {
+    const response = await post('/sse/sin-id', { jsonRpcId: undefined });
+    assert.deepEqual(response.body, { estado: 'listo' });
+  });
+});
+
+describe('mcpClient.request', () => {
+  beforeEach(() => mcpClient.resetSession());
+
+  it('retorna el result de la respuesta', async () => {
+    toolsCall = (res, message) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { content: [] } }));
+    };
+    assert.deepEqual(await mcpClient.request('tools/call', { name: 'x' }), { content: [] });
+  });
+
+  it('falla si la respuesta no trae result', async () => {
+    toolsCall = (res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/message', params: {} }));
+    };
+    await assert.rejects(mcpClient.request('tools/call', { name: 'x' }), /sin result/);
+  });
+
+  it('falla con un cuerpo vacío', async () => {
+    toolsCall = (res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end();
+    };
+    await assert.rejects(mcpClient.request('tools/call', { name: 'x' }), /sin result/);
+  });
+
+  it('un stream SSE truncado no es un resultado vacío', async () => {
+    toolsCall = (res) => {
+      sse(res)({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } });
+      res.end();
+    };
+    await assert.rejects(mcpClient.request('tools/call', { name: 'x' }), error => error.code === 'ECONNRESET');
+  });
+});
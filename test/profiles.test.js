@@ -0,0 +1,155 @@
+/**
+ * Pruebas del perfil fiscal guardado con el repositorio en memoria
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createMemoryProfileRepository,
+  getProfileRepository,
+  setProfileRepository,
+  loadProfileWithOverrides,
+  handleGetProfile,
+  handlePutProfile,
+  handlePatchProfile
+} = require('../profiles');
+
+const USER_ID = 'user-1';
+
+const STORED = {
+  actividad: 'Venta de ropa en línea',
+  ingresos_anuales: 480000,
+  emite_cfdi: true,
+  metodos_pago: ['transferencia', 'tarjeta']
+};
+
+beforeEach(() => {
+  setProfileRepository(createMemoryProfileRepository());
+});
+
+describe('handlePutProfile', () => {
+  it('guarda el perfil sin el user_id', async () => {
+    const response = await handlePutProfile({ user_id: USER_ID, ...STORED });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.user_id, USER_ID);
+    assert.deepEqual(response.body.profile, STORED);
+  });
+
+  it('reemplaza el perfil completo: los campos omitidos se pierden', async () => {
+    await handlePutProfile({ user_id: USER_ID, ...STORED });
+    await handlePutProfile({ user_id: USER_ID, actividad: 'Consultoría', empleados: 2 });
+
+    const record = await getProfileRepository().get(USER_ID);
+    assert.deepEqual(record.profile, { actividad: 'Consultoría', empleados: 2 });
+  });
+
+  it('exige actividad', async () => {
+    const response = await handlePutProfile({ user_id: USER_ID, ingresos_anuales: 100 });
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.body.code, 'VALIDATION_FAILED');
+  });
+});
+
+describe('handlePatchProfile', () => {
+  it('combina los campos enviados con el perfil guardado', async () => {
+    await handlePutProfile({ user_id: USER_ID, ...STORED });
+    const response = await handlePatchProfile({ user_id: USER_ID, ingresos_anuales: 600000, has_rfc: true });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.profile, { ...STORED, ingresos_anuales: 600000, has_rfc: true });
+  });
+
+  it('sin perfil guardado responde 404', async () => {
+    const response = await handlePatchProfile({ user_id: USER_ID, has_rfc: true });
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.body.code, 'NOT_FOUND');
+    assert.deepEqual(response.body.details, { resource: 'profile', user_id: USER_ID });
+  });
+});
+
+describe('handleGetProfile', () => {
+  it('retorna el perfil guardado', async () => {
+    await handlePutProfile({ user_id: USER_ID, ...STORED });
+    const response = await handleGetProfile({ user_id: USER_ID });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.profile, STORED);
+  });
+
+  it('sin perfil guardado responde 404', async () => {
+    assert.equal((await handleGetProfile({ user_id: USER_ID })).statusCode, 404);
+  });
+});
+
+describe('loadProfileWithOverrides', () => {
+  it('los campos de la petición tienen prioridad sobre el perfil guardado', async () => {
+    await getProfileRepository().put(USER_ID, STORED);
+    const result = await loadProfileWithOverrides(USER_ID, { ingresos_anuales: 900000, has_efirma: false });
+
+    assert.equal(result.source, 'merged');
+    assert.deepEqual(result.profile, { ...STORED, ingresos_anuales: 900000, has_efirma: false });
+  });
+
+  it('ignora campos vacíos y ajenos al perfil', async () => {
+    await getProfileRepository().put(USER_ID, STORED);
+    const result = await loadProfileWithOverrides(USER_ID, { actividad: '', ingresos_anuales: null, user_id: USER_ID, otro: 1 });
+
+    assert.equal(result.source, 'stored');
+    assert.deepEqual(result.profile, STORED);
+  });
+
+  it('sin perfil guardado usa solo la petición', async () => {
+    const result = await loadProfileWithOverrides(USER_ID, { actividad: 'Consultoría' });
+    assert.deepEqual(result, { profile: { actividad: 'Consultoría' }, source: 'request' });
+  });
+
+  it('si el almacén falla continúa con los campos de la petición', async () => {
+    setProfileRepository({ get: async () => { throw new Error('sin conexión'); } });
+    const result = await loadProfileWithOverrides(USER_ID, { actividad: 'Consultoría' });
+    assert.deepEqual(result, { profile: { actividad: 'Consultoría' }, source: 'request' });
+  });
+
+  it('si el almacén falla y la petición no trae campos, propaga el error', async () => {
+    setProfileRepository({ get: async () => { throw new Error('sin conexión'); } });
+    await assert.rejects(loadProfileWithOverrides(USER_ID, {}), /sin conexión/);
+  });
+});
+
+describe('getProfileRepository sin Supabase', () => {
+  beforeEach(() => {
+    setProfileRepository(null);
+  });
+
+  afterEach(() => {
+    delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    delete process.env.PROFILE_BACKEND;
+  });
+
+  it('fuera de Lambda usa memoria', async () => {
+    const response = await handlePutProfile({ user_id: USER_ID, ...STORED });
+    assert.equal(response.statusCode, 200);
+  });
+
+  it('en Lambda rechaza lecturas y escrituras con 503 STORAGE_UNAVAILABLE', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'fiscai-bridge';
+
+    for (const response of [
+      await handlePutProfile({ user_id: USER_ID, ...STORED }),
+      await handleGetProfile({ user_id: USER_ID })
+    ]) {
+      assert.equal(response.statusCode, 503);
+      assert.equal(response.body.code, 'STORAGE_UNAVAILABLE');
+      assert.equal(response.body.details.reason, 'not_configured');
+    }
+  });
+
+  it('en Lambda con PROFILE_BACKEND=memory usa memoria', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'fiscai-bridge';
+    process.env.PROFILE_BACKEND = 'memory';
+
+    await handlePutProfile({ user_id: USER_ID, ...STORED });
+    const response = await handleGetProfile({ user_id: USER_ID });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.profile, STORED);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Pruebas de los proveedores de herramientas
+ * - fake: instalado con setProvider, recorre callMcpTool / handlers / normalizeToolResult sin red
+ * - gemini: con un SDK y un cliente de Supabase simulados
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFakeProvider, createGeminiProvider, setProvider } = require('../providers');
+const { callMcpTool, handleMcpChat, handleMcpSearch } = require('../mcp_bridge');
+const { normalizeToolResult } = require('../mcp_result');
+const { getProfileRepository, setProfileRepository, createMemoryProfileRepository } = require('../profiles');
+const { setChatSessionRepository, createMemoryChatSessionRepository } = require('../chat_sessions');
+const { setRiskHistoryRepository, createMemoryRiskHistoryRepository } = require('../risk_history');
+const { isTransientError, withRetry } = require('../resilience');
+const { classifyError, errorResponseFromException } = require('../errors');
+
+const DOCUMENT_KEYS = ['content', 'scope', 'similarity', 'title', 'url'];
+
+describe('proveedor fake', () => {
+  before(() => setProvider(createFakeProvider()));
+  after(() => setProvider(null));
+
+  beforeEach(() => {
+    setProfileRepository(createMemoryProfileRepository());
+    setChatSessionRepository(createMemoryChatSessionRepository());
+    setRiskHistoryRepository(createMemoryRiskHistoryRepository());
+  });
+
+  it('callMcpTool resuelve get_fiscal_advice con el proveedor', async () => {
+    const result = await callMcpTool('get_fiscal_advice', { request: { actividad: 'Diseño gráfico' } });
+    const normalized = normalizeToolResult('get_fiscal_advice', result);
+
+    assert.match(normalized.text, /Diseño gráfico/);
+    assert.equal(normalized.sources.length, 2);
+    assert.deepEqual(Object.keys(normalized.sources[0]).sort(), ['scope', 'similarity', 'title', 'url']);
+    assert.deepEqual(normalized.warnings, []);
+  });
+
+  it('search_fiscal_documents devuelve documentos con contenido, como gemini', async () => {
+    const result = await callMcpTool('search_fiscal_documents', { request: { query: 'resico', limit: 2 } });
+    const normalized = normalizeToolResult('search_fiscal_documents', result);
+
+    assert.equal(normalized.sources.length, 2);
+    assert.deepEqual(normalized.warnings, []);
+    const { documents } = normalized.structured.data;
+    documents.forEach(doc => assert.deepEqual(Object.keys(doc).sort(), DOCUMENT_KEYS));
+    assert.ok(documents.every(doc => doc.content.length > 0));
+  });
+
+  it('handleMcpSearch marca el origen del sobre', async () => {
+    const response = await handleMcpSearch({ query: 'rfc', limit: 3, no_cache: true });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.source, 'fake');
+    assert.equal(response.body.data.documents.length, 3);
+  });
+
+  it('handleMcpChat responde y guarda los turnos de la sesión', async () => {
+    const first = await handleMcpChat({ message: '¿Qué es RESICO?', user_id: 'user-1', context: 'none' });
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.source, 'fake');
+    assert.equal(first.body.data.reply, 'Respuesta de prueba a: ¿Qué es RESICO?');
+    assert.equal(first.body.data.memory.history_turns, 0);
+
+    const second = await handleMcpChat({
+      message: '¿Y cuánto pago?',
+      user_id: 'user-1',
+      session_id: first.body.data.session_id,
+      context: 'none'
+    });
+    assert.equal(second.body.data.session_id, first.body.data.session_id);
+    assert.equal(second.body.data.memory.history_turns, 2);
+  });
+
+  it('handleMcpChat adjunta el perfil guardado como contexto', async () => {
+    await getProfileRepository().put('user-1', { actividad: 'Consultoría', ingresos_anuales: 500000 });
+
+    const response = await handleMcpChat({ message: 'Hola', user_id: 'user-1', context: 'stored' });
+    assert.equal(response.body.data.context_used.source, 'stored');
+    assert.ok(response.body.data.context_used.fields.includes('actividad'));
+  });
+
+  it('una herramienta que el proveedor no implementa es INTERNAL_ERROR', async () => {
+    await assert.rejects(createFakeProvider().callTool('search_places', { request: { query: 'SAT' } }), error => {
+      assert.equal(error.appCode, 'INTERNAL_ERROR');
+      assert.deepEqual(error.details, { provider: 'fake', tool: 'search_places' });
+
+      const response = errorResponseFromException(error);
+      assert.equal(response.statusCode, 500);
+      assert.match(response.body.error, /fake no implementa search_places/);
+      return true;
+    });
+  });
+});
+
+describe('proveedor gemini', () => {
+  function fakeGenAI(overrides = {}) {
+    const calls = { generateContent: [], generateContentStream: 0 };
+    const model = {
+      async generateContent(request) {
+        calls.generateContent.push(request);
+        return { response: { text: () => 'Respuesta de Gemini' } };
+      },
+      async generateContentStream() {
+        calls.generateContentStream += 1;
+        return { stream: overrides.stream() };
+      },
+      async embedContent() {
+        return { embedding: { values: [0.1, 0.2] } };
+      }
+    };
+    return { calls, genAI: { getGenerativeModel: () => model } };
+  }
+
+  function fakeSupabase(rows) {
+    return { rpc: async () => ({ data: rows, error: null }) };
+  }
+
+  function upstreamError() {
+    return Object.assign(new Error('Service Unavailable'), { status: 503 });
+  }
+
+  it('search_fiscal_documents tiene la misma forma que el proveedor fake', async () => {
+    const { genAI } = fakeGenAI();
+    const provider = createGeminiProvider({
+      genAI,
+      supabase: fakeSupabase([{ id: 7, title: 'LISR Art. 113-E', scope: 'RESICO', source_url: 'https://www.sat.gob.mx/resico', similarity: 0.9, content: 'Texto' }])
+    });
+
+    const result = await provider.callTool('search_fiscal_documents', { request: { query: 'resico' } });
+    const [doc] = normalizeToolResult('search_fiscal_documents', result).structured.data.documents;
+    assert.deepEqual(Object.keys(doc).sort(), DOCUMENT_KEYS);
+  });
+
+  it('chat descarta los turnos del modelo al inicio del historial', async () => {
+    const { genAI, calls } = fakeGenAI();
+    const provider = createGeminiProvider({ genAI, supabase: null });
+
+    await provider.callTool('chat_with_fiscal_assistant', {
+      request: {
+        message: '¿Y el IVA?',
+        history: [
+          { role: 'assistant', content: 'Respuesta anterior' },
+          { role: 'user', content: '¿Qué es RESICO?' },
+          { role: 'assistant', content: 'Un régimen simplificado' }
+        ]
+      }
+    });
+
+    const [{ contents }] = calls.generateContent;
+    assert.deepEqual(contents.map(turn => turn.role), ['user', 'model', 'user']);
+    assert.equal(contents[0].parts[0].text, '¿Qué es RESICO?');
+  });
+
+  it('chat sin turnos del usuario en el historial envía solo la pregunta', async () => {
+    const { genAI, calls } = fakeGenAI();
+    const provider = createGeminiProvider({ genAI, supabase: null });
+
+    await provider.callTool('chat_with_fiscal_assistant', {
+      request: { message: 'Hola', history: [{ role: 'assistant', content: 'Bienvenido' }] }
+    });
+
+    assert.deepEqual(calls.generateContent[0].contents.map(turn => turn.role), ['user']);
+  });
+
+  it('un stream que falla antes del primer fragmento sigue siendo transitorio', async () => {
+    const { genAI } = fakeGenAI({
+      stream: async function* () { throw upstreamError(); }
+    });
+    const provider = createGeminiProvider({ genAI, supabase: null });
+
+    await assert.rejects(
+      provider.callTool('chat_with_fiscal_assistant', { request: { message: 'Hola' } }, { onProgress: () => {} }),
+      error => isTransientError(error)
+    );
+  });
+
+  it('un stream que falla después de enviar fragmentos no se reintenta', async () => {
+    const { genAI, calls } = fakeGenAI({
+      stream: async function* () {
+        yield { text: () => 'Hola, ' };
+        throw upstreamError();
+      }
+    });
+    const provider = createGeminiProvider({ genAI, supabase: null });
+    const deltas = [];
+
+    await assert.rejects(
+      withRetry(() => provider.callTool('chat_with_fiscal_assistant', { request: { message: 'Hola' } }, {
+        onProgress: progress => deltas.push(progress.message)
+      }), { retries: 2, baseDelayMs: 1 }),
+      error => {
+        assert.equal(isTransientError(error), false);
+        assert.equal(classifyError(error).code, 'UPSTREAM_UNAVAILABLE');
+        return true;
+      }
+    );
+    assert.equal(calls.generateContentStream, 1);
+    assert.deepEqual(deltas, ['Hola, ']);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Pruebas del token bucket: buckets por ruta, recarga y overrides por identidad
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter } = require('../rate_limiter');
+
+function limiter(options = {}) {
+  let current = 0;
+  const rateLimiter = createRateLimiter({
+    policies: { llm: { capacity: 2, refillPerMinute: 1 } },
+    now: () => current,
+    ...options
+  });
+  return { ...rateLimiter, advance: ms => { current += ms; } };
+}
+
+describe('createRateLimiter', () => {
+  it('rechaza al agotar la ráfaga de la política', async () => {
+    const rateLimiter = limiter();
+    assert.equal((await rateLimiter.consume('llm', 'user:a', { route: 'chat' })).allowed, true);
+    assert.equal((await rateLimiter.consume('llm', 'user:a', { route: 'chat' })).allowed, true);
+
+    const rejected = await rateLimiter.consume('llm', 'user:a', { route: 'chat' });
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.route, 'chat');
+    assert.equal(rejected.retryAfterSeconds, 60);
+  });
+
+  it('lleva un bucket por ruta aunque compartan política', async () => {
+    const rateLimiter = limiter();
+    await rateLimiter.consume('llm', 'user:a', { route: 'chat' });
+    await rateLimiter.consume('llm', 'user:a', { route: 'chat' });
+
+    assert.equal((await rateLimiter.consume('llm', 'user:a', { route: 'chat' })).allowed, false);
+    assert.equal((await rateLimiter.consume('llm', 'user:a', { route: 'recommendation' })).allowed, true);
+  });
+
+  it('lleva un bucket por identidad', async () => {
+    const rateLimiter = limiter();
+    await rateLimiter.consume('llm', 'user:a', { route: 'chat' });
+    await rateLimiter.consume('llm', 'user:a', { route: 'chat' });
+
+    assert.equal((await rateLimiter.consume('llm', 'user:b', { route: 'chat' })).allowed, true);
+  });
+
+  it('recupera tokens con el tiempo', async () => {
+    const rateLimiter = limiter();
+    await rateLimiter.consume('llm', 'user:a', { route: 'chat' });
+    await rateLimiter.consume('llm', 'user:a', { route: 'chat' });
+
+    rateLimiter.advance(60000);
+    const result = await rateLimiter.consume('llm', 'user:a', { route: 'chat' });
+    assert.equal(result.allowed, true);
+    assert.equal(result.remaining, 0);
+  });
+
+  it('exenta a una identidad con override null', async () => {
+    const rateLimiter = limiter({ identityOverrides: { 'ip:10.0.0.1': null } });
+    const result = await rateLimiter.consume('llm', 'ip:10.0.0.1', { route: 'chat' });
+    assert.deepEqual(result, { allowed: true, unlimited: true });
+  });
+});
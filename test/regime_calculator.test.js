@@ -0,0 +1,143 @@
+/**
+ * Pruebas de la calculadora de regímenes con las tablas de data/tasas/2025.json
+ * Los montos esperados se calcularon a mano sobre ingresos mensuales (anuales / 12)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateRegimes, isrTarifaArt96, tasaResico } = require('../regime_calculator');
+const tasas2025 = require('../data/tasas/2025.json');
+
+function regimen(profile, key) {
+  return calculateRegimes(profile, { anio: 2025 }).regimenes.find(r => r.regimen === key);
+}
+
+describe('isrTarifaArt96', () => {
+  const cases = [
+    { base: 0, isr: 0 },
+    { base: 500, isr: 9.6 },
+    { base: 10000, isr: 770.9 },
+    { base: 13000, isr: 1194.38 }
+  ];
+
+  for (const { base, isr } of cases) {
+    it(`base ${base} -> ISR ${isr}`, () => {
+      assert.equal(Math.round(isrTarifaArt96(base, tasas2025.isr_tarifa_mensual_art96) * 100) / 100, isr);
+    });
+  }
+});
+
+describe('tasaResico', () => {
+  const cases = [
+    { ingresos: 20000, tasa: 0.01 },
+    { ingresos: 25000, tasa: 0.01 },
+    { ingresos: 50000, tasa: 0.011 },
+    { ingresos: 83333.33, tasa: 0.015 },
+    { ingresos: 100000, tasa: 0.02 },
+    { ingresos: 291666.67, tasa: 0.025 }
+  ];
+
+  for (const { ingresos, tasa } of cases) {
+    it(`ingresos mensuales ${ingresos} -> ${tasa}`, () => {
+      assert.equal(tasaResico(ingresos, tasas2025.resico_pf), tasa);
+    });
+  }
+});
+
+describe('RESICO', () => {
+  const cases = [
+    { name: 'primer tramo', profile: { ingresos_anuales: 240000 }, elegible: true, tasa: 0.01, isr: 200, iva: 3200 },
+    { name: 'límite del segundo tramo', profile: { ingresos_anuales: 600000 }, elegible: true, tasa: 0.011, isr: 550, iva: 8000 },
+    { name: 'IVA con gastos acreditables', profile: { ingresos_anuales: 1200000, gastos_deducibles_anuales: 240000 }, elegible: true, tasa: 0.02, isr: 2000, iva: 12800 },
+    { name: 'justo en el límite anual', profile: { ingresos_anuales: 3500000 }, elegible: true, tasa: 0.025, isr: 7291.67, iva: 46666.67 },
+    { name: 'arriba del límite anual', profile: { ingresos_anuales: 3500001 }, elegible: false, tasa: 0.025, isr: 7291.67, iva: 46666.68 }
+  ];
+
+  for (const { name, profile, elegible, tasa, isr, iva } of cases) {
+    it(name, () => {
+      const result = regimen(profile, 'resico');
+      assert.equal(result.elegible, elegible);
+      assert.equal(result.estimacion.tasa_isr, tasa);
+      assert.equal(result.estimacion.isr_mensual, isr);
+      assert.equal(result.estimacion.iva_mensual, iva);
+    });
+  }
+
+  it('explica el motivo al rebasar el límite', () => {
+    assert.deepEqual(regimen({ ingresos_anuales: 3500001 }, 'resico').motivos, ['Ingresos anuales mayores a $3,500,000']);
+  });
+
+  it('excluye a socios o accionistas', () => {
+    const result = regimen({ ingresos_anuales: 240000, es_socio_accionista: true }, 'resico');
+    assert.equal(result.elegible, false);
+    assert.equal(result.motivos.length, 1);
+  });
+});
+
+describe('Plataformas Tecnológicas', () => {
+  const cases = [
+    { tipo: 'transporte', ingresos: 240000, tasa: 0.021, isr: 420, iva: 1600, pagoDefinitivo: true },
+    { tipo: 'hospedaje', ingresos: 240000, tasa: 0.04, isr: 800, iva: 1600, pagoDefinitivo: true },
+    { tipo: 'enajenacion_servicios', ingresos: 240000, tasa: 0.01, isr: 200, iva: 1600, pagoDefinitivo: true },
+    // Sin pago definitivo se suma el IVA restante: 8,000 causado - 4,000 retenido
+    { tipo: 'enajenacion_servicios', ingresos: 600000, tasa: 0.01, isr: 500, iva: 8000, pagoDefinitivo: false }
+  ];
+
+  for (const { tipo, ingresos, tasa, isr, iva, pagoDefinitivo } of cases) {
+    it(`${tipo} con ingresos anuales de ${ingresos}`, () => {
+      const result = regimen({ ingresos_anuales: ingresos, usa_plataformas: true, tipo_plataforma: tipo }, 'plataformas_tecnologicas');
+      assert.equal(result.elegible, true);
+      assert.equal(result.estimacion.tasa_isr, tasa);
+      assert.equal(result.estimacion.isr_mensual, isr);
+      assert.equal(result.estimacion.iva_mensual, iva);
+      assert.equal(result.estimacion.pago_definitivo, pagoDefinitivo);
+    });
+  }
+
+  it('usa enajenación de bienes y servicios por defecto', () => {
+    const result = regimen({ ingresos_anuales: 240000, usa_plataformas: true }, 'plataformas_tecnologicas');
+    assert.equal(result.estimacion.tipo_plataforma, 'enajenacion_servicios');
+    assert.equal(result.estimacion.retenido_por_plataforma, 1800);
+  });
+
+  it('no es elegible sin ingresos por plataformas', () => {
+    assert.equal(regimen({ ingresos_anuales: 240000 }, 'plataformas_tecnologicas').elegible, false);
+  });
+});
+
+describe('Arrendamiento', () => {
+  const cases = [
+    { name: 'casa habitación con deducción ciega', profile: { ingresos_anuales: 240000 }, base: 13000, deduccion: 'ciega_35', isr: 1194.38, iva: 0 },
+    { name: 'local comercial causa IVA', profile: { ingresos_anuales: 240000, tipo_inmueble: 'comercial' }, base: 13000, deduccion: 'ciega_35', isr: 1194.38, iva: 3200 },
+    { name: 'gastos reales mayores al 35%', profile: { ingresos_anuales: 240000, gastos_deducibles_anuales: 120000 }, base: 10000, deduccion: 'gastos_reales', isr: 770.9, iva: 0 }
+  ];
+
+  for (const { name, profile, base, deduccion, isr, iva } of cases) {
+    it(name, () => {
+      const result = regimen({ ...profile, arrienda_inmuebles: true }, 'arrendamiento');
+      assert.equal(result.elegible, true);
+      assert.equal(result.estimacion.base_isr, base);
+      assert.equal(result.estimacion.deduccion, deduccion);
+      assert.equal(result.estimacion.isr_mensual, isr);
+      assert.equal(result.estimacion.iva_mensual, iva);
+    });
+  }
+
+  it('no es elegible sin inmuebles en renta', () => {
+    assert.equal(regimen({ ingresos_anuales: 240000 }, 'arrendamiento').elegible, false);
+  });
+});
+
+describe('calculateRegimes', () => {
+  it('ordena los elegibles por total mensual', () => {
+    const result = calculateRegimes({ ingresos_anuales: 240000, usa_plataformas: true }, { anio: 2025 });
+    assert.equal(result.tablas_version, tasas2025.version);
+    assert.equal(result.mas_conveniente, 'plataformas_tecnologicas');
+    assert.deepEqual(result.elegibles, ['plataformas_tecnologicas', 'resico', 'actividad_empresarial']);
+  });
+
+  it('falla con un año sin tablas', () => {
+    assert.throws(() => calculateRegimes({ ingresos_anuales: 1 }, { anio: 1999 }), /No hay tablas de tasas para 1999/);
+  });
+});
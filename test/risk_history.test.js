@@ -0,0 +1,204 @@
+/**
+ * Pruebas del historial de riesgo con el repositorio en memoria: cambios entre
+ * evaluaciones, issues resueltos / nuevos y tendencia (umbral por defecto de 5 puntos)
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createMemoryRiskHistoryRepository,
+  getRiskHistoryRepository,
+  setRiskHistoryRepository,
+  recordRiskEvaluation,
+  getLatestRiskEvaluation,
+  buildRiskTrend,
+  handleRiskHistory
+} = require('../risk_history');
+
+const USER_ID = 'user-1';
+
+const SIN_RFC = { code: 'sin_rfc', severity: 'critical', title: 'Sin RFC' };
+const SIN_CFDI = { code: 'sin_cfdi', severity: 'high', title: 'No emite CFDI' };
+const EFECTIVO = { code: 'efectivo', severity: 'medium', title: 'Cobros en efectivo' };
+
+function entry(score, issues, minute) {
+  return {
+    score,
+    level: score >= 70 ? 'Verde' : score >= 40 ? 'Amarillo' : 'Rojo',
+    issues,
+    rules_version: '2025.1',
+    evaluated_at: `2025-01-01T00:0${minute}:00.000Z`
+  };
+}
+
+beforeEach(() => {
+  setRiskHistoryRepository(createMemoryRiskHistoryRepository());
+});
+
+describe('buildRiskTrend', () => {
+  it('la primera evaluación no tiene delta ni cambios de issues', () => {
+    const { series, summary } = buildRiskTrend([entry(40, [SIN_RFC], 0)]);
+
+    assert.equal(series.length, 1);
+    assert.equal(series[0].delta, null);
+    assert.deepEqual(series[0].issues, ['sin_rfc']);
+    assert.deepEqual(series[0].resolved_issues, []);
+    assert.deepEqual(series[0].new_issues, []);
+    assert.equal(summary.change, 0);
+    assert.equal(summary.trend, 'sin_historial');
+    assert.equal(summary.first_score, 40);
+    assert.equal(summary.latest_score, 40);
+  });
+
+  it('sin evaluaciones el resumen queda vacío', () => {
+    const { series, summary } = buildRiskTrend([]);
+    assert.deepEqual(series, []);
+    assert.equal(summary.count, 0);
+    assert.equal(summary.latest_score, null);
+    assert.equal(summary.trend, 'sin_historial');
+  });
+
+  it('calcula delta e issues resueltos / nuevos contra la evaluación anterior', () => {
+    const { series } = buildRiskTrend([
+      entry(30, [SIN_RFC, SIN_CFDI], 0),
+      entry(55, [SIN_CFDI, EFECTIVO], 1),
+      entry(50, [EFECTIVO], 2)
+    ]);
+
+    assert.deepEqual(series.map(point => point.delta), [null, 25, -5]);
+    assert.deepEqual(series[1].resolved_issues, [SIN_RFC]);
+    assert.deepEqual(series[1].new_issues, [EFECTIVO]);
+    assert.deepEqual(series[2].resolved_issues, [SIN_CFDI]);
+    assert.deepEqual(series[2].new_issues, []);
+  });
+
+  it('el resumen compara la primera contra la última evaluación', () => {
+    const { summary } = buildRiskTrend([
+      entry(30, [SIN_RFC, SIN_CFDI], 0),
+      entry(55, [SIN_CFDI, EFECTIVO], 1),
+      entry(50, [EFECTIVO], 2)
+    ]);
+
+    assert.equal(summary.count, 3);
+    assert.equal(summary.change, 20);
+    assert.equal(summary.latest_level, 'Amarillo');
+    assert.deepEqual(summary.resolved_issues, [SIN_RFC, SIN_CFDI]);
+    assert.deepEqual(summary.new_issues, [EFECTIVO]);
+  });
+
+  const trends = [
+    { scores: [40, 45], trend: 'mejorando' },
+    { scores: [40, 80], trend: 'mejorando' },
+    { scores: [45, 40], trend: 'empeorando' },
+    { scores: [40, 44], trend: 'estable' },
+    { scores: [40, 10, 36], trend: 'estable' },
+    { scores: [40], trend: 'sin_historial' }
+  ];
+
+  for (const { scores, trend } of trends) {
+    it(`${scores.join(' -> ')} es ${trend}`, () => {
+      const entries = scores.map((score, index) => entry(score, [], index));
+      assert.equal(buildRiskTrend(entries).summary.trend, trend);
+    });
+  }
+});
+
+describe('recordRiskEvaluation', () => {
+  it('guarda solo código, severidad y título de cada issue', async () => {
+    await recordRiskEvaluation(USER_ID, {
+      score: 35,
+      level: 'Rojo',
+      issues: [{ ...SIN_RFC, recommendation: 'Inscríbete en el RFC', weight: 30 }],
+      rules_version: '2025.1'
+    });
+
+    const latest = await getLatestRiskEvaluation(USER_ID);
+    assert.equal(latest.score, 35);
+    assert.deepEqual(latest.issues, [SIN_RFC]);
+    assert.ok(latest.evaluated_at);
+  });
+
+  it('sin user_id no guarda nada', async () => {
+    assert.equal(await recordRiskEvaluation(undefined, { score: 35, level: 'Rojo', issues: [] }), null);
+  });
+
+  it('un error del almacén no se propaga', async () => {
+    setRiskHistoryRepository({ append: async () => { throw new Error('sin conexión'); } });
+    assert.equal(await recordRiskEvaluation(USER_ID, { score: 35, level: 'Rojo', issues: [] }), null);
+  });
+});
+
+describe('handleRiskHistory', () => {
+  it('retorna la serie en orden cronológico con su resumen', async () => {
+    await recordRiskEvaluation(USER_ID, { score: 30, level: 'Rojo', issues: [SIN_RFC], rules_version: '2025.1' });
+    await recordRiskEvaluation(USER_ID, { score: 60, level: 'Amarillo', issues: [], rules_version: '2025.1' });
+
+    const response = await handleRiskHistory({ user_id: USER_ID });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.series.map(point => point.score), [30, 60]);
+    assert.deepEqual(response.body.series.map(point => point.delta), [null, 30]);
+    assert.equal(response.body.summary.trend, 'mejorando');
+    assert.deepEqual(response.body.summary.resolved_issues, [SIN_RFC]);
+  });
+
+  it('limit conserva las evaluaciones más recientes', async () => {
+    for (const score of [10, 20, 30]) {
+      await recordRiskEvaluation(USER_ID, { score, level: 'Rojo', issues: [] });
+    }
+
+    const response = await handleRiskHistory({ user_id: USER_ID, limit: 2 });
+    assert.deepEqual(response.body.series.map(point => point.score), [20, 30]);
+    assert.equal(response.body.series[0].delta, null);
+  });
+
+  it('la primera evaluación de un usuario sin historial', async () => {
+    await recordRiskEvaluation(USER_ID, { score: 50, level: 'Amarillo', issues: [] });
+
+    const response = await handleRiskHistory({ user_id: USER_ID });
+    assert.equal(response.body.series[0].delta, null);
+    assert.equal(response.body.summary.trend, 'sin_historial');
+  });
+
+  it('rechaza un since que no es fecha', async () => {
+    const response = await handleRiskHistory({ user_id: USER_ID, since: 'ayer' });
+    assert.equal(response.statusCode, 400);
+  });
+});
+
+describe('getRiskHistoryRepository sin Supabase', () => {
+  beforeEach(() => {
+    setRiskHistoryRepository(null);
+  });
+
+  afterEach(() => {
+    delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    delete process.env.RISK_HISTORY_BACKEND;
+  });
+
+  it('fuera de Lambda usa memoria', async () => {
+    await recordRiskEvaluation(USER_ID, { score: 50, level: 'Amarillo', issues: [] });
+    assert.equal((await getLatestRiskEvaluation(USER_ID)).score, 50);
+  });
+
+  it('en Lambda no guarda evaluaciones y /risk-history responde 503', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'fiscai-bridge';
+
+    assert.equal(await recordRiskEvaluation(USER_ID, { score: 50, level: 'Amarillo', issues: [] }), null);
+    await assert.rejects(getRiskHistoryRepository().list(USER_ID, { limit: 1 }), { appCode: 'STORAGE_UNAVAILABLE' });
+
+    const response = await handleRiskHistory({ user_id: USER_ID });
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.body.code, 'STORAGE_UNAVAILABLE');
+  });
+
+  it('en Lambda con RISK_HISTORY_BACKEND=memory usa memoria', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'fiscai-bridge';
+    process.env.RISK_HISTORY_BACKEND = 'memory';
+
+    await recordRiskEvaluation(USER_ID, { score: 50, level: 'Amarillo', issues: [] });
+    const response = await handleRiskHistory({ user_id: USER_ID });
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(response.body.series.map(point => point.score), [50]);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Pruebas del router: resolución de rutas y versiones en createRouter y, sobre la tabla
+ * ROUTES de index.js, las respuestas 404/405 y los headers de versión
+ * index.js lee AUTH_DISABLED y API_V1_SUNSET al cargarse, por eso se requiere después de fijarlos
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRouter, parseVersion } = require('../router');
+
+describe('createRouter', () => {
+  const handler = () => ({ statusCode: 200, body: {} });
+  const v2Handler = () => ({ statusCode: 200, body: { v2: true } });
+
+  const router = createRouter([
+    { name: 'places', path: '/places', aliases: ['/map'], methods: ['get', 'POST'], handler },
+    { name: 'user-context', path: '/users/:user_id/context', methods: ['GET'], handler },
+    { name: 'chat', path: '/chat', methods: ['POST'], handler, handlers: { v2: v2Handler } },
+    { name: 'nuevo', path: '/nuevo', methods: ['GET'], versions: ['v2'], handler }
+  ], {
+    versions: { v1: { aliases: true }, v2: { aliases: false } },
+    defaultVersion: 'v1'
+  });
+
+  it('resuelve un alias a su ruta', () => {
+    const match = router.match('GET', '/map');
+    assert.equal(match.status, 'matched');
+    assert.equal(match.route.name, 'places');
+  });
+
+  it('ignora el trailing slash y el case del método', () => {
+    assert.equal(router.match('post', '/places/').route.name, 'places');
+  });
+
+  it('extrae y decodifica parámetros del path', () => {
+    const match = router.match('GET', '/users/ana%40mail.com/context');
+    assert.deepEqual(match.pathParams, { user_id: 'ana@mail.com' });
+  });
+
+  it('method_not_allowed con los métodos permitidos', () => {
+    const match = router.match('DELETE', '/places');
+    assert.equal(match.status, 'method_not_allowed');
+    assert.deepEqual(match.allowed, ['GET', 'POST']);
+  });
+
+  it('not_found para un path desconocido', () => {
+    assert.equal(router.match('GET', '/desconocido').status, 'not_found');
+  });
+
+  it('sin método (invocación directa) no valida el método', () => {
+    assert.equal(router.match(null, '/chat').status, 'matched');
+  });
+
+  it('quita el prefijo de versión y usa el handler de esa versión', () => {
+    const v1 = router.match('POST', '/v1/chat');
+    const v2 = router.match('POST', '/v2/chat');
+    assert.equal(v1.version, 'v1');
+    assert.equal(v1.route.handler, handler);
+    assert.equal(v2.version, 'v2');
+    assert.equal(v2.route.handler, v2Handler);
+  });
+
+  it('sin prefijo usa Accept-Version o la versión por defecto', () => {
+    assert.equal(router.match('POST', '/chat', '2.0').version, 'v2');
+    assert.equal(router.match('POST', '/chat').version, 'v1');
+  });
+
+  it('los aliases no existen en una versión con aliases: false', () => {
+    assert.equal(router.match('GET', '/v1/map').status, 'matched');
+    assert.equal(router.match('GET', '/v2/map').status, 'not_found');
+  });
+
+  it('una ruta limitada a una versión no existe en las demás', () => {
+    assert.equal(router.match('GET', '/v2/nuevo').status, 'matched');
+    assert.equal(router.match('GET', '/v1/nuevo').status, 'not_found');
+  });
+
+  it('unsupported_version para una versión no configurada', () => {
+    assert.deepEqual(router.match('GET', '/v9/places'), {
+      status: 'unsupported_version',
+      requested: 'v9',
+      supported: ['v1', 'v2']
+    });
+    assert.equal(router.match('GET', '/places', '9').status, 'unsupported_version');
+  });
+
+  it('parseVersion normaliza Accept-Version', () => {
+    assert.equal(parseVersion('2'), 'v2');
+    assert.equal(parseVersion('V2'), 'v2');
+    assert.equal(parseVersion('2.1'), 'v2');
+    assert.equal(parseVersion('dos'), null);
+  });
+});
+
+describe('index.handler con ROUTES', () => {
+  const SUNSET = '2027-06-30';
+  let handler;
+
+  before(() => {
+    process.env.AUTH_DISABLED = 'true';
+    process.env.API_V1_SUNSET = SUNSET;
+    ({ handler } = require('../index'));
+  });
+
+  function request(method, path, headers = {}) {
+    return handler({ httpMethod: method, path, headers, requestContext: { identity: { sourceIp: '127.0.0.1' } } }, {});
+  }
+
+  it('resuelve el alias /info a la documentación', async () => {
+    const alias = await request('GET', '/info');
+    const canonical = await request('GET', '/');
+    assert.equal(alias.statusCode, 200);
+    assert.deepEqual({ ...JSON.parse(alias.body), timestamp: null }, { ...JSON.parse(canonical.body), timestamp: null });
+  });
+
+  it('405 con header Allow en un método no permitido', async () => {
+    const response = await request('DELETE', '/health');
+    assert.equal(response.statusCode, 405);
+    assert.equal(response.headers.Allow, 'GET, OPTIONS');
+    const body = JSON.parse(response.body);
+    assert.equal(body.code, 'METHOD_NOT_ALLOWED');
+    assert.deepEqual(body.details.allowed_methods, ['GET']);
+  });
+
+  it('405 con todos los métodos de las rutas que comparten el path', async () => {
+    const response = await request('POST', '/profile');
+    assert.equal(response.statusCode, 405);
+    assert.equal(response.headers.Allow, 'GET, PUT, PATCH, OPTIONS');
+  });
+
+  it('404 en un path desconocido', async () => {
+    const response = await request('GET', '/no-existe');
+    assert.equal(response.statusCode, 404);
+    const body = JSON.parse(response.body);
+    assert.equal(body.code, 'NOT_FOUND');
+    assert.ok(body.details.available_endpoints.includes('GET /health'));
+  });
+
+  it('/v1 responde con Deprecation, Sunset y Link', async () => {
+    const response = await request('GET', '/v1/health');
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['X-API-Version'], 'v1');
+    assert.equal(response.headers.Deprecation, 'true');
+    assert.equal(response.headers.Sunset, new Date(SUNSET).toUTCString());
+    assert.equal(response.headers.Link, '</v2>; rel="successor-version"');
+  });
+
+  it('sin prefijo usa v1 (deprecada)', async () => {
+    const response = await request('GET', '/health');
+    assert.equal(response.headers['X-API-Version'], 'v1');
+    assert.equal(response.headers.Deprecation, 'true');
+  });
+
+  it('/v2 responde sin headers de deprecación', async () => {
+    const response = await request('GET', '/v2/health');
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['X-API-Version'], 'v2');
+    assert.equal(response.headers.Deprecation, undefined);
+    assert.equal(response.headers.Sunset, undefined);
+    assert.equal(response.headers.Link, undefined);
+  });
+
+  it('Accept-Version: 2 equivale al prefijo /v2', async () => {
+    const response = await request('GET', '/health', { 'accept-version': '2' });
+    assert.equal(response.headers['X-API-Version'], 'v2');
+  });
+
+  it('los aliases legacy existen en /v1 pero no en /v2', async () => {
+    assert.equal((await request('GET', '/v1/info')).statusCode, 200);
+    assert.equal((await request('GET', '/v2/info')).statusCode, 404);
+  });
+
+  it('400 UNSUPPORTED_API_VERSION para una versión desconocida', async () => {
+    const response = await request('GET', '/v9/health');
+    assert.equal(response.statusCode, 400);
+    const body = JSON.parse(response.body);
+    assert.equal(body.code, 'UNSUPPORTED_API_VERSION');
+    assert.deepEqual(body.details.supported_versions, ['v1', 'v2']);
+  });
+});
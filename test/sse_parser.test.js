@@ -0,0 +1,61 @@
+/**
+ * Pruebas del parser incremental de Server-Sent Events
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSseParser, formatSseEvent } = require('../sse_parser');
+
+function parse(chunks) {
+  const events = [];
+  const parser = createSseParser(event => events.push(event));
+  chunks.forEach(chunk => parser.push(chunk));
+  parser.end();
+  return events;
+}
+
+describe('createSseParser', () => {
+  it('arma un evento partido en varios fragmentos', () => {
+    const events = parse(['da', 'ta: {"jsonrpc":"2.0",', '"id":1,"result":{}}', '\n', '\n']);
+    assert.equal(events.length, 1);
+    assert.deepEqual(JSON.parse(events[0].data), { jsonrpc: '2.0', id: 1, result: {} });
+  });
+
+  it('une las líneas data de un evento con saltos de línea', () => {
+    const [event] = parse(['event: progress\ndata: uno\ndata: dos\n\n']);
+    assert.equal(event.event, 'progress');
+    assert.equal(event.data, 'uno\ndos');
+  });
+
+  it('acepta CRLF aunque el CR y el LF lleguen en fragmentos distintos', () => {
+    const events = parse(['data: a\r', '\n\r', '\ndata: b\r\n\r\n']);
+    assert.deepEqual(events.map(event => event.data), ['a', 'b']);
+  });
+
+  it('ignora comentarios y eventos sin data', () => {
+    const events = parse([': keep-alive\n\nevent: vacío\n\ndata: x\n\n']);
+    assert.deepEqual(events.map(event => event.data), ['x']);
+  });
+
+  it('conserva id y retry', () => {
+    const [event] = parse(['id: 7\nretry: 1500\ndata: x\n\n']);
+    assert.equal(event.id, '7');
+    assert.equal(event.retry, 1500);
+  });
+
+  it('descarta el BOM inicial', () => {
+    const [event] = parse(['\uFEFFdata: x\n\n']);
+    assert.equal(event.data, 'x');
+  });
+
+  it('despacha el último evento al cerrar sin línea en blanco', () => {
+    assert.deepEqual(parse(['data: final']).map(event => event.data), ['final']);
+  });
+
+  it('formatSseEvent produce eventos que el parser lee de vuelta', () => {
+    const [event] = parse([formatSseEvent('message', { texto: 'hola\nmundo' })]);
+    assert.equal(event.event, 'message');
+    assert.deepEqual(JSON.parse(event.data), { texto: 'hola\nmundo' });
+  });
+});
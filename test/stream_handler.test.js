@@ -0,0 +1,88 @@
+/**
+ * Pruebas de index.streamHandler (Lambda response streaming) con un runtime awslambda simulado
+ * El handler solo se define si globalThis.awslambda existe al cargar index.js
+ */
+
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSseParser } = require('../sse_parser');
+
+function parseSseEvents(text) {
+  const events = [];
+  const parser = createSseParser(event => events.push(event));
+  parser.push(text);
+  parser.end();
+  return events;
+}
+
+function createResponseStream() {
+  return { metadata: null, chunks: [], ended: false };
+}
+
+let streamHandler;
+let mcpBridge;
+let originalChatStream;
+
+before(() => {
+  process.env.AUTH_DISABLED = 'true';
+  globalThis.awslambda = {
+    streamifyResponse: fn => fn,
+    HttpResponseStream: {
+      from(responseStream, metadata) {
+        responseStream.metadata = metadata;
+        return {
+          write: chunk => responseStream.chunks.push(chunk),
+          end: () => { responseStream.ended = true; }
+        };
+      }
+    }
+  };
+  mcpBridge = require('../mcp_bridge');
+  originalChatStream = mcpBridge.handleMcpChatStream;
+  ({ streamHandler } = require('../index'));
+});
+
+afterEach(() => {
+  mcpBridge.handleMcpChatStream = originalChatStream;
+});
+
+function chatEvent() {
+  return {
+    rawPath: '/chat',
+    requestContext: { http: { method: 'POST', sourceIp: '127.0.0.1' } },
+    headers: { accept: 'text/event-stream' },
+    body: JSON.stringify({ message: 'Hola', user_id: 'user-1', stream: true })
+  };
+}
+
+describe('streamHandler /chat con stream', () => {
+  it('si el handler falla con el stream abierto emite error y cierra', async () => {
+    mcpBridge.handleMcpChatStream = async (params, emit) => {
+      emit('progress', { progress: 1, delta: 'Hola' });
+      throw new Error('fallo inesperado');
+    };
+
+    const responseStream = createResponseStream();
+    await streamHandler(chatEvent(), responseStream, {});
+
+    assert.equal(responseStream.metadata.statusCode, 200);
+    assert.equal(responseStream.ended, true);
+    const events = parseSseEvents(responseStream.chunks.join(''));
+    assert.deepEqual(events.map(event => event.event), ['progress', 'error']);
+    assert.equal(JSON.parse(events[1].data).code, 'INTERNAL_ERROR');
+  });
+
+  it('si el handler falla antes de abrir el stream responde con el sobre de error', async () => {
+    mcpBridge.handleMcpChatStream = async () => {
+      throw Object.assign(new Error('sin conexión'), { code: 'ETIMEDOUT' });
+    };
+
+    const responseStream = createResponseStream();
+    await streamHandler(chatEvent(), responseStream, {});
+
+    assert.equal(responseStream.metadata.statusCode, 504);
+    assert.equal(responseStream.ended, true);
+    assert.equal(JSON.parse(responseStream.chunks.join('')).code, 'UPSTREAM_TIMEOUT');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Pruebas de la capa de validación: coerción de query strings, enums con catálogo,
+ * requeridos, campos desconocidos y la respuesta 400 de un handler
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateParams, invalidParamsResponse, coerce } = require('../validation');
+const { handleRegimeCalculator } = require('../mcp_bridge');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['ingresos'],
+  properties: {
+    ingresos: { type: 'number', minimum: 0 },
+    empleados: { type: 'integer' },
+    has_rfc: { type: 'boolean' },
+    metodos_pago: { type: 'array', items: { type: 'string' } },
+    tipo: { type: 'string', enum: ['casa_habitacion', 'comercial'] },
+    regimen: { type: 'string', format: 'regimen-fiscal', enum: ['resico', 'actividad_empresarial'] },
+    limit: { type: 'integer', default: 10 },
+    perfil: {
+      type: 'object',
+      required: ['actividad'],
+      properties: { actividad: { type: 'string', maxLength: 10 } }
+    }
+  }
+};
+
+describe('coerce', () => {
+  const cases = [
+    { prop: { type: 'number' }, value: '450000', expected: 450000 },
+    { prop: { type: 'number' }, value: ' 450,000.50 ', expected: 450000.5 },
+    { prop: { type: 'number' }, value: '-12', expected: -12 },
+    { prop: { type: 'integer' }, value: '3', expected: 3 },
+    { prop: { type: 'boolean' }, value: 'true', expected: true },
+    { prop: { type: 'boolean' }, value: 'Sí', expected: true },
+    { prop: { type: 'boolean' }, value: '0', expected: false },
+    { prop: { type: 'boolean' }, value: 1, expected: true },
+    { prop: { type: 'string' }, value: 42, expected: '42' },
+    { prop: { type: 'array' }, value: 'efectivo, tarjeta,', expected: ['efectivo', 'tarjeta'] },
+    { prop: { type: 'object' }, value: '{"a":1}', expected: { a: 1 } }
+  ];
+
+  for (const { prop, value, expected } of cases) {
+    it(`${prop.type} ${JSON.stringify(value)} -> ${JSON.stringify(expected)}`, () => {
+      assert.deepEqual(coerce(prop, value), { ok: true, value: expected });
+    });
+  }
+
+  const invalid = [
+    { prop: { type: 'number' }, value: '450k' },
+    { prop: { type: 'number' }, value: '1,23' },
+    { prop: { type: 'integer' }, value: '2.5' },
+    { prop: { type: 'boolean' }, value: 'tal vez' },
+    { prop: { type: 'boolean' }, value: 2 },
+    { prop: { type: 'string' }, value: {} },
+    { prop: { type: 'object' }, value: '[1]' },
+    { prop: { type: 'object' }, value: '{mal' }
+  ];
+
+  for (const { prop, value } of invalid) {
+    it(`${prop.type} rechaza ${JSON.stringify(value)}`, () => {
+      assert.deepEqual(coerce(prop, value), { ok: false });
+    });
+  }
+});
+
+describe('validateParams', () => {
+  it('convierte los valores de query string al tipo del esquema', () => {
+    const { value, errors } = validateParams(SCHEMA, {
+      ingresos: '450,000',
+      empleados: '2',
+      has_rfc: 'si',
+      metodos_pago: 'efectivo,transferencia'
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, {
+      ingresos: 450000,
+      empleados: 2,
+      has_rfc: true,
+      metodos_pago: ['efectivo', 'transferencia'],
+      limit: 10
+    });
+  });
+
+  it('normaliza un valor de catálogo antes de validar el enum', () => {
+    const { value, errors } = validateParams(SCHEMA, { ingresos: 1, regimen: 'RESICO' });
+    assert.deepEqual(errors, []);
+    assert.equal(value.regimen, 'resico');
+  });
+
+  it('rechaza un valor fuera del enum con los valores permitidos', () => {
+    const { errors } = validateParams(SCHEMA, { ingresos: 1, tipo: 'bodega' });
+    assert.deepEqual(errors, [{
+      field: 'tipo',
+      code: 'invalid_enum',
+      message: 'Debe ser uno de: casa_habitacion, comercial',
+      value: 'bodega',
+      allowed: ['casa_habitacion', 'comercial']
+    }]);
+  });
+
+  it('rechaza un valor que no está en el catálogo', () => {
+    const { errors } = validateParams(SCHEMA, { ingresos: 1, regimen: 'inventado' });
+    assert.equal(errors[0].code, 'invalid_enum');
+    assert.equal(errors[0].field, 'regimen');
+  });
+
+  it('un requerido vacío o ausente es error; un opcional ausente toma su default', () => {
+    assert.deepEqual(validateParams(SCHEMA, {}).errors, [{ field: 'ingresos', code: 'required', message: 'Parámetro requerido' }]);
+    assert.equal(validateParams(SCHEMA, { ingresos: '  ' }).errors[0].code, 'required');
+    assert.equal(validateParams(SCHEMA, { ingresos: 1 }).value.limit, 10);
+  });
+
+  it('descarta los campos que no declara el esquema', () => {
+    const { value, errors } = validateParams(SCHEMA, { ingresos: 1, admin: true, user_id: 'otro' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(Object.keys(value), ['ingresos', 'limit']);
+  });
+
+  it('reporta todos los campos inválidos a la vez, con la ruta de los anidados', () => {
+    const { errors } = validateParams(SCHEMA, {
+      ingresos: '-5',
+      empleados: 'dos',
+      metodos_pago: [1, {}],
+      perfil: { actividad: 'una actividad muy larga' }
+    });
+    assert.deepEqual(errors.map(error => [error.field, error.code]), [
+      ['ingresos', 'out_of_range'],
+      ['empleados', 'invalid_type'],
+      ['metodos_pago[1]', 'invalid_type'],
+      ['perfil.actividad', 'too_long']
+    ]);
+  });
+});
+
+describe('respuesta de validación', () => {
+  it('invalidParamsResponse: 400 VALIDATION_FAILED con la lista de errores', () => {
+    const errors = [{ field: 'ingresos', code: 'required', message: 'Parámetro requerido' }];
+    const response = invalidParamsResponse(errors);
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.body.code, 'VALIDATION_FAILED');
+    assert.equal(response.body.error, 'Parámetros inválidos');
+    assert.deepEqual(response.body.errors, errors);
+    assert.ok(!Number.isNaN(Date.parse(response.body.timestamp)));
+  });
+
+  it('un handler responde 400 con los campos inválidos del perfil', async () => {
+    const response = await handleRegimeCalculator({
+      profile: { ingresos_anuales: 'mucho', tipo_inmueble: 'bodega' }
+    });
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(response.body.errors.map(error => [error.field, error.code]), [
+      ['profile.ingresos_anuales', 'invalid_type'],
+      ['profile.tipo_inmueble', 'invalid_enum']
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tracing con propagación W3C Trace Context (header traceparent)
+ * - Con OTEL_ENABLED=true y @opentelemetry/api instalado (ej. con la layer de ADOT), los
+ *   spans se crean con el tracer registrado y se exportan con su configuración
+ * - Sin OpenTelemetry se generan trace/span ids propios: el traceparent se propaga igual
+ *   al servidor MCP y los spans se registran en el log con nivel debug
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('tracing');
+
+const TRACER_NAME = 'fiscai-lambda-bridge';
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+let otel = null;
+if (process.env.OTEL_ENABLED === 'true') {
+  try {
+    otel = require('@opentelemetry/api');
+  } catch (error) {
+    log.warn('OTEL_ENABLED=true pero @opentelemetry/api no está disponible; se usa traceparent propio');
+  }
+}
+
+const currentSpan = new AsyncLocalStorage();
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec((header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+// ========== SPANS SIN OPENTELEMETRY ==========
+
+function createSpan(name, attributes, parent) {
+  return {
+    name,
+    traceId: parent ? parent.traceId : randomHex(16),
+    spanId: randomHex(8),
+    parentSpanId: parent ? parent.spanId : undefined,
+    sampled: parent ? parent.sampled : true,
+    attributes: { ...attributes },
+    startedAt: Date.now(),
+    setAttribute(key, value) {
+      this.attributes[key] = value;
+    },
+    recordException(error) {
+      this.error = error.message;
+    }
+  };
+}
+
+async function runLocalSpan(span, fn) {
+  return currentSpan.run(span, async () => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      log.debug('Span', {
+        span: span.name,
+        trace_id: span.traceId,
+        span_id: span.spanId,
+        parent_span_id: span.parentSpanId,
+        duration_ms: Date.now() - span.startedAt,
+        attributes: span.attributes,
+        error: span.error
+      });
+    }
+  });
+}
+
+// ========== SPANS CON OPENTELEMETRY ==========
+
+function runOtelSpan(name, attributes, kind, fn, parentContext) {
+  const tracer = otel.trace.getTracer(TRACER_NAME);
+  const options = { attributes, kind: otel.SpanKind[kind] };
+
+  const run = () => tracer.startActiveSpan(name, options, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: otel.SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+
+  return parentContext ? otel.context.with(parentContext, run) : run();
+}
+
+// ========== API ==========
+
+/**
+ * Ejecuta fn(span) dentro de un span hijo del span actual
+ * kind: 'CLIENT' para llamadas salientes, 'INTERNAL' por defecto
+ */
+function withSpan(name, attributes, fn, kind = 'INTERNAL') {
+  if (otel) {
+    return runOtelSpan(name, attributes, kind, fn);
+  }
+  return runLocalSpan(createSpan(name, attributes, currentSpan.getStore()), fn);
+}
+
+/**
+ * Span raíz de la invocación; continúa la traza del traceparent entrante si es válido
+ */
+function withRequestSpan(traceparent, name, attributes, fn) {
+  if (otel) {
+    const parentContext = otel.propagation.extract(otel.context.active(), traceparent ? { traceparent } : {});
+    return runOtelSpan(name, attributes, 'SERVER', fn, parentContext);
+  }
+  return runLocalSpan(createSpan(name, attributes, parseTraceparent(traceparent)), fn);
+}
+
+/**
+ * Headers para propagar el span actual (traceparent) en una petición saliente
+ */
+function getTraceHeaders() {
+  if (otel) {
+    const carrier = {};
+    otel.propagation.inject(otel.context.active(), carrier);
+    return carrier;
+  }
+
+  const span = currentSpan.getStore();
+  return span ? { traceparent: `00-${span.traceId}-${span.spanId}-${span.sampled ? '01' : '00'}` } : {};
+}
+
+/**
+ * trace id del span actual (para correlacionar logs y trazas)
+ */
+function getTraceId() {
+  if (otel) {
+    const span = otel.trace.getActiveSpan();
+    return span ? span.spanContext().traceId : undefined;
+  }
+  const span = currentSpan.getStore();
+  return span ? span.traceId : undefined;
+}
+
+module.exports = {
+  withSpan,
+  withRequestSpan,
+  getTraceHeaders,
+  getTraceId,
+  parseTraceparent
+};
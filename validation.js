@@ -0,0 +1,225 @@
+/**
+ * Capa de validación y coerción de parámetros
+ * Valida los parámetros de cada handler contra su esquema (subconjunto de JSON Schema),
+ * convierte valores de query string a boolean/number/array y normaliza catálogos del SAT
+ */
+
+const { normalizeRegimen, normalizeEstado } = require('./catalogs');
+const { errorResponse } = require('./errors');
+
+// Formatos con normalización contra catálogo (el valor canónico se valida luego contra enum)
+const FORMAT_NORMALIZERS = {
+  'regimen-fiscal': normalizeRegimen,
+  'estado-mx': normalizeEstado
+};
+
+const TRUE_VALUES = ['true', '1', 'si', 'sí', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function describeType(prop) {
+  if (prop.type === 'array') return `arreglo de ${(prop.items && prop.items.type) || 'valores'}`;
+  const names = { string: 'texto', number: 'número', integer: 'número entero', boolean: 'booleano', object: 'objeto' };
+  return names[prop.type] || prop.type;
+}
+
+/**
+ * Convierte un valor al tipo declarado
+ * Retorna { ok: true, value } o { ok: false }
+ */
+function coerce(prop, value) {
+  switch (prop.type) {
+    case 'boolean': {
+      if (typeof value === 'boolean') return { ok: true, value };
+      if (typeof value === 'number' && (value === 0 || value === 1)) return { ok: true, value: value === 1 };
+      if (typeof value === 'string') {
+        const normalized = value.trim().toLowerCase();
+        if (TRUE_VALUES.includes(normalized)) return { ok: true, value: true };
+        if (FALSE_VALUES.includes(normalized)) return { ok: true, value: false };
+      }
+      return { ok: false };
+    }
+
+    case 'number':
+    case 'integer': {
+      let number = value;
+      if (typeof value === 'string') {
+        const trimmed = value.trim();
+        // Acepta separadores de miles ("450,000") pero no sufijos como "450k"
+        if (!/^-?(\d+|\d{1,3}(,\d{3})+)(\.\d+)?$/.test(trimmed)) return { ok: false };
+        number = Number(trimmed.replace(/,/g, ''));
+      }
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { ok: false };
+      if (prop.type === 'integer' && !Number.isInteger(number)) return { ok: false };
+      return { ok: true, value: number };
+    }
+
+    case 'string': {
+      if (typeof value === 'string') return { ok: true, value: value.trim() };
+      if (typeof value === 'number') return { ok: true, value: String(value) };
+      return { ok: false };
+    }
+
+    case 'array': {
+      let items = value;
+      if (typeof value === 'string') {
+        items = value.split(',').map(v => v.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(items)) return { ok: false };
+      return { ok: true, value: items };
+    }
+
+    case 'object': {
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (e) {
+          return { ok: false };
+        }
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return { ok: false };
+      return { ok: true, value };
+    }
+
+    default:
+      return { ok: true, value };
+  }
+}
+
+/**
+ * Valida un valor ya presente contra su propiedad; acumula errores en `errors`
+ */
+function validateValue(prop, value, field, errors) {
+  const coerced = coerce(prop, value);
+  if (!coerced.ok) {
+    errors.push({
+      field,
+      code: 'invalid_type',
+      message: `Debe ser ${describeType(prop)}`,
+      value
+    });
+    return undefined;
+  }
+
+  let result = coerced.value;
+
+  if (prop.format && FORMAT_NORMALIZERS[prop.format]) {
+    const normalized = FORMAT_NORMALIZERS[prop.format](result);
+    if (normalized === null) {
+      errors.push({
+        field,
+        code: 'invalid_enum',
+        message: 'Valor no reconocido',
+        value,
+        allowed: prop.enum
+      });
+      return undefined;
+    }
+    result = normalized;
+  }
+
+  if (prop.enum && !prop.enum.includes(result)) {
+    errors.push({
+      field,
+      code: 'invalid_enum',
+      message: `Debe ser uno de: ${prop.enum.join(', ')}`,
+      value,
+      allowed: prop.enum
+    });
+    return undefined;
+  }
+
+  if (typeof result === 'number') {
+    if (prop.minimum !== undefined && result < prop.minimum) {
+      errors.push({ field, code: 'out_of_range', message: `Debe ser mayor o igual a ${prop.minimum}`, value });
+      return undefined;
+    }
+    if (prop.maximum !== undefined && result > prop.maximum) {
+      errors.push({ field, code: 'out_of_range', message: `Debe ser menor o igual a ${prop.maximum}`, value });
+      return undefined;
+    }
+  }
+
+  if (typeof result === 'string' && prop.maxLength !== undefined && result.length > prop.maxLength) {
+    errors.push({ field, code: 'too_long', message: `Máximo ${prop.maxLength} caracteres`, value: `${result.substring(0, 20)}...` });
+    return undefined;
+  }
+
+  if (prop.type === 'array') {
+    if (prop.minItems !== undefined && result.length < prop.minItems) {
+      errors.push({ field, code: 'out_of_range', message: `Mínimo ${prop.minItems} elementos`, value: result.length });
+      return undefined;
+    }
+    if (prop.maxItems !== undefined && result.length > prop.maxItems) {
+      errors.push({ field, code: 'out_of_range', message: `Máximo ${prop.maxItems} elementos`, value: result.length });
+      return undefined;
+    }
+  }
+
+  if (prop.type === 'array' && prop.items) {
+    const itemErrors = errors.length;
+    result = result.map((item, i) => validateValue(prop.items, item, `${field}[${i}]`, errors));
+    if (errors.length > itemErrors) return undefined;
+  }
+
+  if (prop.type === 'object' && prop.properties) {
+    const nested = validateObject(prop, result, `${field}.`, errors);
+    return nested;
+  }
+
+  return result;
+}
+
+function validateObject(schema, input, prefix, errors) {
+  const value = {};
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+
+  Object.entries(properties).forEach(([name, prop]) => {
+    const field = `${prefix}${name}`;
+    const raw = input[name];
+
+    if (isMissing(raw)) {
+      if (required.includes(name)) {
+        errors.push({ field, code: 'required', message: 'Parámetro requerido' });
+      } else if (prop.default !== undefined) {
+        value[name] = prop.default;
+      }
+      return;
+    }
+
+    const result = validateValue(prop, raw, field, errors);
+    if (result !== undefined) {
+      value[name] = result;
+    }
+  });
+
+  return value;
+}
+
+/**
+ * Valida y convierte los parámetros de un handler
+ * Retorna { value, errors } donde value solo contiene las propiedades declaradas en el esquema
+ * y errors lista todos los campos inválidos a la vez
+ */
+function validateParams(schema, params) {
+  const errors = [];
+  const value = validateObject(schema, params || {}, '', errors);
+  return { value, errors };
+}
+
+/**
+ * Respuesta 400 uniforme con todos los campos inválidos
+ */
+function invalidParamsResponse(errors) {
+  return errorResponse('VALIDATION_FAILED', { errors });
+}
+
+module.exports = {
+  validateParams,
+  invalidParamsResponse,
+  coerce
+};